@@ -0,0 +1,342 @@
+#!/usr/bin/env node
+
+var fs               = require('fs');
+var Transaction      = require('../src/js/ripple/transaction').Transaction;
+var SerializedObject = require('../src/js/ripple/serializedobject').SerializedObject;
+
+// Flags that take no value
+var BOOLEAN_FLAGS = [ 'verbose', 'help' ];
+
+var SECRET_ENV = 'STELLAR_SECRET';
+
+var opts = parse_options(process.argv.slice(2));
+var command = opts.argv.shift();
+
+var commands = {
+  build:  build,
+  sign:   sign,
+  decode: decode,
+  verify: verify,
+  hash:   hash
+};
+
+if (opts.help || !commands.hasOwnProperty(command)) {
+  print_usage();
+  process.exit(opts.help ? 0 : 1);
+}
+
+try {
+  commands[command](opts);
+} catch (e) {
+  exit_error(e.message || e.result_message || String(e));
+}
+
+function parse_options(from) {
+  var argv = from.slice();
+  var opts = { argv: [ ] };
+
+  while (argv.length) {
+    var arg = argv.shift();
+    var match = arg.match(/^--([a-z-]+)(?:=(.*))?$/);
+
+    if (arg === '-v') {
+      match = [ arg, 'verbose' ];
+    } else if (arg === '-h') {
+      match = [ arg, 'help' ];
+    }
+
+    if (!match) {
+      opts.argv.push(arg);
+      continue;
+    }
+
+    // normalize the name of the flag
+    var flag = match[1].replace(/-/g, '_');
+
+    if (~BOOLEAN_FLAGS.indexOf(flag)) {
+      opts[flag] = true;
+    } else if (match[2] !== void(0)) {
+      opts[flag] = match[2];
+    } else if (argv.length) {
+      opts[flag] = argv.shift();
+    } else {
+      exit_error('Missing value for --' + match[1]);
+    }
+  }
+
+  return opts;
+};
+
+function print_usage() {
+  console.log([
+    'Usage: stellar-sign <command> [options]',
+    '',
+    'Commands:',
+    '  build <type>          Build an unsigned transaction JSON. <type> is one of',
+    '                        payment, offercreate, trustset, accountset',
+    '  sign [<json>|-]       Sign a transaction JSON and print the tx_blob',
+    '  decode [<blob>|-]     Decode a transaction blob to JSON',
+    '  verify [<blob>|-]     Verify the TxnSignature of a signed blob against',
+    '                        its SigningPubKey',
+    '  hash [<blob>|<json>|-]',
+    '                        Print the hash of a transaction',
+    '',
+    'Transaction inputs may also be read from stdin, with "-" or no argument.',
+    '',
+    'Common build options:',
+    '  --account <address>   Source account',
+    '  --fee <stroops>       Transaction fee',
+    '  --sequence <number>   Account sequence',
+    '  --last-ledger <index> LastLedgerSequence',
+    '  --flags <flag,...>    Transaction flags, e.g. PartialPayment',
+    '',
+    'payment:     --destination <address> --amount <amount> [--send-max <amount>]',
+    '             [--destination-tag <tag>] [--source-tag <tag>]',
+    'offercreate: --taker-pays <amount> --taker-gets <amount> [--expiration <date>]',
+    '             [--cancel-sequence <sequence>]',
+    'trustset:    --limit <amount> [--quality-in <number>] [--quality-out <number>]',
+    'accountset:  [--set-flag <flag>] [--clear-flag <flag>] [--inflation-dest <address>]',
+    '',
+    'Amounts are given in stroops for STR, or as <value>/<currency>/<issuer>.',
+    '',
+    'Secrets are never read from the command line. Sign reads the secret from',
+    'the file given with --secret-file, or from the ' + SECRET_ENV + ' environment',
+    'variable.',
+    '',
+    'Options:',
+    '  -v, --verbose         Print the signed transaction JSON, blob and hashes',
+    '  -h, --help            Show this message',
+    '',
+    'Example:',
+    '  stellar-sign build payment --account gHb9CJAWyB4gj91VRWn96DkukG4bwdtyTh \\',
+    '    --destination gMQoBDY5oSZyygjxUQBjjasVVq9BgJN5AE --amount 200000000 \\',
+    '    --fee 10 --sequence 1 | stellar-sign sign --secret-file ./secret'
+  ].join('\n'));
+};
+
+function exit_error(message) {
+  console.error('Error: ' + message);
+  process.exit(1);
+};
+
+function read_input(argv, callback) {
+  var input = argv.shift();
+
+  if (input && input !== '-') {
+    return callback(input.trim());
+  }
+
+  input = '';
+  process.stdin.setEncoding('utf8');
+  process.stdin.on('data', function(data) { input += data; });
+  process.stdin.on('end', function() { run(input.trim()); });
+  process.stdin.resume();
+
+  // Errors thrown after stdin is read are past the try around the command
+  function run(input) {
+    try {
+      callback(input);
+    } catch (e) {
+      exit_error(e.message || e.result_message || String(e));
+    }
+  };
+};
+
+function read_secret(opts) {
+  var secret;
+
+  if (opts.secret_file) {
+    secret = fs.readFileSync(opts.secret_file, 'utf8');
+  } else {
+    secret = process.env[SECRET_ENV];
+  }
+
+  if (!secret || !secret.trim()) {
+    exit_error('Missing secret, use --secret-file or ' + SECRET_ENV);
+  }
+
+  return secret.trim();
+};
+
+// Parse an unsigned 32-bit option, such as a tag or a sequence
+function parse_uint32(value, name) {
+  if (value === void(0)) {
+    return void(0);
+  }
+
+  if (!/^[0-9]+$/.test(value) || Number(value) > 0xFFFFFFFF) {
+    exit_error('Invalid --' + name + ': ' + value);
+  }
+
+  return Number(value);
+};
+
+function parse_amount(amount) {
+  var parts = amount.split('/');
+
+  if (parts.length === 1) {
+    return amount;
+  }
+
+  return {
+    value:    parts[0],
+    currency: parts[1],
+    issuer:   parts[2]
+  };
+};
+
+// Parse either a JSON transaction or a hex tx_blob
+function parse_transaction(input) {
+  if (/^\{/.test(input)) {
+    try {
+      return JSON.parse(input);
+    } catch (e) {
+      exit_error('Invalid JSON');
+    }
+  }
+
+  if (!/^([0-9A-Fa-f]{2})+$/.test(input)) {
+    exit_error('Invalid transaction blob');
+  }
+
+  return new SerializedObject(input).to_json();
+};
+
+function build(opts) {
+  var type = (opts.argv.shift() || '').toLowerCase();
+  var tx = new Transaction();
+
+  if (!opts.account) {
+    exit_error('Missing --account');
+  }
+
+  switch (type) {
+    case 'payment':
+      if (!opts.destination || !opts.amount) {
+        exit_error('Payment requires --destination and --amount');
+      }
+      tx.payment(opts.account, opts.destination, parse_amount(opts.amount));
+      tx.sendMax(opts.send_max && parse_amount(opts.send_max));
+      tx.destinationTag(parse_uint32(opts.destination_tag, 'destination-tag'));
+      break;
+
+    case 'offercreate':
+      if (!opts.taker_pays || !opts.taker_gets) {
+        exit_error('OfferCreate requires --taker-pays and --taker-gets');
+      }
+      tx.offerCreate({
+        source:          opts.account,
+        taker_pays:      parse_amount(opts.taker_pays),
+        taker_gets:      parse_amount(opts.taker_gets),
+        expiration:      opts.expiration && new Date(opts.expiration),
+        cancel_sequence: parse_uint32(opts.cancel_sequence, 'cancel-sequence')
+      });
+      break;
+
+    case 'trustset':
+      if (!opts.limit) {
+        exit_error('TrustSet requires --limit');
+      }
+      tx.trustSet({
+        source:      opts.account,
+        limit:       parse_amount(opts.limit),
+        quality_in:  parse_uint32(opts.quality_in, 'quality-in'),
+        quality_out: parse_uint32(opts.quality_out, 'quality-out')
+      });
+      break;
+
+    case 'accountset':
+      tx.accountSet(opts.account, opts.set_flag, opts.clear_flag);
+      if (opts.inflation_dest) {
+        tx.inflationDest(opts.inflation_dest);
+      }
+      break;
+
+    default:
+      exit_error('Unknown transaction type: ' + type);
+  }
+
+  tx.sourceTag(parse_uint32(opts.source_tag, 'source-tag'));
+
+  if (opts.flags) {
+    tx.once('error', function(err) {
+      exit_error('Invalid flags for ' + tx.tx_json.TransactionType + ': ' + opts.flags);
+    });
+    tx.setFlags(opts.flags.split(','));
+  }
+
+  if (opts.fee !== void(0)) {
+    tx.fee(opts.fee);
+  }
+
+  if (opts.sequence !== void(0)) {
+    tx.sequence(parse_uint32(opts.sequence, 'sequence'));
+  }
+
+  if (opts.last_ledger !== void(0)) {
+    tx.lastLedger(parse_uint32(opts.last_ledger, 'last-ledger'));
+  }
+
+  console.log(JSON.stringify(tx.tx_json, null, 2));
+};
+
+function sign(opts) {
+  var secret = read_secret(opts);
+
+  read_input(opts.argv, function(input) {
+    var tx_json;
+
+    try {
+      tx_json = JSON.parse(input);
+    } catch (e) {
+      exit_error('Invalid JSON');
+    }
+
+    var tx = Transaction.from_json(tx_json).secret(secret);
+    var signed;
+
+    try {
+      signed = tx.signOffline();
+    } catch (e) {
+      exit_error(e.result_message || e.message);
+    }
+
+    if (opts.verbose) {
+      console.log(JSON.stringify({
+        tx_blob:         signed.tx_blob,
+        tx_json:         signed.tx_json,
+        tx_signing_hash: tx.previousSigningHash,
+        hash:            signed.hash
+      }, null, 2));
+    } else {
+      console.log(signed.tx_blob);
+    }
+  });
+};
+
+function decode(opts) {
+  read_input(opts.argv, function(input) {
+    console.log(JSON.stringify(parse_transaction(input), null, 2));
+  });
+};
+
+function verify(opts) {
+  read_input(opts.argv, function(input) {
+    var tx = Transaction.from_json(parse_transaction(input));
+    var result = tx.verifySignature();
+
+    if (!result.verified) {
+      exit_error(result.error_message);
+    }
+
+    console.log('Signature is valid, signed by ' + result.signer);
+  });
+};
+
+function hash(opts) {
+  read_input(opts.argv, function(input) {
+    console.log(Transaction.from_json(parse_transaction(input)).hash());
+  });
+};
+
+// vim:sw=2:sts=2:ts=8:et
@@ -41,9 +41,22 @@ if (opts.sanity_test) {
                 "with large ledgers.");
 }
 
-console.log("Transaction hash in header:    " + ledger.ledger_json.transaction_hash);
-console.log("Calculated transaction hash:   " + ledger.calc_tx_hash().to_hex());
-console.log("Account state hash in header:  " + ledger.ledger_json.account_hash);
-console.log("Calculated account state hash: " + ledger.calc_account_hash(
-                                                 {sanity_test:opts.sanity_test})
-                                                   .to_hex());
+var report = ledger.verify({sanity_test:opts.sanity_test});
+
+[ 'ledger_hash', 'transaction_hash', 'account_hash' ].forEach(function(name) {
+  var result = report[name];
+  var status = result.skipped ? 'skipped' : (result.valid ? 'ok' : 'MISMATCH');
+
+  console.log(name + ': ' + status);
+  console.log("  in header:   " + result.expected);
+
+  if (result.calculated) {
+    console.log("  calculated:  " + result.calculated);
+  }
+
+  if (result.error) {
+    console.log("  error:       " + result.error);
+  }
+});
+
+process.exit(report.verified ? 0 : 1);
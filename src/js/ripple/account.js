@@ -101,6 +101,10 @@ function Account(remote, account) {
 
   this._transactionManager = new TransactionManager(this);
 
+  this._transactionManager.on('gap_filled', function(info) {
+    self.emit('gap_filled', info);
+  });
+
   return this;
 };
 
@@ -294,6 +298,16 @@ Account.prototype.submit = function(transaction) {
   this._transactionManager.submit(transaction);
 };
 
+/**
+ * Submit payments from this account in a batch
+ *
+ * @see TransactionManager#submitBatch
+ */
+
+Account.prototype.submitBatch = function(payments, options, callback) {
+  this._transactionManager.submitBatch(payments, options, callback);
+};
+
 
 /**
  *  Check whether the given public key is valid for this account
@@ -0,0 +1,189 @@
+var util     = require('util');
+var Readable = require('stream').Readable;
+var utils    = require('./utils');
+
+/**
+ * Readable stream of the transaction history of an account.
+ *
+ * Walks the pages of account_tx using markers, requesting the next page only
+ * when the consumer has read the previous one. Transactions are emitted as
+ * objects, as returned by Remote#requestAccountTx.
+ *
+ * @example
+ *   var stream = remote.accountTxStream({
+ *     account: 'ganVp9o5emfzpwrG5QVUXqMv8AgLcdvySb',
+ *     forward: true
+ *   });
+ *
+ *   stream.on('data', function(transaction) { ... });
+ *   stream.on('end', function() { ... });
+ *
+ * @param {Remote} remote
+ * @param {Object} options
+ * @param {String} options.account
+ * @param {Number} [options.ledger_index_min] or options.min_ledger
+ * @param {Number} [options.ledger_index_max] or options.max_ledger
+ * @param {Date} [options.start_date] skip transactions before this date
+ * @param {Date} [options.end_date] skip transactions after this date. Dates
+ *   only apply to transactions with a `date` field, binary transactions do
+ *   not have one
+ * @param {Boolean} [options.forward] oldest transactions first, defaults to
+ *   false
+ * @param {Number} [options.limit] transactions per page, defaults to 200
+ * @param {Object} [options.marker] resume from a previous stream's marker
+ * @param {Boolean} [options.binary] request binary transactions, which are
+ *   parsed unless options.parseBinary is false
+ * @param {Number} [options.highWaterMark] transactions buffered before the
+ *   stream stops requesting pages, defaults to 16
+ */
+
+function AccountTxStream(remote, options) {
+  if (typeof options !== 'object' || options === null || !options.account) {
+    throw new TypeError('Missing account');
+  }
+
+  Readable.call(this, {
+    objectMode: true,
+    highWaterMark: options.highWaterMark
+  });
+
+  this._remote = remote;
+  this._options = options;
+
+  this._forward = Boolean(options.forward);
+  this._start = date(options.start_date);
+  this._end = date(options.end_date);
+
+  // Marker of the next page, to resume the stream later
+  this.marker = options.marker;
+
+  this._requesting = false;
+  this._ended = false;
+};
+
+util.inherits(AccountTxStream, Readable);
+
+AccountTxStream.DEFAULT_LIMIT = 200;
+
+function date(value) {
+  if (value === void(0) || value === null) {
+    return void(0);
+  }
+
+  return utils.fromTimestamp(value);
+};
+
+AccountTxStream.prototype._read = function() {
+  if (!this._requesting && !this._ended) {
+    this._requestPage();
+  }
+};
+
+AccountTxStream.prototype._requestPage = function() {
+  var self = this;
+  var options = this._options;
+
+  var request_options = {
+    account: options.account,
+    ledger_index_min: options.ledger_index_min,
+    ledger_index_max: options.ledger_index_max,
+    min_ledger: options.min_ledger,
+    max_ledger: options.max_ledger,
+    forward: this._forward,
+    limit: options.limit || AccountTxStream.DEFAULT_LIMIT,
+    binary: options.binary,
+    parseBinary: options.parseBinary
+  };
+
+  if (this.marker !== void(0)) {
+    request_options.marker = this.marker;
+  }
+
+  Object.keys(request_options).forEach(function(key) {
+    if (request_options[key] === void(0)) {
+      delete request_options[key];
+    }
+  });
+
+  this._requesting = true;
+
+  this._remote.requestAccountTx(request_options, function(err, res) {
+    self._requesting = false;
+
+    if (self._ended) {
+      return;
+    }
+
+    if (err) {
+      self._ended = true;
+      self.emit('error', err);
+      return;
+    }
+
+    self.marker = res.marker;
+    self._handlePage(res.transactions || [ ]);
+  });
+};
+
+/**
+ * Push the transactions of a page within the date range, and request the next
+ * page if the consumer wants more.
+ */
+
+AccountTxStream.prototype._handlePage = function(transactions) {
+  var more = true;
+
+  for (var i=0, l=transactions.length; i<l; i++) {
+    // Aborted by a data listener
+    if (this._ended) {
+      return;
+    }
+
+    var transaction = transactions[i];
+    var tx_date = transaction.tx && transaction.tx.date;
+
+    if (typeof tx_date === 'number') {
+      var before = this._start !== void(0) && tx_date < this._start;
+      var after = this._end !== void(0) && tx_date > this._end;
+
+      // Once past the range in the direction of the walk, nothing that
+      // follows can be in it
+      if ((this._forward && after) || (!this._forward && before)) {
+        this.marker = void(0);
+        return this._finish();
+      }
+
+      if (before || after) {
+        continue;
+      }
+    }
+
+    more = this.push(transaction);
+  }
+
+  if (this.marker === void(0)) {
+    this._finish();
+  } else if (more) {
+    this._requestPage();
+  }
+};
+
+AccountTxStream.prototype._finish = function() {
+  this._ended = true;
+  this.push(null);
+};
+
+/**
+ * Stop the stream, without requesting further pages. The marker is kept, so
+ * that a new stream can resume after the last page received.
+ */
+
+AccountTxStream.prototype.abort = function() {
+  if (!this._ended) {
+    this._finish();
+  }
+};
+
+exports.AccountTxStream = AccountTxStream;
+
+// vim:sw=2:sts=2:ts=8:et
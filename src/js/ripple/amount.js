@@ -79,6 +79,10 @@ Amount.from_human = function(j, opts) {
   return (new Amount()).parse_human(j, opts);
 };
 
+Amount.from_decimal = function(decimal, currency, issuer, opts) {
+  return (new Amount()).parse_decimal(decimal, currency, issuer, opts);
+};
+
 Amount.is_valid = function(j) {
   return Amount.from_json(j).is_valid();
 };
@@ -306,9 +310,154 @@ Amount.prototype.equals = function(d, ignore_issuer) {
   return result;
 };
 
+/**
+ * Rounding modes of multiply, divide, ratio_human and parse_decimal:
+ *
+ *   half_even : to the nearest value, ties to the even one
+ *   floor     : towards negative infinity
+ *   ceiling   : towards positive infinity
+ *   truncate  : towards zero
+ */
+
+Amount.rounding_modes = [ 'half_even', 'floor', 'ceiling', 'truncate' ];
+
+function checkRounding(mode) {
+  if (Amount.rounding_modes.indexOf(mode) === -1) {
+    throw new Error('Invalid rounding mode: ' + mode);
+  }
+};
+
+/**
+ * Round (numerator / denominator) * 10^exponent to a value that an amount
+ * holds: whole drops for STR, 16 significant digits for other currencies.
+ *
+ * @param {BigInteger} numerator, positive
+ * @param {BigInteger} denominator, positive
+ * @param {Number} exponent
+ * @param {Boolean} is_native
+ * @param {Boolean} is_negative
+ * @param [String] mode, see Amount.rounding_modes
+ * @return {Object} { value, offset, exact }
+ */
+
+function roundDecimal(numerator, denominator, exponent, is_native, is_negative, mode) {
+  if (numerator.equals(BigInteger.ZERO)) {
+    return { value: BigInteger.ZERO, offset: 0, exact: true };
+  }
+
+  // Digits of the value to keep, as a power of ten
+  var scale;
+
+  function quotient() {
+    var n = numerator;
+    var d = denominator;
+
+    if (scale >= 0) {
+      n = n.multiply(consts.bi_10.clone().pow(scale));
+    } else {
+      d = d.multiply(consts.bi_10.clone().pow(-scale));
+    }
+
+    return n.divideAndRemainder(d).concat(d);
+  };
+
+  var result;
+
+  if (is_native) {
+    scale = exponent;
+    result = quotient();
+  } else {
+    scale = 15 - (numerator.toString().length - denominator.toString().length);
+    result = quotient();
+
+    while (result[0].compareTo(consts.bi_man_min_value) < 0) {
+      scale += 1;
+      result = quotient();
+    }
+
+    while (result[0].compareTo(consts.bi_man_max_value) > 0) {
+      scale -= 1;
+      result = quotient();
+    }
+  }
+
+  var value = result[0];
+  var remainder = result[1];
+  var exact = remainder.equals(BigInteger.ZERO);
+  var up = false;
+
+  switch (exact ? 'exact' : mode) {
+    case 'half_even':
+      var half = remainder.shiftLeft(1).compareTo(result[2]);
+      up = half > 0 || (half === 0 && value.testBit(0));
+      break;
+    case 'floor':
+      up = is_negative;
+      break;
+    case 'ceiling':
+      up = !is_negative;
+      break;
+  }
+
+  if (up) {
+    value = value.add(BigInteger.ONE);
+  }
+
+  if (!is_native && value.compareTo(consts.bi_man_max_value) > 0) {
+    value = value.divide(consts.bi_10);
+    scale -= 1;
+  }
+
+  return {
+    value: value,
+    offset: is_native ? 0 : exponent - scale,
+    exact: exact
+  };
+};
+
+/**
+ * Set the value of this amount from an exactly computed one, rounded with a
+ * rounding mode.
+ *
+ * @private
+ */
+
+Amount.prototype._setRounded = function(numerator, denominator, exponent, is_negative, mode) {
+  var rounded = roundDecimal(numerator, denominator, exponent, this._is_native, is_negative, mode);
+  var exact = rounded.exact;
+
+  this._value = rounded.value;
+  this._offset = rounded.offset;
+  this._is_negative = is_negative;
+
+  if (this._is_native) {
+    if (this._value.compareTo(consts.bi_xns_max) > 0) {
+      this._value = NaN;
+    }
+  } else if (this._offset > consts.cMaxOffset) {
+    this._value = NaN;
+  } else if (this._offset < consts.cMinOffset) {
+    // Too small to hold
+    this._value = BigInteger.ZERO;
+    exact = false;
+  }
+
+  this.canonicalize();
+
+  return exact;
+};
+
 // Result in terms of this' currency and issuer.
-Amount.prototype.divide = function(d) {
+//
+// With `opts.rounding`, the exact quotient is rounded with that mode, see
+// Amount.rounding_modes.
+Amount.prototype.divide = function(d, opts) {
   var result;
+  var rounding = opts && opts.rounding;
+
+  if (rounding) {
+    checkRounding(rounding);
+  }
 
   if (d.is_zero()) {
     throw new Error('divide by zero');
@@ -320,6 +469,9 @@ Amount.prototype.divide = function(d) {
     throw new Error('Invalid dividend');
   } else if (!d.is_valid()) {
     throw new Error('Invalid divisor');
+  } else if (rounding) {
+    result = this.clone();
+    result._setRounded(this._value, d._value, this._offset - d._offset, this._is_negative !== d._is_negative, rounding);
   } else {
     var _n = this;
 
@@ -375,6 +527,8 @@ Amount.prototype.divide = function(d) {
  * @param opts Options for the calculation.
  * @param opts.reference_date {Date|Number} Date based on which demurrage/interest
  *   should be applied. Can be given as JavaScript Date or int for Ripple epoch.
+ * @param opts.rounding {String} Rounding mode of the ratio, see
+ *   Amount.rounding_modes.
  * @return {Amount} The resulting ratio. Unit will be the same as numerator.
  */
 Amount.prototype.ratio_human = function(denominator, opts) {
@@ -419,7 +573,7 @@ Amount.prototype.ratio_human = function(denominator, opts) {
     numerator.canonicalize();
   }
 
-  return numerator.divide(denominator);
+  return numerator.divide(denominator, { rounding: opts.rounding });
 };
 
 /**
@@ -520,14 +674,29 @@ Amount.prototype.issuer = function() {
 
 // Result in terms of this' currency and issuer.
 // XXX Diverges from cpp.
-Amount.prototype.multiply = function(v) {
+//
+// With `opts.rounding`, the exact product is rounded with that mode, see
+// Amount.rounding_modes.
+Amount.prototype.multiply = function(v, opts) {
   var result;
+  var rounding = opts && opts.rounding;
+
+  if (rounding) {
+    checkRounding(rounding);
+  }
 
   if (this.is_zero()) {
     result = this;
   } else if (v.is_zero()) {
     result = this.clone();
     result._value = BigInteger.ZERO;
+  } else if (rounding) {
+    if (!this.is_valid() || !v.is_valid()) {
+      return Amount.NaN();
+    }
+
+    result = this.clone();
+    result._setRounded(this._value.multiply(v._value), BigInteger.ONE, this._offset + v._offset, this._is_negative !== v._is_negative, rounding);
   } else {
     var v1 = this._value;
     var o1 = this._offset;
@@ -614,7 +783,8 @@ Amount.human_RE = /^\s*([a-z]{3})?\s*(-)?(\d*)(?:\.(\d*))?\s*([a-f0-9]{40}|[a-z0
 Amount.prototype.parse_human = function(j, opts) {
   opts = opts || {};
 
-  var m = String(j).match(Amount.human_RE);
+  var human = opts.locale ? Amount.delocalize(j, opts.locale) : String(j);
+  var m = human && human.match(Amount.human_RE);
 
   if (m) {
     var currency   = m[1] || m[5] || 'STR';
@@ -918,6 +1088,50 @@ Amount.prototype.parse_value = function(j) {
   return this;
 };
 
+/**
+ * Parse an exact decimal string, such as '-1234.5', in units of the currency.
+ * STR amounts are in STR, not drops.
+ *
+ * A decimal that an amount cannot hold exactly, with more than 16 significant
+ * digits or a fraction of a drop, is invalid unless a rounding mode is given.
+ *
+ * @param {String} decimal
+ * @param [String|Currency] currency, defaults to STR
+ * @param [String|UInt160] issuer
+ * @param [Object] opts
+ *   @param [String] rounding mode, see Amount.rounding_modes
+ */
+
+Amount.prototype.parse_decimal = function(decimal, currency, issuer, opts) {
+  var rounding = opts && opts.rounding;
+  var m = typeof decimal === 'string' && decimal.match(/^(-)?(\d+)(?:\.(\d+))?$/);
+
+  if (rounding) {
+    checkRounding(rounding);
+  }
+
+  this.set_currency(currency || 'STR');
+
+  if (issuer) {
+    this.set_issuer(issuer);
+  }
+
+  if (!m) {
+    this._value = NaN;
+    return this;
+  }
+
+  var fraction = m[3] || '';
+  var exponent = -fraction.length + (this._is_native ? consts.xns_precision : 0);
+  var exact = this._setRounded(new BigInteger(m[2] + fraction), BigInteger.ONE, exponent, !!m[1], rounding);
+
+  if (!exact && !rounding) {
+    this._value = NaN;
+  }
+
+  return this;
+};
+
 Amount.prototype.set_currency = function(c) {
   this._currency  = Currency.from_json(c);
   this._is_native = this._currency.is_native();
@@ -981,6 +1195,45 @@ Amount.prototype.to_text = function(allow_nan) {
   return result;
 };
 
+/**
+ * Format the value as an exact decimal string, in units of the currency,
+ * without exponent or grouping. STR amounts are in STR, not drops.
+ *
+ * @example
+ *   Amount.from_json('1500000').to_decimal(); // '1.5'
+ *
+ * @return {String} decimal, 'NaN' if the amount is not valid
+ */
+
+Amount.prototype.to_decimal = function() {
+  if (!this.is_valid()) {
+    return 'NaN';
+  }
+
+  if (this.is_zero()) {
+    return '0';
+  }
+
+  var digits = this._value.toString();
+  var offset = this._is_native ? -consts.xns_precision : this._offset;
+  var result;
+
+  if (offset >= 0) {
+    result = digits + new Array(offset + 1).join('0');
+  } else {
+    while (digits.length <= -offset) {
+      digits = '0' + digits;
+    }
+
+    var integer = digits.slice(0, offset);
+    var fraction = digits.slice(offset).replace(/0+$/, '');
+
+    result = integer + (fraction.length ? '.' + fraction : '');
+  }
+
+  return (this._is_negative ? '-' : '') + result;
+};
+
 /**
  * Calculate present value based on currency and a reference date.
  *
@@ -1014,6 +1267,165 @@ Amount.prototype.applyInterest = function(referenceDate) {
   }
 };
 
+/**
+ * Number formats of locales, used by to_human and parse_human with the
+ * `locale` option.
+ *
+ *   decimal_sep     : Decimal mark
+ *   group_sep       : Separator of digit groups
+ *   group_width     : Width of digit groups, from the decimal mark. An Array
+ *                     gives the width of each group, the last one repeating,
+ *                     e.g. [ 3, 2 ] for lakh and crore
+ *   signed          : Negative sign, written before the value and the
+ *                     currency symbol
+ *   symbol_position : 'before' or 'after' the value
+ *   symbol_sep      : Separator of the currency symbol and the value
+ *
+ * More locales can be added to this object.
+ */
+
+Amount.locales = {
+  'en': {
+    decimal_sep: '.',
+    group_sep: ',',
+    group_width: 3,
+    signed: '-',
+    symbol_position: 'before',
+    symbol_sep: ''
+  },
+  'en-IN': {
+    decimal_sep: '.',
+    group_sep: ',',
+    group_width: [ 3, 2 ],
+    signed: '-',
+    symbol_position: 'before',
+    symbol_sep: ''
+  },
+  'de': {
+    decimal_sep: ',',
+    group_sep: '.',
+    group_width: 3,
+    signed: '-',
+    symbol_position: 'after',
+    symbol_sep: '\u00a0'
+  },
+  'fr': {
+    decimal_sep: ',',
+    group_sep: '\u202f',
+    group_width: 3,
+    signed: '-',
+    symbol_position: 'after',
+    symbol_sep: '\u00a0'
+  }
+};
+
+/**
+ * Symbols of currencies, used by to_human with the `symbol` option and
+ * recognized by parse_human with the `locale` option. Other currencies are
+ * shown with their code.
+ */
+
+Amount.currency_symbols = {
+  USD: '$',
+  EUR: '\u20ac',
+  GBP: '\u00a3',
+  JPY: '\u00a5',
+  INR: '\u20b9'
+};
+
+/**
+ * Get the number format of a locale. A locale without a format of its own,
+ * such as 'de-AT', falls back to its language.
+ *
+ * @param {String} locale
+ * @return {Object} number format
+ */
+
+Amount.locale = function(locale) {
+  var profile = Amount.locales[locale] || Amount.locales[String(locale).split('-')[0]];
+
+  if (!profile) {
+    throw new Error('Unknown locale: ' + locale);
+  }
+
+  return profile;
+};
+
+// Spaces in numbers may be typed as any of these
+var SPACES_RE = /[\u00a0\u2007\u202f]/g;
+
+function escapeRegExp(string) {
+  return string.replace(/[-\/\\^$*+?.()|[\]{}]/g, '\\$&');
+};
+
+/**
+ * Separate the integer part of a number into groups of digits.
+ *
+ * @param {String} digits
+ * @param {Number|Array} width of the groups, from the right
+ * @param {String} separator
+ */
+
+function groupDigits(digits, width, separator) {
+  var widths = Array.isArray(width) ? width : [ width ];
+  var groups = [ ];
+  var end = digits.length;
+
+  for (var i=0; end > 0; i++) {
+    var start = Math.max(end - widths[Math.min(i, widths.length - 1)], 0);
+    groups.unshift(digits.slice(start, end));
+    end = start;
+  }
+
+  return groups.join(separator);
+};
+
+/**
+ * Convert an amount written in a locale to the format parse_human reads
+ * without a locale, e.g. '-1.234,5 EUR' in 'de' to '-1234.5 EUR'.
+ *
+ * Currency symbols are replaced by their code. Digit groups must be where
+ * the locale puts them, otherwise the amount is rejected rather than read
+ * with a misplaced decimal mark.
+ *
+ * @param {String} human
+ * @param {String} locale
+ * @return {String|null} null if the amount is not valid in the locale
+ */
+
+Amount.delocalize = function(human, locale) {
+  var profile = Amount.locale(locale);
+  var value = String(human).replace(SPACES_RE, ' ');
+  var group_sep = profile.group_sep.replace(SPACES_RE, ' ');
+  var signs = [ profile.signed, '-', '\u2212' ].map(escapeRegExp).join('|');
+
+  Object.keys(Amount.currency_symbols).forEach(function(code) {
+    value = value.replace(Amount.currency_symbols[code], ' ' + code + ' ');
+  });
+
+  var m = value.match(new RegExp('^\\s*([a-z]{3})?\\s*(' + signs + ')?\\s*([a-z]{3})?\\s*'
+    + '((?:\\d|' + escapeRegExp(group_sep) + ')*)'
+    + '(?:' + escapeRegExp(profile.decimal_sep) + '(\\d*))?'
+    + '\\s*([a-f0-9]{40}|[a-z0-9]{3})?\\s*$', 'i'));
+
+  if (!m || (m[1] && m[3])) {
+    return null;
+  }
+
+  var integer = m[4].trim();
+  var digits = integer.split(group_sep).join('');
+
+  if (integer !== digits && groupDigits(digits, profile.group_width, group_sep) !== integer) {
+    return null;
+  }
+
+  return (m[1] || m[3] || '')
+    + (m[2] ? '-' : '')
+    + digits
+    + (m[5] !== void(0) ? '.' + m[5] : '')
+    + (m[6] ? ' ' + m[6] : '');
+};
+
 /**
  * Format only value in a human-readable format.
  *
@@ -1029,12 +1441,23 @@ Amount.prototype.applyInterest = function(referenceDate) {
  *   Will cut fractional part, but never integer part.
  * @param opts.group_sep {Boolean|String} Whether to show a separator every n
  *   digits, if a string, that value will be used as the separator. Default: ','
- * @param opts.group_width {Number} How many numbers will be grouped together,
- *   default: 3.
+ * @param opts.group_width {Number|Array} How many numbers will be grouped
+ *   together, default: 3. An Array gives the width of each group from the
+ *   decimal point, the last one repeating.
+ * @param opts.decimal_sep {String} Decimal point, default: '.'
  * @param opts.signed {Boolean|String} Whether negative numbers will have a
  *   prefix. If String, that string will be used as the prefix. Default: '-'
  * @param opts.reference_date {Date|Number} Date based on which demurrage/interest
  *   should be applied. Can be given as JavaScript Date or int for Ripple epoch.
+ * @param opts.symbol {Boolean|String} Whether to show the currency symbol, or
+ *   its code if it has none. If String, that string will be used as the
+ *   symbol.
+ * @param opts.symbol_position {String} 'before' or 'after' the value,
+ *   default: 'before'
+ * @param opts.symbol_sep {String} Separator of the symbol and the value,
+ *   default: '' for symbols, ' ' for codes
+ * @param opts.locale {String} Locale whose format is used for the options
+ *   that are not given, see Amount.locales
  */
 Amount.prototype.to_human = function(opts) {
   opts = opts || {};
@@ -1043,6 +1466,22 @@ Amount.prototype.to_human = function(opts) {
     return '';
   }
 
+  // Options of the locale, unless given
+  if (opts.locale) {
+    var profile = Amount.locale(opts.locale);
+    var localized = { };
+
+    Object.keys(profile).forEach(function(key) {
+      localized[key] = profile[key];
+    });
+
+    Object.keys(opts).forEach(function(key) {
+      localized[key] = opts[key];
+    });
+
+    opts = localized;
+  }
+
   // Default options
   if (typeof opts.signed === 'undefined') {
     opts.signed = true;
@@ -1118,7 +1557,7 @@ Amount.prototype.to_human = function(opts) {
     if (typeof opts.group_sep !== 'string') {
       opts.group_sep = ',';
     }
-    int_part = utils.chunkString(int_part, opts.group_width, true).join(opts.group_sep);
+    int_part = groupDigits(int_part, opts.group_width, opts.group_sep);
   }
 
   var formatted = '';
@@ -1129,8 +1568,20 @@ Amount.prototype.to_human = function(opts) {
     formatted += opts.signed;
   }
 
-  formatted += int_part.length ? int_part : '0';
-  formatted += fraction_part.length ? '.' + fraction_part : '';
+  var value = int_part.length ? int_part : '0';
+  value += fraction_part.length ? (opts.decimal_sep || '.') + fraction_part : '';
+
+  if (opts.symbol) {
+    var code = this._currency.to_human();
+    var symbol = typeof opts.symbol === 'string' ? opts.symbol : (Amount.currency_symbols[code] || code);
+    var symbol_sep = opts.symbol_sep || (/^[a-z0-9]+$/i.test(symbol) ? ' ' : '');
+
+    value = opts.symbol_position === 'after'
+      ? value + symbol_sep + symbol
+      : symbol + symbol_sep + value;
+  }
+
+  formatted += value;
 
   return formatted;
 };
@@ -0,0 +1,148 @@
+var extend           = require('extend');
+var binformat        = require('./binformat');
+var hashprefixes     = require('./hashprefixes');
+var SerializedObject = require('./serializedobject').SerializedObject;
+
+/**
+ * Binary codec for ledger entries and transaction metadata.
+ *
+ * Reads and writes the binary form that servers return for requests made
+ * with `binary: true`, and that ledger dumps use. Binary data is given as hex
+ * strings, byte arrays or SerializedObjects, and written as hex strings.
+ */
+
+function toSerializedObject(binary) {
+  return binary instanceof SerializedObject ? binary : new SerializedObject(binary);
+};
+
+/**
+ * Encode a ledger entry of any type in binformat.ledger.
+ *
+ * The `index` of an entry is its key in the ledger rather than one of its
+ * fields, and is not encoded.
+ *
+ * @param {Object} entry
+ * @return {String} hex
+ */
+
+function encodeLedgerEntry(entry) {
+  if (!entry || entry.LedgerEntryType === void(0)) {
+    throw new Error('Ledger entry must have a LedgerEntryType');
+  }
+
+  var json = extend({ }, entry);
+  delete json.index;
+
+  return SerializedObject.from_json(json).to_hex();
+};
+
+/**
+ * Decode a ledger entry.
+ *
+ * @param {String|Array|SerializedObject} binary
+ * @param [String] index of the entry, added to the result
+ * @param [Object] options of SerializedObject#to_json
+ * @return {Object}
+ */
+
+function decodeLedgerEntry(binary, index, options) {
+  var entry = toSerializedObject(binary).to_json(options);
+
+  if (!binformat.ledger.hasOwnProperty(entry.LedgerEntryType)) {
+    throw new Error('LedgerEntryType is invalid');
+  }
+
+  if (index !== void(0)) {
+    entry.index = index;
+  }
+
+  return entry;
+};
+
+/**
+ * Encode the metadata of a transaction.
+ *
+ * @param {Object} meta
+ * @return {String} hex
+ */
+
+function encodeMeta(meta) {
+  if (!meta || !Array.isArray(meta.AffectedNodes)) {
+    throw new Error('Metadata must have AffectedNodes');
+  }
+
+  return SerializedObject.from_json(meta).to_hex();
+};
+
+/**
+ * Decode the metadata of a transaction.
+ *
+ * @param {String|Array|SerializedObject} binary
+ * @param [Object] options of SerializedObject#to_json
+ * @return {Object}
+ */
+
+function decodeMeta(binary, options) {
+  var meta = toSerializedObject(binary).to_json(options);
+
+  var valid = Array.isArray(meta.AffectedNodes)
+    && typeof meta.TransactionIndex === 'number'
+    && typeof meta.TransactionResult === 'string';
+
+  if (!valid) {
+    throw new Error('Metadata is invalid');
+  }
+
+  return meta;
+};
+
+/**
+ * Decode a ledger requested with `binary: true`, with its account state and
+ * its transactions, into the JSON form that Ledger.from_json reads.
+ *
+ * Account state entries are { data, index }, and transactions are
+ * { tx_blob, meta }. Transactions get their hash, and their metadata as
+ * `metaData`. Entries that are already JSON are kept.
+ *
+ * @param {Object} ledger
+ * @return {Object} ledger
+ */
+
+function decodeLedger(ledger) {
+  var result = extend({ }, ledger);
+
+  if (Array.isArray(ledger.accountState)) {
+    result.accountState = ledger.accountState.map(function(entry) {
+      return typeof entry.data === 'string' ? decodeLedgerEntry(entry.data, entry.index) : entry;
+    });
+  }
+
+  if (Array.isArray(ledger.transactions)) {
+    result.transactions = ledger.transactions.map(function(transaction) {
+      if (typeof transaction.tx_blob !== 'string') {
+        return transaction;
+      }
+
+      var so = new SerializedObject(transaction.tx_blob);
+      var tx = so.to_json();
+
+      tx.hash = transaction.hash || so.hash(hashprefixes.HASH_TX_ID).to_hex();
+
+      if (transaction.meta !== void(0)) {
+        tx.metaData = decodeMeta(transaction.meta);
+      }
+
+      return tx;
+    });
+  }
+
+  return result;
+};
+
+exports.encodeLedgerEntry = encodeLedgerEntry;
+exports.decodeLedgerEntry = decodeLedgerEntry;
+exports.encodeMeta        = encodeMeta;
+exports.decodeMeta        = decodeMeta;
+exports.decodeLedger      = decodeLedger;
+
+// vim:sw=2:sts=2:ts=8:et
@@ -0,0 +1,176 @@
+var Amount      = require('./amount').Amount;
+var Transaction = require('./transaction').Transaction;
+
+/**
+ * Estimates transaction fees from the load history of the connected servers.
+ *
+ * A server's fee at a point in time is its base fee scaled by its load
+ * factor. The estimator records the highest fee of each server in each of the
+ * last `ledgers` closed ledgers, along with the current fee of every connected
+ * server, and suggests fees at percentiles of these samples:
+ *
+ *   low    : 25th percentile, for transactions that can wait out a spike
+ *   median : 50th percentile
+ *   high   : 90th percentile, and at least the highest current fee
+ *
+ * Unlike Remote#feeTx, no fee cushion is applied.
+ *
+ * @constructor FeeEstimator
+ * @param {Remote} remote
+ * @param [Object] options
+ *   @param [Number] ledgers of history to keep, defaults to 20
+ */
+
+function FeeEstimator(remote, options) {
+  var opts = options || { };
+
+  this._remote = remote;
+  this._ledgers = opts.ledgers || FeeEstimator.DEFAULT_LEDGERS;
+
+  // Fee units by ledger index, then by server
+  this._history = { };
+};
+
+FeeEstimator.DEFAULT_LEDGERS = 20;
+
+FeeEstimator.percentiles = {
+  low: 0.25,
+  median: 0.5,
+  high: 0.9
+};
+
+// Suggestion used for each urgency
+FeeEstimator.urgencies = {
+  low: 'low',
+  medium: 'median',
+  high: 'high'
+};
+
+/**
+ * Fee of one fee unit on a server, without fee cushion.
+ *
+ * @param {Server} server
+ * @return {Number}
+ */
+
+FeeEstimator.feeUnit = function(server) {
+  return server._feeTxUnit(1);
+};
+
+/**
+ * Record the current fee of a server in a ledger. The highest fee of a
+ * server in a ledger is kept.
+ *
+ * @param {Server} server
+ * @param {Number} ledger_index
+ */
+
+FeeEstimator.prototype.addSample = function(server, ledger_index) {
+  if (typeof ledger_index !== 'number') {
+    return;
+  }
+
+  var fee_unit = FeeEstimator.feeUnit(server);
+
+  if (!isFinite(fee_unit)) {
+    return;
+  }
+
+  var ledger = this._history[ledger_index] || (this._history[ledger_index] = { });
+  var url = server._url;
+
+  if (!ledger.hasOwnProperty(url) || ledger[url] < fee_unit) {
+    ledger[url] = fee_unit;
+  }
+
+  this._prune(ledger_index);
+};
+
+FeeEstimator.prototype._prune = function(ledger_index) {
+  var self = this;
+  var oldest = ledger_index - this._ledgers;
+
+  Object.keys(this._history).forEach(function(index) {
+    if (Number(index) <= oldest) {
+      delete self._history[index];
+    }
+  });
+};
+
+/**
+ * Estimate the fee of a transaction.
+ *
+ * @param [Object] options
+ *   @param [String] urgency, 'low', 'medium' or 'high', defaults to 'medium'
+ *   @param [Number] units of the transaction, defaults to the fee units of a
+ *     transaction
+ * @return {Object} { urgency, fee, low, median, high, ledgers }, fees as
+ *   Amounts
+ */
+
+FeeEstimator.prototype.estimate = function(options) {
+  var self = this;
+  var opts = options || { };
+  var urgency = opts.urgency || 'medium';
+  var units = opts.units || Transaction.fee_units['default'];
+
+  if (!FeeEstimator.urgencies.hasOwnProperty(urgency)) {
+    throw new TypeError('Fee urgency must be "low", "medium" or "high"');
+  }
+
+  var samples = [ ];
+  var current = [ ];
+
+  Object.keys(this._history).forEach(function(index) {
+    var ledger = self._history[index];
+    Object.keys(ledger).forEach(function(url) {
+      samples.push(ledger[url]);
+    });
+  });
+
+  this._remote._servers.forEach(function(server) {
+    if (server._connected) {
+      var fee_unit = FeeEstimator.feeUnit(server);
+      if (isFinite(fee_unit)) {
+        current.push(fee_unit);
+      }
+    }
+  });
+
+  if (!samples.length && !current.length) {
+    throw new Error('No connected servers');
+  }
+
+  samples = samples.concat(current).sort(function(a, b) {
+    return a - b;
+  });
+
+  function fee(fee_unit) {
+    return Amount.from_json(String(Math.ceil(units * fee_unit)));
+  };
+
+  var result = {
+    urgency: urgency,
+    ledgers: Object.keys(this._history).length
+  };
+
+  Object.keys(FeeEstimator.percentiles).forEach(function(name) {
+    var rank = Math.ceil(FeeEstimator.percentiles[name] * samples.length) - 1;
+    result[name] = samples[Math.max(rank, 0)];
+  });
+
+  // A transaction that must get in pays at least what servers ask now
+  result.high = Math.max(result.high, Math.max.apply(Math, current.length ? current : [ 0 ]));
+
+  [ 'low', 'median', 'high' ].forEach(function(name) {
+    result[name] = fee(result[name]);
+  });
+
+  result.fee = result[FeeEstimator.urgencies[urgency]];
+
+  return result;
+};
+
+exports.FeeEstimator = FeeEstimator;
+
+// vim:sw=2:sts=2:ts=8:et
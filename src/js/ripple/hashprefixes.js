@@ -11,6 +11,8 @@
  * some arbitrary string. For example "TXN".
  */
 
+// ledger master data for signing
+exports.HASH_LEDGER          = 0x4C575200; // 'LWR'
 // transaction plus signature to give transaction ID
 exports.HASH_TX_ID           = 0x54584E00; // 'TXN'
 // transaction plus metadata
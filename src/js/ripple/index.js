@@ -16,8 +16,14 @@ exports.VaultClient      = require('./vaultclient').VaultClient;
 exports.AuthInfo         = require('./authinfo').AuthInfo;
 exports.RippleTxt        = require('./rippletxt').RippleTxt;
 exports.binformat        = require('./binformat');
+exports.binary           = require('./binary');
+exports.valuation        = require('./valuation');
 exports.utils            = require('./utils');
 exports.Server           = require('./server').Server;
+exports.Storage          = require('./storage').Storage;
+exports.MemoryStorage    = require('./storage').MemoryStorage;
+exports.KeyValueStorage  = require('./storage').KeyValueStorage;
+exports.FileStorage      = require('./storage').FileStorage;
 
 // Important: We do not guarantee any specific version of SJCL or for any
 // specific features to be included. The version and configuration may change at
@@ -25,6 +25,28 @@ KeyPair.from_seed_bytes = function(bytes) {
   return result;
 }
 
+/**
+ * Creates a KeyPair from a public key only. Such a key pair can verify
+ * signatures, but not sign.
+ *
+ * @param {String} hex ED25519 public key as hex
+ */
+KeyPair.from_hex_pub = function(hex) {
+  if (typeof hex !== 'string' || !/^([0-9A-Fa-f]{2})+$/.test(hex)) {
+    throw new Error('Invalid public key');
+  }
+
+  var bytes = sjcl.codec.bytes.fromBits(sjcl.codec.hex.toBits(hex));
+
+  if (bytes.length !== tnacl.sign.publicKeyLength) {
+    throw new Error('Invalid public key length');
+  }
+
+  var result = new KeyPair();
+  result._pubkey = new Uint8Array(bytes);
+  return result;
+};
+
 /**
  * Returns public key as a byte array.
  *
@@ -88,4 +110,33 @@ KeyPair.prototype.sign = function(hash) {
   return sjcl.codec.bytes.toBits(sig);
 };
 
+/**
+ * Verifies a signature of a hash against this key pair's public key.
+ *
+ * @param {String|UInt256} hash
+ * @param {String|Array} sig signature as hex or as bit array
+ * @return {Boolean}
+ */
+KeyPair.prototype.verify = function(hash, sig) {
+  hash = UInt256.from_json(hash);
+
+  if (typeof sig === 'string') {
+    sig = sjcl.codec.hex.toBits(sig);
+  }
+
+  var sig_bytes = sjcl.codec.bytes.fromBits(sig);
+
+  if (!hash.is_valid() || sig_bytes.length !== tnacl.sign.signatureLength) {
+    return false;
+  }
+
+  var message = tnacl.sign.open(
+    new Uint8Array(hash.to_bytes()),
+    new Uint8Array(sig_bytes),
+    this._pubkey
+  );
+
+  return Boolean(message);
+};
+
 exports.KeyPair = KeyPair;
@@ -8,8 +8,12 @@ var stypes = require('./serializedtypes');
 var UInt160 = require('./uint160').UInt160;
 var Currency = require('./currency').Currency;
 var stypes = require('./serializedtypes');
-var sjcl  = require('./utils').sjcl;
+var utils = require('./utils');
+var sjcl  = utils.sjcl;
 var Crypt = require('./crypt').Crypt;
+var hashprefixes = require('./hashprefixes');
+
+var BigInteger = utils.jsbn.BigInteger;
 
 function Ledger()
 {
@@ -136,6 +140,17 @@ Ledger.prototype.calc_tx_hash = function () {
 *
 */
 Ledger.prototype.calc_account_hash = function (options) {
+  return this.account_state_map(options).hash();
+};
+
+/**
+ * Build the account state tree of the ledger.
+ *
+ * @param [Object] options see calc_account_hash
+ * @return {SHAMap}
+ */
+
+Ledger.prototype.account_state_map = function (options) {
   var account_map = new SHAMap();
   var erred;
 
@@ -161,7 +176,192 @@ Ledger.prototype.calc_account_hash = function (options) {
     throw new Error("There were errors with sanity_test"); // all logged above
   }
 
-  return account_map.hash();
+  return account_map;
+};
+
+/**
+ * Generate a proof that an entry is part of the account state of the ledger.
+ *
+ * To generate proofs for many entries, build the tree once with
+ * account_state_map and call SHAMap#get_proof on it.
+ *
+ * @param index {String} ledger entry index
+ * @return {Object|null} proof, or null if there is no such entry
+ */
+
+Ledger.prototype.account_state_proof = function (index) {
+  return this.account_state_map().get_proof(index);
+};
+
+/**
+ * Verify that a ledger entry, such as an AccountRoot or RippleState, is part
+ * of a ledger with a trusted account_hash.
+ *
+ * @param entry {Object} ledger entry JSON, including its `index`
+ * @param proof {Object} proof from Ledger#account_state_proof
+ * @param account_hash {String|UInt256} trusted account_hash of the ledger
+ * @return {Boolean}
+ */
+
+Ledger.verify_account_state_proof = function (entry, proof, account_hash) {
+  var data;
+
+  if (typeof entry !== 'object' || typeof proof !== 'object' || proof === null) {
+    return false;
+  }
+
+  if (proof.tag !== entry.index || proof.type !== SHAMapTreeNode.TYPE_ACCOUNT_STATE) {
+    return false;
+  }
+
+  try {
+    data = SerializedObject.from_json(entry);
+  } catch (e) {
+    return false;
+  }
+
+  return SHAMap.verify_proof(proof, account_hash, data, SHAMapTreeNode.TYPE_ACCOUNT_STATE);
+};
+
+/**
+ * Read a header field which may be reported under either of two names.
+ */
+
+function header_field(ledger_json, name, alias) {
+  return ledger_json[name] !== void(0) ? ledger_json[name] : ledger_json[alias];
+};
+
+/**
+ * Whether the transactions or account state of a ledger are included as
+ * objects, rather than as hashes.
+ */
+
+function is_expanded(entries) {
+  return Array.isArray(entries) && entries.every(function(entry) {
+    return typeof entry === 'object' && entry !== null;
+  });
+};
+
+/**
+ * Calculate the ledger hash from the ledger header.
+ *
+ * The header commits to the transaction and account state trees through
+ * `transaction_hash` and `account_hash`, so the hash calculated here only
+ * covers the trees if they are checked as well, see Ledger#verify.
+ *
+ * Headers from servers that report a fee pool and inflation sequence include
+ * them in the hash. A header must have both or neither.
+ *
+ * @return {UInt256}
+ */
+
+Ledger.prototype.calc_ledger_hash = function () {
+  var ledger_json = this.ledger_json;
+  var header = new SerializedObject();
+
+  var ledger_index = header_field(ledger_json, 'ledger_index', 'seqNum');
+  var total_coins = header_field(ledger_json, 'total_coins', 'totalCoins');
+  var fee_pool = header_field(ledger_json, 'fee_pool', 'feePool');
+  var inflate_seq = header_field(ledger_json, 'inflate_seq', 'inflateSeq');
+
+  if (ledger_json.parent_close_time === void(0)) {
+    throw new Error('Missing parent_close_time');
+  }
+
+  if ((fee_pool === void(0)) !== (inflate_seq === void(0))) {
+    throw new Error('Missing ' + (fee_pool === void(0) ? 'fee_pool' : 'inflate_seq'));
+  }
+
+  stypes.Int32.serialize(header, Number(ledger_index));
+  stypes.Int64.serialize(header, new BigInteger(String(total_coins), 10));
+
+  if (fee_pool !== void(0)) {
+    stypes.Int64.serialize(header, new BigInteger(String(fee_pool), 10));
+    stypes.Int32.serialize(header, Number(inflate_seq));
+  }
+
+  stypes.Hash256.serialize(header, ledger_json.parent_hash);
+  stypes.Hash256.serialize(header, ledger_json.transaction_hash);
+  stypes.Hash256.serialize(header, ledger_json.account_hash);
+  stypes.Int32.serialize(header, ledger_json.parent_close_time);
+  stypes.Int32.serialize(header, ledger_json.close_time);
+  stypes.Int8.serialize(header, ledger_json.close_time_resolution);
+  stypes.Int8.serialize(header, ledger_json.close_flags || 0);
+
+  return header.hash(hashprefixes.HASH_LEDGER);
+};
+
+/**
+ * Verify the ledger hash, transaction tree and account state tree against
+ * the hashes reported in the ledger header.
+ *
+ * The result has an entry for each of `ledger_hash`, `transaction_hash` and
+ * `account_hash`:
+ *
+ *    {
+ *      expected:   <hash in the header>,
+ *      calculated: <calculated hash>,
+ *      valid:      <Boolean>
+ *    }
+ *
+ * A tree is skipped, with `skipped: true`, when the ledger does not include
+ * it expanded: a ledger requested without `expand` lists the hashes of its
+ * transactions and entries, from which the tree cannot be calculated.
+ * `mismatches` lists the hashes that are invalid or could not be
+ * calculated, in which case the entry has an `error`.
+ *
+ * @param [Object] options passed to calc_account_hash
+ * @return {Object} report
+ */
+
+Ledger.prototype.verify = function (options) {
+  var self = this;
+  var ledger_json = this.ledger_json;
+
+  var report = {
+    verified: true,
+    mismatches: [ ]
+  };
+
+  function check(name, expected, calculate, skip) {
+    var result = { expected: expected };
+
+    report[name] = result;
+
+    if (skip) {
+      result.skipped = true;
+      return;
+    }
+
+    try {
+      result.calculated = calculate.call(self).to_hex();
+      result.valid = result.calculated === result.expected;
+    } catch (e) {
+      result.valid = false;
+      result.error = e.message;
+    }
+
+    if (!result.valid) {
+      report.verified = false;
+      report.mismatches.push(name);
+    }
+  };
+
+  check('ledger_hash',
+        header_field(ledger_json, 'ledger_hash', 'hash'),
+        this.calc_ledger_hash);
+
+  check('transaction_hash',
+        ledger_json.transaction_hash,
+        this.calc_tx_hash,
+        !is_expanded(ledger_json.transactions));
+
+  check('account_hash',
+        ledger_json.account_hash,
+        function() { return this.calc_account_hash(options); },
+        !is_expanded(ledger_json.accountState));
+
+  return report;
 };
 
 exports.Ledger = Ledger;
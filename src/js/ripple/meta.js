@@ -167,4 +167,218 @@ Meta.prototype.getAffectedBooks = function() {
   return utils.arrayUnique(books);
 };
 
+/**
+ * Balance of a node before and after the change, zero for a created node.
+ */
+function balances(an, zero) {
+  var fields = (an.diffType === 'CreatedNode') ? an.fieldsNew : an.fieldsFinal;
+  var final = fields.Balance;
+  var prev = (an.diffType === 'CreatedNode') ? zero : an.fieldsPrev.Balance;
+
+  if (final === void(0) || prev === void(0)) {
+    return null;
+  }
+
+  return {
+    prev: Amount.from_json(prev),
+    final: Amount.from_json(final)
+  };
+};
+
+/**
+ * Compute the net balance changes of the affected accounts.
+ *
+ * STR changes are taken from AccountRoot nodes, so the change of the account
+ * sending the transaction includes the fee it paid. IOU changes are taken from
+ * RippleState nodes, from the point of view of each side of the trust line:
+ * the issuer of a change is the counterparty of the trust line.
+ *
+ * Example result:
+ *
+ *   {
+ *     'gM...': [ Amount(-10.00001/STR), Amount(5/USD/gH...) ],
+ *     'gH...': [ Amount(-5/USD/gM...) ]
+ *   }
+ *
+ * @return {Object} arrays of Amounts by account, leaving out accounts whose
+ *   balances did not change
+ */
+Meta.prototype.getBalanceChanges = function() {
+  var changes = { };
+
+  function addChange(account, amount) {
+    if (amount.is_zero()) {
+      return;
+    }
+
+    if (!changes.hasOwnProperty(account)) {
+      changes[account] = [ ];
+    }
+
+    changes[account].push(amount);
+  };
+
+  this.nodes.forEach(function(an) {
+    var balance;
+
+    switch (an.entryType) {
+      case 'AccountRoot':
+        if ((balance = balances(an, '0'))) {
+          addChange(an.fields.Account, balance.final.subtract(balance.prev));
+        }
+        break;
+
+      case 'RippleState':
+        var currency = an.fields.Balance && Amount.from_json(an.fields.Balance).currency().to_json();
+        var zero = { value: '0', currency: currency, issuer: UInt160.ACCOUNT_ONE };
+
+        if (!currency || !(balance = balances(an, zero))) {
+          break;
+        }
+
+        // The balance is from the point of view of the low account
+        var low = an.fields.LowLimit.issuer;
+        var high = an.fields.HighLimit.issuer;
+        var value = balance.final.subtract(balance.prev).to_text();
+
+        addChange(low, Amount.from_json({ value: value, currency: currency, issuer: high }));
+        addChange(high, Amount.from_json({ value: value, currency: currency, issuer: low }).negate());
+        break;
+    }
+  });
+
+  return changes;
+};
+
+/**
+ * Zero in the currency of an amount.
+ */
+function zero(amount) {
+  amount = Amount.from_json(amount);
+
+  if (amount.is_native()) {
+    return Amount.from_json('0');
+  }
+
+  return Amount.from_json({
+    value: '0',
+    currency: amount.currency().to_json(),
+    issuer: amount.issuer().to_json()
+  });
+};
+
+/**
+ * List the offers consumed by a transaction, and the status of the offer
+ * placed by an OfferCreate transaction.
+ *
+ * Each fill is an offer of another account that the transaction crossed:
+ *
+ *   {
+ *     owner: 'gM...',           // Account of the offer
+ *     sequence: 12,             // Sequence of the offer
+ *     index: '5A9F...',         // Ledger index of the offer
+ *     taker_gets: Amount,       // Amount the owner gave
+ *     taker_pays: Amount,       // Amount the owner received
+ *     status: 'filled'          // or 'partially_filled'
+ *   }
+ *
+ * The offer of an OfferCreate transaction is:
+ *
+ *   {
+ *     sequence: 13,
+ *     taker_gets: Amount,       // Total amount the account gave
+ *     taker_pays: Amount,       // Total amount the account received
+ *     status: 'filled',         // or 'partially_filled', 'open', 'killed'
+ *     index: '7B2C...',         // Ledger index of the offer left in the
+ *     remaining: {              // books, if any
+ *       taker_gets: Amount,
+ *       taker_pays: Amount
+ *     }
+ *   }
+ *
+ * Offers deleted without being crossed, because they were unfunded, expired
+ * or replaced, are not fills.
+ *
+ * @param {Object} tx_json the transaction of this metadata
+ * @return {Object} { fills: Array, offer: Object|null }
+ */
+Meta.prototype.getOrderFills = function(tx_json) {
+  var account = tx_json.Account;
+  var isOfferCreate = tx_json.TransactionType === 'OfferCreate';
+  var result = {
+    fills: [ ],
+    offer: null
+  };
+  var created;
+
+  this.nodes.forEach(function(an) {
+    if (an.entryType !== 'Offer') {
+      return;
+    }
+
+    var fields = an.fields;
+
+    if (fields.Account === account) {
+      if (isOfferCreate && an.diffType === 'CreatedNode' && fields.Sequence === tx_json.Sequence) {
+        created = an;
+      }
+      return;
+    }
+
+    if (an.diffType === 'CreatedNode'
+        || an.fieldsPrev.TakerGets === void(0)
+        || an.fieldsPrev.TakerPays === void(0)) {
+      return;
+    }
+
+    var final_gets = Amount.from_json(an.fieldsFinal.TakerGets);
+    var final_pays = Amount.from_json(an.fieldsFinal.TakerPays);
+    var filled = an.diffType === 'DeletedNode' || final_gets.is_zero() || final_pays.is_zero();
+
+    result.fills.push({
+      owner: fields.Account,
+      sequence: fields.Sequence,
+      index: an.ledgerIndex,
+      taker_gets: Amount.from_json(an.fieldsPrev.TakerGets).subtract(final_gets),
+      taker_pays: Amount.from_json(an.fieldsPrev.TakerPays).subtract(final_pays),
+      status: filled ? 'filled' : 'partially_filled'
+    });
+  });
+
+  if (!isOfferCreate) {
+    return result;
+  }
+
+  // The account pays what the owners of the crossed offers receive, and the
+  // other way around
+  var offer = result.offer = {
+    sequence: tx_json.Sequence,
+    taker_gets: result.fills.reduce(function(total, fill) {
+      return total.add(fill.taker_pays);
+    }, zero(tx_json.TakerGets)),
+    taker_pays: result.fills.reduce(function(total, fill) {
+      return total.add(fill.taker_gets);
+    }, zero(tx_json.TakerPays))
+  };
+
+  if (created) {
+    offer.status = result.fills.length ? 'partially_filled' : 'open';
+    offer.index = created.ledgerIndex;
+    offer.remaining = {
+      taker_gets: Amount.from_json(created.fieldsNew.TakerGets),
+      taker_pays: Amount.from_json(created.fieldsNew.TakerPays)
+    };
+  } else if (!result.fills.length) {
+    offer.status = 'killed';
+  } else if (offer.taker_pays.compareTo(Amount.from_json(tx_json.TakerPays)) >= 0
+             || offer.taker_gets.compareTo(Amount.from_json(tx_json.TakerGets)) >= 0) {
+    offer.status = 'filled';
+  } else {
+    // Immediate or cancel
+    offer.status = 'partially_filled';
+  }
+
+  return result;
+};
+
 exports.Meta = Meta;
@@ -0,0 +1,743 @@
+var util             = require('util');
+var http             = require('http');
+var EventEmitter     = require('events').EventEmitter;
+var WebSocketServer  = require('ws').Server;
+var SerializedObject = require('./serializedobject').SerializedObject;
+var Transaction      = require('./transaction').Transaction;
+var binformat        = require('./binformat');
+
+/**
+ * In-process stand-in for a stellard WebSocket server, for integration tests.
+ * Node.js only.
+ *
+ * Speaks the subset of the protocol a Remote needs: `subscribe`,
+ * `unsubscribe`, `server_info`, `ping`, `account_info`, `submit` and
+ * `ledger_accept`. Ledgers only close when told to, so that tests can script
+ * ledger closes and transaction outcomes deterministically.
+ *
+ *    var server = new MockServer();
+ *
+ *    server.setAccount('g...', { Balance: '1000000000', Sequence: 1 });
+ *    server.queueEngineResult('tecUNFUNDED_PAYMENT');
+ *
+ *    server.listen(function(err, url) {
+ *      var remote = new Remote({ servers: [ url ], local_signing: true });
+ *      ...
+ *      server.closeLedger();
+ *    });
+ *
+ * @constructor MockServer
+ * @param [Object] options
+ *   @param [Number] port, defaults to a free port
+ *   @param [String] host, defaults to 127.0.0.1
+ *   @param [Number] ledger_index of the last closed ledger
+ *   @param [Number] validated_ledger_index of the last validated ledger,
+ *     defaults to ledger_index. Validation keeps this far behind as ledgers
+ *     close
+ *   @param [String] engine_result for submitted transactions, defaults to
+ *     tesSUCCESS
+ *   @param [Boolean] stand_alone
+ */
+
+function MockServer(options) {
+  EventEmitter.call(this);
+
+  var opts = options || { };
+
+  this._port = opts.port || 0;
+  this._host = opts.host || '127.0.0.1';
+
+  this._engineResult = opts.engine_result || 'tesSUCCESS';
+  this._standAlone = !!opts.stand_alone;
+
+  this._ledger = {
+    ledger_index: opts.ledger_index || 1,
+    ledger_time: MockServer.LEDGER_TIME_START,
+    fee_base: 10,
+    fee_ref: 10,
+    reserve_base: 20000000,
+    reserve_inc: 5000000,
+    txn_count: 0
+  };
+
+  this._load_factor = 256;
+
+  this._ledger.ledger_hash = MockServer.ledgerHash(this._ledger.ledger_index);
+
+  this._validatedLag = typeof opts.validated_ledger_index === 'number'
+    ? this._ledger.ledger_index - opts.validated_ledger_index
+    : 0;
+
+  this._accounts = { };
+  this._results = [ ];
+  this._pending = [ ];
+  this._handlers = { };
+  this._connections = [ ];
+
+  this._httpServer = void(0);
+  this._wss = void(0);
+
+  this.url = void(0);
+};
+
+util.inherits(MockServer, EventEmitter);
+
+// Close time of the first ledger, in seconds since the Ripple epoch
+MockServer.LEDGER_TIME_START = 441763200;
+
+// Seconds between ledger closes
+MockServer.LEDGER_INTERVAL = 10;
+
+/**
+ * Ledger hashes are derived from the ledger index, so that they are
+ * predictable in tests.
+ */
+
+MockServer.ledgerHash = function(ledger_index) {
+  var hex = ledger_index.toString(16).toUpperCase();
+
+  while (hex.length < 64) {
+    hex = '0' + hex;
+  }
+
+  return hex;
+};
+
+/**
+ * Result codes for engine results, by the range of their prefix.
+ */
+
+MockServer.engineResultCode = function(result) {
+  if (binformat.ter.hasOwnProperty(result)) {
+    return binformat.ter[result];
+  }
+
+  var consts = Transaction.prototype.consts;
+
+  switch (result.slice(0, 3)) {
+    case 'tel':
+      return consts.telLOCAL_ERROR;
+    case 'tem':
+      return consts.temMALFORMED;
+    case 'tef':
+      return consts.tefFAILURE;
+    case 'ter':
+      return consts.terRETRY;
+    case 'tec':
+      return consts.tecCLAIMED;
+    default:
+      return consts.tesSUCCESS;
+  }
+};
+
+/**
+ * Start listening for connections.
+ *
+ * @param [Function] callback, called with an error or the server URL
+ */
+
+MockServer.prototype.listen = function(callback) {
+  var self = this;
+
+  this._httpServer = http.createServer();
+
+  function listening() {
+    self.port = self._httpServer.address().port;
+    self.url = 'ws://' + self._host + ':' + self.port;
+
+    self._wss = new WebSocketServer({ server: self._httpServer });
+    self._wss.on('connection', self._handleConnection.bind(self));
+
+    self.emit('listening', self.url);
+
+    if (typeof callback === 'function') {
+      callback(null, self.url);
+    }
+  };
+
+  this._httpServer.once('error', function(err) {
+    if (typeof callback === 'function') {
+      callback(err);
+    } else {
+      self.emit('error', err);
+    }
+  });
+
+  this._httpServer.listen(this._port, this._host, listening);
+
+  return this;
+};
+
+/**
+ * Drop all connections and stop listening.
+ *
+ * @param [Function] callback
+ */
+
+MockServer.prototype.close = function(callback) {
+  this.disconnect();
+
+  if (this._wss) {
+    this._wss.close();
+    this._wss = void(0);
+  }
+
+  if (this._httpServer) {
+    this._httpServer.close(callback);
+    this._httpServer = void(0);
+  } else if (typeof callback === 'function') {
+    callback();
+  }
+};
+
+/**
+ * Drop all connections, while still listening. Clients will reconnect.
+ */
+
+MockServer.prototype.disconnect = function() {
+  this._connections.forEach(function(connection) {
+    connection.socket.terminate();
+  });
+
+  this._connections = [ ];
+};
+
+/**
+ * Set the fields of an AccountRoot, as returned by `account_info`.
+ *
+ * @param {String} account
+ * @param [Object] fields, e.g. Balance and Sequence
+ */
+
+MockServer.prototype.setAccount = function(account, fields) {
+  var data = this._accounts[account] || {
+    Account: account,
+    Balance: '0',
+    Flags: 0,
+    LedgerEntryType: 'AccountRoot',
+    OwnerCount: 0,
+    Sequence: 1
+  };
+
+  Object.keys(fields || { }).forEach(function(key) {
+    data[key] = fields[key];
+  });
+
+  this._accounts[account] = data;
+
+  return this;
+};
+
+MockServer.prototype.getAccount = function(account) {
+  return this._accounts[account];
+};
+
+/**
+ * Set the engine result of submitted transactions, unless one is queued.
+ *
+ * @param {String} result, e.g. tesSUCCESS
+ */
+
+MockServer.prototype.setEngineResult = function(result) {
+  this._engineResult = result;
+  return this;
+};
+
+/**
+ * Queue the engine result for the next submitted transaction.
+ *
+ * A transaction is included in the next ledger close if its result is tes or
+ * tec. To have a transaction that was not accepted at first show up in the
+ * ledger anyway, give the result it should close with.
+ *
+ * @param {String} result returned by `submit`
+ * @param [String] final_result of the transaction in the ledger
+ */
+
+MockServer.prototype.queueEngineResult = function(result, final_result) {
+  this._results.push({
+    engine_result: result,
+    final_result: final_result
+  });
+
+  return this;
+};
+
+/**
+ * Handle a command, instead of or in addition to the built in commands.
+ *
+ * The handler is called with the request message and returns the result. A
+ * result with an `error` property is sent as an error response. A handler
+ * that calls MockServer#disconnect drops the request without a response.
+ *
+ * @param {String} command
+ * @param {Function} handler
+ */
+
+MockServer.prototype.handle = function(command, handler) {
+  this._handlers[command] = handler;
+  return this;
+};
+
+/**
+ * Set the load factor of the server, and publish it to subscribers of the
+ * server stream. A load factor of 256 is no load.
+ *
+ * @param {Number} load_factor
+ */
+
+MockServer.prototype.setLoadFactor = function(load_factor) {
+  this._load_factor = load_factor;
+
+  this._publish({
+    type: 'serverStatus',
+    load_base: 256,
+    load_factor: load_factor,
+    server_status: 'full'
+  }, function(subscription) {
+    return subscription.streams.server;
+  });
+
+  return this;
+};
+
+/**
+ * Drop a submitted transaction from the open ledger, as servers do with a
+ * transaction that does not make it into a ledger. Later transactions of the
+ * account are held until its sequence is used by another transaction.
+ *
+ * @param {String} hash
+ * @return {Boolean} whether the transaction was in the open ledger
+ */
+
+MockServer.prototype.dropTransaction = function(hash) {
+  var length = this._pending.length;
+
+  this._pending = this._pending.filter(function(tx) {
+    return tx.tx_json.hash !== hash;
+  });
+
+  return this._pending.length < length;
+};
+
+/**
+ * Close the current ledger, including the transactions submitted since the
+ * previous close, and publish it to subscribers. Transactions are applied in
+ * sequence order, a transaction ahead of the sequence of its account is held
+ * for a later ledger.
+ *
+ * @return {Object} the ledgerClosed message
+ */
+
+MockServer.prototype.closeLedger = function() {
+  var self = this;
+  var ledger = this._ledger;
+  var pending = this._pending;
+  var count = 0;
+  var applied;
+
+  this._pending = [ ];
+
+  ledger.ledger_index += 1;
+  ledger.ledger_hash = MockServer.ledgerHash(ledger.ledger_index);
+  ledger.ledger_time += MockServer.LEDGER_INTERVAL;
+
+  function apply(tx) {
+    if (self._isHeld(tx.tx_json)) {
+      return true;
+    }
+
+    self._publishTransaction(tx, count++);
+    applied = true;
+
+    return false;
+  };
+
+  do {
+    applied = false;
+    pending = pending.filter(apply);
+  } while (applied);
+
+  this._pending = pending.concat(this._pending);
+
+  ledger.txn_count = count;
+
+  var message = this._ledgerMessage();
+  message.type = 'ledgerClosed';
+
+  this._publish(message, function(subscription) {
+    return subscription.streams.ledger;
+  });
+
+  this.emit('ledger_closed', message);
+
+  return message;
+};
+
+MockServer.prototype._ledgerMessage = function() {
+  var ledger = this._ledger;
+
+  return {
+    fee_base: ledger.fee_base,
+    fee_ref: ledger.fee_ref,
+    ledger_hash: ledger.ledger_hash,
+    ledger_index: ledger.ledger_index,
+    ledger_time: ledger.ledger_time,
+    reserve_base: ledger.reserve_base,
+    reserve_inc: ledger.reserve_inc,
+    txn_count: ledger.txn_count,
+    validated_ledgers: '1-' + this._validatedIndex()
+  };
+};
+
+MockServer.prototype._validatedIndex = function() {
+  return this._ledger.ledger_index - this._validatedLag;
+};
+
+MockServer.prototype._isHeld = function(tx_json) {
+  var account = this._accounts[tx_json.Account];
+
+  return Boolean(account)
+      && typeof tx_json.Sequence === 'number'
+      && tx_json.Sequence > account.Sequence;
+};
+
+MockServer.prototype._publishTransaction = function(tx, index) {
+  var ledger = this._ledger;
+  var tx_json = tx.tx_json;
+  var affected = [ ];
+
+  // Apply the transaction to the accounts involved
+  [ tx_json.Account, tx_json.Destination ].forEach(function(account) {
+    if (typeof account !== 'string') {
+      return;
+    }
+
+    var data = this._accounts[account] || this.setAccount(account)._accounts[account];
+
+    if (account === tx_json.Account && typeof tx_json.Sequence === 'number') {
+      data.Sequence = tx_json.Sequence + 1;
+    }
+
+    affected.push({
+      ModifiedNode: {
+        LedgerEntryType: 'AccountRoot',
+        FinalFields: {
+          Account: data.Account,
+          Balance: data.Balance,
+          Flags: data.Flags,
+          OwnerCount: data.OwnerCount,
+          Sequence: data.Sequence
+        }
+      }
+    });
+  }, this);
+
+  var message = {
+    type: 'transaction',
+    engine_result: tx.final_result,
+    engine_result_code: MockServer.engineResultCode(tx.final_result),
+    engine_result_message: '',
+    ledger_hash: ledger.ledger_hash,
+    ledger_index: ledger.ledger_index,
+    meta: {
+      AffectedNodes: affected,
+      TransactionIndex: index,
+      TransactionResult: tx.final_result
+    },
+    status: 'closed',
+    transaction: tx_json,
+    validated: true
+  };
+
+  this._publish(message, function(subscription) {
+    return subscription.streams.transactions
+        || subscription.accounts[tx_json.Account]
+        || subscription.accounts[tx_json.Destination];
+  });
+
+  this.emit('transaction', message);
+};
+
+MockServer.prototype._publish = function(message, filter) {
+  this._connections.forEach(function(connection) {
+    if (filter(connection.subscription)) {
+      connection.send(message);
+    }
+  });
+};
+
+MockServer.prototype._handleConnection = function(socket) {
+  var self = this;
+
+  var connection = {
+    socket: socket,
+    subscription: {
+      streams: { },
+      accounts: { }
+    },
+    send: function(message) {
+      // A handler may have dropped the connection, see MockServer#disconnect
+      if (socket.readyState === socket.OPEN) {
+        socket.send(JSON.stringify(message));
+      }
+    }
+  };
+
+  this._connections.push(connection);
+
+  socket.on('message', function(data) {
+    var message;
+
+    try {
+      message = JSON.parse(data);
+    } catch (e) {
+      return;
+    }
+
+    self._handleRequest(message, connection);
+  });
+
+  socket.on('close', function() {
+    var index = self._connections.indexOf(connection);
+
+    if (index !== -1) {
+      self._connections.splice(index, 1);
+    }
+  });
+
+  this.emit('connection', connection);
+};
+
+MockServer.prototype._handleRequest = function(message, connection) {
+  var command = message.command;
+  var result;
+
+  this.emit('request', message);
+
+  if (typeof this._handlers[command] === 'function') {
+    result = this._handlers[command].call(this, message);
+  } else if (typeof MockServer.commands[command] === 'function') {
+    result = MockServer.commands[command].call(this, message, connection);
+  } else {
+    result = {
+      error: 'unknownCmd',
+      error_message: 'Unknown method.'
+    };
+  }
+
+  var response = {
+    id: message.id,
+    type: 'response'
+  };
+
+  if (result && result.error) {
+    response.status = 'error';
+    response.error = result.error;
+    response.error_message = result.error_message;
+    response.request = message;
+  } else {
+    response.status = 'success';
+    response.result = result || { };
+  }
+
+  connection.send(response);
+};
+
+MockServer.prototype._submitResult = function(tx_json) {
+  var queued = this._results.shift();
+  var account = this._accounts[tx_json.Account];
+
+  if (queued) {
+    return queued;
+  }
+
+  if (account && typeof tx_json.Sequence === 'number') {
+    // Transactions applied to the open ledger consume their sequence
+    var sequences = this._pending.filter(function(tx) {
+      return tx.tx_json.Account === tx_json.Account;
+    }).map(function(tx) {
+      return tx.tx_json.Sequence;
+    });
+
+    var sequence = account.Sequence;
+
+    while (~sequences.indexOf(sequence)) {
+      sequence++;
+    }
+
+    if (tx_json.Sequence < sequence) {
+      return { engine_result: 'tefPAST_SEQ' };
+    }
+    if (tx_json.Sequence > sequence) {
+      return { engine_result: 'terPRE_SEQ' };
+    }
+  }
+
+  return { engine_result: this._engineResult };
+};
+
+/**
+ * Built in commands, called with the request message and the connection.
+ */
+
+MockServer.commands = {
+  subscribe: function(message, connection) {
+    var subscription = connection.subscription;
+
+    (message.streams || [ ]).forEach(function(stream) {
+      subscription.streams[stream] = true;
+    });
+
+    (message.accounts || [ ]).concat(message.accounts_proposed || [ ]).forEach(function(account) {
+      subscription.accounts[account] = true;
+    });
+
+    var result = { };
+
+    if (subscription.streams.ledger) {
+      result = this._ledgerMessage();
+    }
+
+    if (subscription.streams.server) {
+      result.load_base = 256;
+      result.load_factor = this._load_factor;
+      result.server_status = 'full';
+    }
+
+    if (this._standAlone) {
+      result.stand_alone = true;
+    }
+
+    return result;
+  },
+
+  unsubscribe: function(message, connection) {
+    var subscription = connection.subscription;
+
+    (message.streams || [ ]).forEach(function(stream) {
+      delete subscription.streams[stream];
+    });
+
+    (message.accounts || [ ]).concat(message.accounts_proposed || [ ]).forEach(function(account) {
+      delete subscription.accounts[account];
+    });
+
+    return { };
+  },
+
+  ping: function() {
+    return { };
+  },
+
+  server_info: function() {
+    var ledger = this._ledger;
+    var validated = this._validatedIndex();
+
+    return {
+      info: {
+        build_version: 'mock',
+        complete_ledgers: '1-' + ledger.ledger_index,
+        hostid: 'MOCK',
+        load_factor: 1,
+        peers: 0,
+        server_state: 'full',
+        validated_ledger: {
+          age: 0,
+          base_fee: ledger.fee_base,
+          hash: MockServer.ledgerHash(validated),
+          reserve_base: ledger.reserve_base,
+          reserve_inc: ledger.reserve_inc,
+          seq: validated
+        }
+      }
+    };
+  },
+
+  account_info: function(message) {
+    var account = this._accounts[message.account || message.ident];
+
+    if (!account) {
+      return {
+        error: 'actNotFound',
+        error_message: 'Account not found.'
+      };
+    }
+
+    var result = {
+      account_data: JSON.parse(JSON.stringify(account))
+    };
+
+    // Accounts are not versioned, any ledger has their current state
+    if (typeof message.ledger_index === 'number') {
+      result.ledger_index = message.ledger_index;
+    } else if (message.ledger_index === 'validated') {
+      result.ledger_index = this._validatedIndex();
+      result.validated = true;
+    } else {
+      result.ledger_current_index = this._ledger.ledger_index + 1;
+    }
+
+    return result;
+  },
+
+  submit: function(message) {
+    var tx_json;
+
+    try {
+      tx_json = message.tx_blob
+        ? new SerializedObject(message.tx_blob).to_json()
+        : JSON.parse(JSON.stringify(message.tx_json));
+      tx_json.hash = Transaction.from_json(tx_json).hash();
+    } catch (e) {
+      return {
+        error: 'invalidTransaction',
+        error_message: e.message
+      };
+    }
+
+    var result = this._submitResult(tx_json);
+    var engine_result = result.engine_result;
+    var final_result = result.final_result;
+
+    if (!final_result && /^te[sc]/.test(engine_result)) {
+      final_result = engine_result;
+    }
+
+    if (final_result) {
+      this._pending.push({
+        tx_json: tx_json,
+        final_result: final_result
+      });
+    }
+
+    this.emit('submit', tx_json, engine_result);
+
+    return {
+      engine_result: engine_result,
+      engine_result_code: MockServer.engineResultCode(engine_result),
+      engine_result_message: '',
+      tx_blob: message.tx_blob,
+      tx_json: tx_json
+    };
+  },
+
+  ledger_accept: function() {
+    if (!this._standAlone) {
+      return {
+        error: 'notStandAlone',
+        error_message: 'Operation valid in debug mode only.'
+      };
+    }
+
+    this.closeLedger();
+
+    return {
+      ledger_current_index: this._ledger.ledger_index + 1
+    };
+  }
+};
+
+exports.MockServer = MockServer;
+
+// vim:sw=2:sts=2:ts=8:et
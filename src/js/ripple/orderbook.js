@@ -5,6 +5,9 @@
 //
 // Events:
 //  - transaction   A transaction that affects the order book.
+//  - model         The offers changed.
+//  - trade         Offers were consumed.
+//  - depth         The funded offers changed, see OrderBook#depth.
 
 // var network = require("./network.js");
 
@@ -35,6 +38,9 @@ function OrderBook(remote, currency_gets, issuer_gets, currency_pays, issuer_pay
   // Offers
   this._offers = [ ];
 
+  // Funds of offer owners in the currency of TakerGets, by account
+  this._ownerFunds = { };
+
   function listenerAdded(type, listener) {
     if (~OrderBook.subscribe_events.indexOf(type)) {
       self._subs += 1;
@@ -79,7 +85,7 @@ util.inherits(OrderBook, EventEmitter);
 /**
  * List of events that require a remote subscription to the orderbook.
  */
-OrderBook.subscribe_events = ['transaction', 'model', 'trade'];
+OrderBook.subscribe_events = ['transaction', 'model', 'trade', 'depth'];
 
 /**
  * Subscribes to orderbook.
@@ -94,9 +100,7 @@ OrderBook.prototype._subscribe = function (request) {
     request.addBook(self.to_json(), true);
 
     request.once('success', function(res) {
-      self._sync   = true;
-      self._offers = res.offers;
-      self.emit('model', self._offers);
+      self._setOffers(res.offers);
     });
 
     request.once('error', function(err) {
@@ -107,6 +111,31 @@ OrderBook.prototype._subscribe = function (request) {
   }
 };
 
+/**
+ * Replace the offers with a snapshot from the server.
+ *
+ * The server adds `owner_funds` to the first offer of each owner, which is
+ * the owner's balance in the currency of TakerGets.
+ *
+ * @private
+ */
+OrderBook.prototype._setOffers = function(offers) {
+  var self = this;
+
+  this._sync       = true;
+  this._offers     = offers || [ ];
+  this._ownerFunds = { };
+
+  this._offers.forEach(function(offer) {
+    if (typeof offer.owner_funds !== 'undefined') {
+      self._ownerFunds[offer.Account] = self._amount('gets', offer.owner_funds);
+    }
+  });
+
+  this.emit('model', this._offers);
+  this.emit('depth', this.depth());
+};
+
 /**
  * Adds this orderbook to a subscription request.
 
@@ -167,6 +196,266 @@ OrderBook.prototype.is_valid = function () {
   );
 };
 
+/**
+ * Return an amount in the currency of TakerGets or TakerPays of this book.
+ *
+ * @param {String} type 'gets' or 'pays'
+ * @param {String} value native amount in base units, or IOU value
+ */
+OrderBook.prototype._amount = function(type, value) {
+  if (this['_currency_' + type] === 'STR') {
+    return Amount.from_json(String(value));
+  }
+
+  return Amount.from_json({
+    value:    String(value),
+    currency: this['_currency_' + type],
+    issuer:   this['_issuer_' + type]
+  });
+};
+
+/**
+ * Update the funds of an offer owner from a changed AccountRoot or
+ * RippleState ledger entry.
+ *
+ * Funds are only known for owners with an offer in the snapshot, or whose
+ * balance changed in a transaction affecting this book. Offers of other
+ * owners are considered fully funded.
+ *
+ * @return {Boolean} whether funds of an owner in this book changed
+ * @private
+ */
+OrderBook.prototype._updateOwnerFunds = function(an) {
+  var fields = an.fields;
+  var account, balance;
+
+  if (an.diffType === 'DeletedNode' || !fields || !fields.Balance) {
+    return false;
+  }
+
+  switch (an.entryType) {
+    case 'AccountRoot':
+      if (this._currency_gets !== 'STR') {
+        return false;
+      }
+
+      account = fields.Account;
+      balance = Amount.from_json(fields.Balance);
+
+      try {
+        balance = balance.subtract(this._remote.reserve(fields.OwnerCount || 0));
+      } catch (e) {
+        // Reserve is unknown without a connected server
+      }
+      break;
+
+    case 'RippleState':
+      if (this._currency_gets === 'STR'
+          || !fields.HighLimit || !fields.LowLimit
+          || fields.Balance.currency !== this._currency_gets) {
+        return false;
+      }
+
+      // The balance is from the point of view of the low account
+      if (fields.HighLimit.issuer === this._issuer_gets) {
+        account = fields.LowLimit.issuer;
+        balance = this._amount('gets', fields.Balance.value);
+      } else if (fields.LowLimit.issuer === this._issuer_gets) {
+        account = fields.HighLimit.issuer;
+        balance = this._amount('gets', fields.Balance.value).negate();
+      } else {
+        return false;
+      }
+      break;
+
+    default:
+      return false;
+  }
+
+  var isOwner = this._offers.some(function(offer) {
+    return offer.Account === account;
+  });
+
+  if (!isOwner && !this._ownerFunds.hasOwnProperty(account)) {
+    return false;
+  }
+
+  this._ownerFunds[account] = balance;
+
+  return true;
+};
+
+/**
+ * Return the offers in order of price, with the amounts their owners are
+ * able to pay.
+ *
+ * Offers of one owner consume the owner's funds in order, so an owner with
+ * several offers may fund the first ones only.
+ *
+ * @return {Array} of { offer, price, taker_gets, taker_pays }, where
+ *   taker_gets and taker_pays are the funded amounts. Unfunded offers are
+ *   left out.
+ */
+OrderBook.prototype.fundedOffers = function() {
+  var self = this;
+  var remaining = { };
+  var result = [ ];
+
+  this._offers.forEach(function(offer) {
+    var gets = Amount.from_json(offer.TakerGets);
+    var pays = Amount.from_json(offer.TakerPays);
+    var owner = offer.Account;
+    var funded = gets;
+
+    if (!gets.is_positive() || !pays.is_positive()) {
+      return;
+    }
+
+    // An issuer can always pay in its own currency
+    if (owner !== self._issuer_gets && self._ownerFunds.hasOwnProperty(owner)) {
+      if (!remaining.hasOwnProperty(owner)) {
+        remaining[owner] = self._ownerFunds[owner];
+      }
+
+      if (remaining[owner].compareTo(gets) < 0) {
+        funded = remaining[owner];
+      }
+
+      remaining[owner] = remaining[owner].subtract(funded);
+    }
+
+    if (!funded.is_positive()) {
+      return;
+    }
+
+    var price = pays.ratio_human(gets);
+
+    result.push({
+      offer:      offer,
+      price:      price,
+      taker_gets: funded,
+      taker_pays: funded === gets ? pays : price.product_human(funded)
+    });
+  });
+
+  return result;
+};
+
+// Truncate a price to `precision` decimals, without trailing zeros, so that
+// equal prices give equal levels
+function truncatePrice(price, precision) {
+  var parts = price.to_human({ group_sep: false }).split('.');
+  var fraction = (parts[1] || '').slice(0, precision).replace(/0+$/, '');
+
+  return fraction ? parts[0] + '.' + fraction : parts[0];
+};
+
+/**
+ * Aggregate the funded offers by price level.
+ *
+ * Prices are in units of TakerPays per unit of TakerGets. Offers are grouped
+ * by their price truncated, not rounded, to `precision` decimals, so the
+ * first level holds the best price.
+ *
+ * An order book only holds one side of a market: `best` is the lowest price
+ * a taker of this book pays. To get the other side, pass the paired book,
+ * with TakerGets and TakerPays swapped. Its offers are the bids, priced in
+ * the units of this book, highest price first, with the amounts of the
+ * paired book's offers.
+ *
+ * @example
+ *   var asks = remote.createOrderBook('USD', issuer, 'STR');
+ *   var bids = remote.createOrderBook('STR', null, 'USD', issuer);
+ *   var depth = asks.depth(10, 4, bids);
+ *
+ *   console.log(depth.best_bid, depth.best);
+ *
+ *   depth.levels.forEach(function(level) {
+ *     console.log(level.price, level.taker_gets.to_human(), level.cumulative_gets.to_human());
+ *   });
+ *
+ * @param {Number} [levels] maximum number of price levels, defaults to all
+ * @param {Number} [precision] decimals of the price levels, defaults to 6
+ * @param {OrderBook} [paired] book of the other side
+ * @return {Object} { best: Amount|null, levels: [ { price: String,
+ *   taker_gets: Amount, taker_pays: Amount, cumulative_gets: Amount,
+ *   cumulative_pays: Amount, offers: Number } ] }, and with a paired book
+ *   { best_bid: Amount|null, bids: [ ... ] }
+ */
+OrderBook.prototype.depth = function(levels, precision, paired) {
+  if (typeof precision !== 'number') {
+    precision = 6;
+  }
+
+  var offers = this.fundedOffers();
+  var result = {
+    best:   offers.length ? offers[0].price : null,
+    levels: this._levels(offers, levels, precision)
+  };
+
+  if (paired !== void(0)) {
+    var paired_gets = paired.trade('gets').to_text_full();
+    var paired_pays = paired.trade('pays').to_text_full();
+
+    if (paired_gets !== this.trade('pays').to_text_full()
+        || paired_pays !== this.trade('gets').to_text_full()) {
+      throw new TypeError('Paired book must swap TakerGets and TakerPays');
+    }
+
+    // Price the bids in units of this book
+    var bids = paired.fundedOffers().map(function(funded) {
+      var gets = Amount.from_json(funded.offer.TakerGets);
+      var pays = Amount.from_json(funded.offer.TakerPays);
+
+      return extend({ }, funded, { price: gets.ratio_human(pays) });
+    });
+
+    result.best_bid = bids.length ? bids[0].price : null;
+    result.bids = paired._levels(bids, levels, precision);
+  }
+
+  return result;
+};
+
+OrderBook.prototype._levels = function(offers, levels, precision) {
+  var result = [ ];
+  var cumulative_gets = this.trade('gets');
+  var cumulative_pays = this.trade('pays');
+  var level;
+
+  for (var i=0, l=offers.length; i<l; i++) {
+    var funded = offers[i];
+    var price = truncatePrice(funded.price, precision);
+
+    if (!level || level.price !== price) {
+      if (typeof levels === 'number' && result.length === levels) {
+        break;
+      }
+
+      level = {
+        price:      price,
+        taker_gets: this.trade('gets'),
+        taker_pays: this.trade('pays'),
+        offers:     0
+      };
+
+      result.push(level);
+    }
+
+    level.taker_gets = level.taker_gets.add(funded.taker_gets);
+    level.taker_pays = level.taker_pays.add(funded.taker_pays);
+    level.offers += 1;
+
+    cumulative_gets = cumulative_gets.add(funded.taker_gets);
+    cumulative_pays = cumulative_pays.add(funded.taker_pays);
+
+    level.cumulative_gets = cumulative_gets;
+    level.cumulative_pays = cumulative_pays;
+  }
+
+  return result;
+};
+
 OrderBook.prototype.trade = function(type) {
   var tradeStr = '0'
   + ((this['_currency_' + type] === 'STR') ? '' : '/'
@@ -184,10 +473,17 @@ OrderBook.prototype.trade = function(type) {
 OrderBook.prototype.notify = function (message) {
   var self       = this;
   var changed    = false;
+  var funds      = false;
+  var balances   = [ ];
   var trade_gets = this.trade('gets');
   var trade_pays = this.trade('pays');
 
   function handleTransaction(an) {
+    if (an.entryType === 'AccountRoot' || an.entryType === 'RippleState') {
+      balances.push(an);
+      return;
+    }
+
     if (an.entryType !== 'Offer' || an.bookKey !== self._key) {
       return;
     }
@@ -233,25 +529,33 @@ OrderBook.prototype.notify = function (message) {
       case 'CreatedNode':
         // XXX Should use Amount#from_quality
         var price = Amount.from_json(an.fields.TakerPays).ratio_human(an.fields.TakerGets, {reference_date: new Date()});
+        var obj   = an.fields;
+
+        obj.index = an.ledgerIndex;
 
         for (i = 0, l = self._offers.length; i < l; i++) {
           offer = self._offers[i];
           var priceItem = Amount.from_json(offer.TakerPays).ratio_human(offer.TakerGets, {reference_date: new Date()});
 
-          if (price.compareTo(priceItem) <= 0) {
-            var obj   = an.fields;
-            obj.index = an.ledgerIndex;
-            self._offers.splice(i, 0, an.fields);
-            changed = true;
+          if (price.compareTo(priceItem) < 0) {
             break;
           }
         }
+
+        // Offers at the same price are filled in order of creation
+        self._offers.splice(i, 0, obj);
+        changed = true;
         break;
     }
   };
 
   message.mmeta.each(handleTransaction);
 
+  // After the offers, so that owners of new offers are known
+  balances.forEach(function(an) {
+    funds = self._updateOwnerFunds(an) || funds;
+  });
+
   // Only trigger the event if the account object is actually
   // subscribed - this prevents some weird phantom events from
   // occurring.
@@ -263,6 +567,9 @@ OrderBook.prototype.notify = function (message) {
     if (!trade_gets.is_zero()) {
       this.emit('trade', trade_pays, trade_gets);
     }
+    if (changed || funds) {
+      this.emit('depth', this.depth());
+    }
   }
 };
 
@@ -26,6 +26,8 @@ var Account      = require('./account').Account;
 var Meta         = require('./meta').Meta;
 var OrderBook    = require('./orderbook').OrderBook;
 var PathFind     = require('./pathfind').PathFind;
+var AccountTxStream = require('./accounttxstream').AccountTxStream;
+var FeeEstimator = require('./feeestimator').FeeEstimator;
 var RippleError  = require('./rippleerror').RippleError;
 var utils        = require('./utils');
 var sjcl         = require('./utils').sjcl;
@@ -47,6 +49,12 @@ var log          = require('./log').internal.sub('remote');
  *      fee_cushion        : ESTRa fee multiplier to account for async fee changes.
  *      servers            : Array of server objects with the following form
  *      canonical_signing  : Signatures should be canonicalized and the "canonical" flag set
+ *      max_ledger_lag     : Ledgers a server may fall behind the others before it is unhealthy
+ *      retry_requests     : Retry failed read-only requests on another server, defaults to true
+ *      reconnect_policy   : Backoff of reconnection attempts, see Server.reconnectPolicy
+ *      fee_history        : Ledgers of server load kept to estimate fees, defaults to 20
+ *      sequence_gap_policy: Filling of sequences left unused by lost transactions,
+ *                           'none' (default), 'noop', 'reissue' or a Function
  *
  *         {
  *              host:    <string>
@@ -90,6 +98,12 @@ function Remote(opts, trace) {
   this.fee_cushion = (typeof opts.fee_cushion === 'number') ? opts.fee_cushion : 1.2;
   this.max_fee = (typeof opts.max_fee === 'number') ? opts.max_fee : Infinity;
 
+  this.max_ledger_lag = (typeof opts.max_ledger_lag === 'number') ? opts.max_ledger_lag : 3;
+  this.retry_requests = (typeof opts.retry_requests === 'boolean') ? opts.retry_requests : true;
+  this.reconnect_policy = opts.reconnect_policy;
+  this.fee_history = (typeof opts.fee_history === 'number') ? opts.fee_history : FeeEstimator.DEFAULT_LEDGERS;
+  this.sequence_gap_policy = opts.sequence_gap_policy || 'none';
+
   this._ledger_current_index = void(0);
   this._ledger_hash = void(0);
   this._ledger_time = void(0);
@@ -117,6 +131,8 @@ function Remote(opts, trace) {
   this._servers = [ ];
   this._primary_server = void(0);
 
+  this._feeEstimator = new FeeEstimator(this, { ledgers: this.fee_history });
+
   // Cache information for accounts.
   // DEPRECATED, will be removed
   // Consider sequence numbers stable if you know you're not generating bad transactions.
@@ -159,6 +175,26 @@ function Remote(opts, trace) {
     throw new TypeError('Remote "fee_cushion" configuration is not a Number');
   }
 
+  if (!/^(undefined|number)$/.test(typeof opts.max_ledger_lag)) {
+    throw new TypeError('Remote "max_ledger_lag" configuration is not a Number');
+  }
+
+  if (!/^(undefined|boolean)$/.test(typeof opts.retry_requests)) {
+    throw new TypeError('Remote "retry_requests" configuration is not a Boolean');
+  }
+
+  if (!/^(undefined|object)$/.test(typeof opts.reconnect_policy)) {
+    throw new TypeError('Remote "reconnect_policy" configuration is not an Object');
+  }
+
+  if (!/^(undefined|number)$/.test(typeof opts.fee_history)) {
+    throw new TypeError('Remote "fee_history" configuration is not a Number');
+  }
+
+  if (!/^(none|noop|reissue)$/.test(this.sequence_gap_policy) && typeof this.sequence_gap_policy !== 'function') {
+    throw new TypeError('Remote "sequence_gap_policy" configuration must be "none", "noop", "reissue" or a Function');
+  }
+
   if (!/^(undefined|boolean)$/.test(typeof opts.trace)) {
     throw new TypeError('Remote "trace" configuration is not a Boolean');
   }
@@ -183,6 +219,11 @@ function Remote(opts, trace) {
     throw new TypeError('Remote "storage" configuration is not an Object');
   }
 
+  if (opts.storage && (typeof opts.storage.getPendingTransactions !== 'function'
+                       || typeof opts.storage.saveTransaction !== 'function')) {
+    throw new TypeError('Remote "storage" configuration must implement getPendingTransactions and saveTransaction');
+  }
+
   // Fallback for previous API
   if (!opts.hasOwnProperty('servers') && opts.websocket_ip) {
     opts.servers = [
@@ -432,6 +473,9 @@ Remote.prototype.getPendingTransactions = function() {
         case 'secret':
           case 'submittedIDs':
           case 'submitIndex':
+          case 'initialSubmitIndex':
+          case 'lastLedgerSequence':
+          case 'batch':
           transaction[prop] = tx[prop];
         break;
       }
@@ -487,8 +531,35 @@ Remote.prototype.addServer = function(opts) {
     self.emit('connecting');
   });
 
-  server.on('reconnecting', function(timeout) {
-    self.emit('reconnecting', timeout);
+  server.on('reconnecting', function(timeout, attempt) {
+    self.emit('reconnecting', timeout, attempt, server);
+  });
+
+  server.on('reconnect_failed', function(attempts) {
+    self.emit('reconnect_failed', server, attempts);
+  });
+
+  function checkHealth() {
+    self._checkServerHealth();
+  };
+
+  server.on('ledger_closed', checkHealth);
+  server.on('response_subscribe', checkHealth);
+
+  function sampleFee() {
+    self._feeEstimator.addSample(server, server._lastLedgerIndex);
+  };
+
+  server.on('ledger_closed', sampleFee);
+  server.on('response_subscribe', sampleFee);
+  server.on('load_changed', sampleFee);
+
+  server.on('healthy', function() {
+    self.emit('server_healthy', server);
+  });
+
+  server.on('unhealthy', function(info) {
+    self.emit('server_unhealthy', server, info);
   });
 
   this._servers.push(server);
@@ -758,14 +829,64 @@ Remote.prototype.setPrimaryServer = function(server) {
 };
 
 /**
- * Select a server to handle a request. Servers are
- * automatically prioritized
+ * Mark servers whose last closed ledger lags more than `max_ledger_lag`
+ * ledgers behind the most advanced server as unhealthy, and servers that
+ * caught up as healthy again. A server that stopped closing ledgers falls
+ * behind as soon as the other servers move on.
+ *
+ * @api private
  */
 
-Remote.prototype._getServer =
-Remote.prototype.getServer = function() {
-  if (this._primary_server && this._primary_server._connected) {
-    return this._primary_server;
+Remote.prototype._checkServerHealth = function() {
+  var self = this;
+
+  var servers = this._servers.filter(function(server) {
+    return server._connected && !isNaN(server._lastLedgerIndex);
+  });
+
+  var ledger_index = Math.max.apply(Math, servers.map(function(server) {
+    return server._lastLedgerIndex;
+  }));
+
+  servers.forEach(function(server) {
+    var lag = ledger_index - server._lastLedgerIndex;
+
+    if (lag > self.max_ledger_lag) {
+      server._setHealthy(false, {
+        reason: 'ledger_lag',
+        ledger_index: server._lastLedgerIndex,
+        lag: lag
+      });
+    } else {
+      server._setHealthy(true);
+    }
+  });
+};
+
+/**
+ * Select a server, and explain the choice:
+ *
+ *   'primary'   : The primary server, see Remote#setPrimaryServer
+ *   'score'     : The healthy server with the best score
+ *   'unhealthy' : No healthy server is connected, the connected server with
+ *                 the best score
+ *
+ * @param [Array] exclude servers not to select
+ * @return {Object} { server: Server|null, reason: String }
+ * @api private
+ */
+
+Remote.prototype._selectServer = function(exclude) {
+  exclude = exclude || [ ];
+
+  function isCandidate(server) {
+    return server._connected && !~exclude.indexOf(server);
+  };
+
+  var primary = this._primary_server;
+
+  if (primary && isCandidate(primary) && primary._healthy) {
+    return { server: primary, reason: 'primary' };
   }
 
   function sortByScore(a, b) {
@@ -783,14 +904,104 @@ Remote.prototype.getServer = function() {
   // Sort servers by score
   this._servers.sort(sortByScore);
 
-  var index = 0;
-  var server = this._servers[index];
+  var candidates = this._servers.filter(isCandidate);
 
-  while (!server._connected) {
-    server = this._servers[++index];
+  for (var i=0; i<candidates.length; i++) {
+    if (candidates[i]._healthy) {
+      return { server: candidates[i], reason: 'score' };
+    }
   }
 
-  return server;
+  return {
+    server: candidates.length ? candidates[0] : null,
+    reason: 'unhealthy'
+  };
+};
+
+/**
+ * Select a server to handle a request. Servers are
+ * automatically prioritized, healthy servers first
+ */
+
+Remote.prototype._getServer =
+Remote.prototype.getServer = function() {
+  return this._selectServer().server;
+};
+
+/**
+ * Commands that only read, and can be sent again to another server when a
+ * server fails to answer them
+ */
+
+Remote.idempotentCommands = [
+  'account_currencies',
+  'account_info',
+  'account_lines',
+  'account_offers',
+  'account_tx',
+  'book_offers',
+  'ledger',
+  'ledger_closed',
+  'ledger_current',
+  'ledger_data',
+  'ledger_entry',
+  'ledger_header',
+  'ping',
+  'ripple_path_find',
+  'server_info',
+  'server_state',
+  'transaction_entry',
+  'tx',
+  'tx_history'
+];
+
+/**
+ * Remote errors that come from the server rather than the request
+ */
+
+Remote.retryErrors = [
+  'noClosed',
+  'noCurrent',
+  'noNetwork',
+  'slowDown',
+  'tooBusy'
+];
+
+/**
+ * Send a failed request to another server, if it is read-only and was not
+ * sent to a particular server.
+ *
+ * @param {Request} request
+ * @param {Object} error that made the request fail
+ * @return {Boolean} whether the request was sent again
+ * @api private
+ */
+
+Remote.prototype._retryRequest = function(request, error) {
+  if (!this.retry_requests || !request._triedServers) {
+    return false;
+  }
+
+  if (!~Remote.idempotentCommands.indexOf(request.message.command)) {
+    return false;
+  }
+
+  if (error.remote && !~Remote.retryErrors.indexOf(error.remote.error)) {
+    return false;
+  }
+
+  var server = this._selectServer(request._triedServers).server;
+
+  if (!server) {
+    return false;
+  }
+
+  this.emit('request_retry', request, server, error);
+
+  request._triedServers.push(server);
+  server._request(request);
+
+  return true;
 };
 
 /**
@@ -824,10 +1035,16 @@ Remote.prototype.request = function(request) {
     this.once('connect', this.request.bind(this, request));
   } else if (request.server === null) {
     request.emit('error', new Error('Server does not exist'));
+  } else if (request.server) {
+    request.server._request(request);
   } else {
-    var server = request.server || this.getServer();
-    if (server) {
-      server._request(request);
+    var selected = this._selectServer();
+
+    if (selected.server) {
+      // Only requests routed here may be retried on another server
+      request._triedServers = [ selected.server ];
+      this.emit('route', request, selected.server, selected.reason);
+      selected.server._request(request);
     } else {
       request.emit('error', new Error('No servers available'));
     }
@@ -904,6 +1121,7 @@ Remote.prototype.requestLedger = function(ledger, options, callback) {
           case 'expand':
           case 'transactions':
           case 'accounts':
+          case 'binary':
             request.message[o] = true;
             break;
         }
@@ -1407,6 +1625,20 @@ Remote.prototype.requestAccountTx = function(options, callback) {
   return request;
 };
 
+/**
+ * Return a readable stream of the transaction history of an account, walking
+ * all pages of account_tx. The stream is also an async iterable.
+ *
+ * @see AccountTxStream for options
+ *
+ * @param {Object} options
+ * @return {AccountTxStream}
+ */
+
+Remote.prototype.accountTxStream = function(options) {
+  return new AccountTxStream(this, options);
+};
+
 /**
  * Request the overall transaction history.
  *
@@ -2254,6 +2486,20 @@ Remote.prototype.feeTx = function(units) {
   return server._feeTx(units);
 };
 
+/**
+ * Estimate a transaction fee from the load of the connected servers over the
+ * last `fee_history` ledgers. See FeeEstimator.
+ *
+ * @param [Object] options
+ *   @param [String] urgency, 'low', 'medium' or 'high', defaults to 'medium'
+ *   @param [Number] units, fee units of the transaction
+ * @return {Object} { urgency, fee, low, median, high, ledgers }
+ */
+
+Remote.prototype.estimateFee = function(options) {
+  return this._feeEstimator.estimate(options);
+};
+
 /**
  * Get the current recommended transaction fee unit.
  *
@@ -1,5 +1,6 @@
 var EventEmitter = require('events').EventEmitter;
 var util         = require('util');
+var extend       = require('extend');
 var UInt160      = require('./uint160').UInt160;
 var Currency     = require('./currency').Currency;
 var RippleError  = require('./rippleerror').RippleError;
@@ -41,7 +42,9 @@ Request.prototype.request = function(remote) {
   this.on('error', function(){});
   this.emit('request', remote);
 
-  if (this._broadcast) {
+  if (this._quorum) {
+    this._requestQuorum();
+  } else if (this._broadcast) {
     this.remote._servers.forEach(function(server) {
       this.setServer(server);
       this.remote.request(this);
@@ -53,10 +56,199 @@ Request.prototype.request = function(remote) {
   return this;
 };
 
+/**
+ * Send the request to several servers, and only succeed when enough of them
+ * agree on the result.
+ *
+ * Results are compared at a fixed ledger: the ledger of the request if it is
+ * given by index or hash, otherwise the last ledger validated by every
+ * selected server. Closed ledgers are not used, as servers may close different
+ * ledgers with the same index. Until servers report their validated ledgers,
+ * the request asks for the `validated` ledger, and results only agree when
+ * they are for the same ledger. The request succeeds with the first result that `quorum` servers
+ * agree on. It fails with `quorumNotReached` once that can no longer happen,
+ * with a report of every server's response in `error.discrepancy`.
+ *
+ * Servers that do not answer keep the request pending, use Request#timeout to
+ * bound it.
+ *
+ * @example
+ *   remote.requestAccountInfo(account)
+ *   .quorum(2, { select: function(res) { return res.account_data.Balance; } })
+ *   .callback(function(err, res) { ... });
+ *
+ * @param {Number} quorum number of servers that must agree
+ * @param [Object] options
+ *   @param [Number] servers number of connected servers to ask, defaults to
+ *     all of them
+ *   @param [Number] ledger_index to compare results at
+ *   @param [Function] select part of the result to compare, defaults to the
+ *     whole result
+ * @return {Request}
+ */
+
+Request.prototype.quorum = function(quorum, options) {
+  options = options || { };
+
+  if (typeof quorum !== 'number' || quorum < 1) {
+    throw new TypeError('Quorum must be a positive number');
+  }
+
+  this._quorum = {
+    quorum: quorum,
+    servers: options.servers,
+    ledger_index: options.ledger_index,
+    select: typeof options.select === 'function' ? options.select : null
+  };
+
+  return this;
+};
+
+/**
+ * Stringify with sorted object keys, so that equal results compare equal
+ * regardless of the order of their fields.
+ */
+
+function canonicalJSON(value) {
+  if (Array.isArray(value)) {
+    return '[' + value.map(canonicalJSON).join(',') + ']';
+  }
+
+  if (typeof value === 'object' && value !== null) {
+    return '{' + Object.keys(value).sort().map(function(key) {
+      return JSON.stringify(key) + ':' + canonicalJSON(value[key]);
+    }).join(',') + '}';
+  }
+
+  return JSON.stringify(value);
+};
+
+Request.prototype._requestQuorum = function() {
+  var self = this;
+  var options = this._quorum;
+
+  // Healthy servers first, see Remote#_selectServer
+  var servers = this.remote._servers.filter(function(server) {
+    return server._connected;
+  }).sort(function(a, b) {
+    return Number(b._healthy) - Number(a._healthy);
+  });
+
+  if (typeof options.servers === 'number') {
+    servers = servers.slice(0, options.servers);
+  }
+
+  var message = this.message;
+  var fixed = message.ledger_hash !== void(0) || typeof message.ledger_index === 'number';
+
+  if (!fixed) {
+    var indexes = servers.map(function(server) {
+      return server._lastValidatedIndex;
+    }).filter(function(index) {
+      return !isNaN(index);
+    });
+
+    if (typeof options.ledger_index === 'number') {
+      message.ledger_index = options.ledger_index;
+    } else if (indexes.length) {
+      message.ledger_index = Math.min.apply(Math, indexes);
+    } else {
+      message.ledger_index = 'validated';
+    }
+  }
+
+  var responses = [ ];
+  var groups = { };
+  var pending = servers.length;
+  var done = false;
+
+  function fail(error_message) {
+    done = true;
+
+    self.emit('error', {
+      error: 'quorumNotReached',
+      error_message: error_message,
+      discrepancy: {
+        quorum: options.quorum,
+        ledger_index: message.ledger_index,
+        ledger_hash: message.ledger_hash,
+        responses: responses
+      }
+    });
+  };
+
+  function handleResponse(server, err, res) {
+    if (done) {
+      return;
+    }
+
+    pending -= 1;
+
+    if (err) {
+      responses.push({ server: server._url, error: err });
+    } else {
+      responses.push({ server: server._url, result: res });
+
+      var selected = options.select ? options.select(res) : res;
+
+      // Servers may have validated different ledgers
+      if (!fixed && message.ledger_index === 'validated') {
+        selected = [ res.ledger_hash, res.ledger_index, selected ];
+      }
+
+      var key = canonicalJSON(selected);
+      var group = groups[key] = (groups[key] || 0) + 1;
+
+      if (group >= options.quorum) {
+        done = true;
+        return self.emit('success', res);
+      }
+    }
+
+    var largest = Math.max.apply(Math, [ 0 ].concat(Object.keys(groups).map(function(key) {
+      return groups[key];
+    })));
+
+    if (largest + pending < options.quorum) {
+      fail('Servers did not agree on a result');
+    }
+  };
+
+  if (servers.length < options.quorum) {
+    return fail('Not enough connected servers');
+  }
+
+  servers.forEach(function(server) {
+    var request = new Request(self.remote, message.command);
+
+    request.message = extend(true, { }, message);
+    request.setServer(server);
+
+    request.once('success', function(res) {
+      handleResponse(server, null, res);
+    });
+
+    request.once('error', function(err) {
+      handleResponse(server, err);
+    });
+
+    request.request();
+  });
+};
+
 Request.prototype.callback = function(callback, successEvent, errorEvent) {
   var self = this;
 
-  if (this.requested || typeof callback !== 'function') {
+  if (this.requested) {
+    return this;
+  }
+
+  // Remember the events that carry the result, so that promise() resolves
+  // with the same value a callback would receive
+  this._successEvent = successEvent || 'success';
+  this._errorEvent = errorEvent || 'error';
+
+  if (typeof callback !== 'function') {
     return this;
   }
 
@@ -81,13 +273,55 @@ Request.prototype.callback = function(callback, successEvent, errorEvent) {
     }
   };
 
-  this.once(successEvent || 'success', requestSuccess);
-  this.once(errorEvent   || 'error'  , requestError);
+  this.once(this._successEvent, requestSuccess);
+  this.once(this._errorEvent, requestError);
   this.request();
 
   return this;
 };
 
+/**
+ * Send the request and return a Promise for its result.
+ *
+ * The promise resolves with the same result a callback would receive and
+ * rejects with a RippleError. If a timeout() is set on the request, the
+ * promise is rejected with `tejTimeout` when it expires.
+ *
+ * @param [String] successEvent
+ * @param [String] errorEvent
+ * @return {Promise}
+ */
+
+Request.prototype.promise = function(successEvent, errorEvent) {
+  var self = this;
+
+  if (typeof Promise !== 'function') {
+    throw new Error('Promise is not supported in this environment');
+  }
+
+  if (this.requested) {
+    throw new Error('Request has already been sent');
+  }
+
+  return new Promise(function(resolve, reject) {
+    function requestTimeout() {
+      reject(new RippleError('tejTimeout', 'Request timed out'));
+    };
+
+    self.once('timeout', requestTimeout);
+
+    self.callback(function(err, res) {
+      self.removeListener('timeout', requestTimeout);
+
+      if (err) {
+        reject(err);
+      } else {
+        resolve(res);
+      }
+    }, successEvent || self._successEvent, errorEvent || self._errorEvent);
+  });
+};
+
 Request.prototype.timeout = function(duration, callback) {
   var self = this;
 
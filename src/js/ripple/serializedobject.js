@@ -166,23 +166,52 @@ SerializedObject.prototype.to_hex = function() {
   return sjcl.codec.hex.fromBits(this.to_bits()).toUpperCase();
 };
 
-SerializedObject.prototype.to_json = function() {
+/**
+ * Decode the object.
+ *
+ * In strict mode, the default, a field that cannot be decoded throws an
+ * Error telling where it starts in the buffer (`offset`), its `type_id`,
+ * `field_id` and `field_name` if known, and the object decoded until then
+ * (`partial`). In lenient mode, fields of known types with unknown ids are
+ * kept as hex, named Unknown_<type id>_<field id>. Fields of unknown types
+ * still throw, as their length is unknown.
+ *
+ * @param [Object] options
+ *   @param [String] mode, 'strict' or 'lenient'
+ * @return {Object}
+ */
+
+SerializedObject.prototype.to_json = function(options) {
+  var opts = options || { };
+
+  if (opts.mode !== void(0) && SerializedObject.modes.indexOf(opts.mode) === -1) {
+    throw new TypeError('Decoder mode must be "strict" or "lenient"');
+  }
+
   var old_pointer = this.pointer;
   this.resetPointer();
   var output = { };
 
-  while (this.pointer < this.buffer.length) {
-    var key_and_value = stypes.parse(this);
-    var key = key_and_value[0];
-    var value = key_and_value[1];
+  function add(key, value) {
     output[key] = SerializedObject.jsonify_structure(value, key);
-  }
+  };
 
-  this.pointer = old_pointer;
+  try {
+    while (this.pointer < this.buffer.length) {
+      var key_and_value = stypes.parse(this, opts);
+      add(key_and_value[0], key_and_value[1]);
+    }
+  } catch (e) {
+    throw stypes.addPartial(e, output, add);
+  } finally {
+    this.pointer = old_pointer;
+  }
 
   return output;
 };
 
+SerializedObject.modes = [ 'strict', 'lenient' ];
+
 SerializedObject.jsonify_structure = function(structure, field_name) {
   var output;
 
@@ -210,7 +239,12 @@ SerializedObject.jsonify_structure = function(structure, field_name) {
       if (typeof structure.to_json === 'function') {
         output = structure.to_json();
       } else if (structure instanceof BigInteger) {
+        // Int64 fields are written as 16 hex digits, as rippled does
         output = structure.toString(16).toUpperCase();
+
+        while (output.length < 16) {
+          output = '0' + output;
+        }
       } else {
         //new Array or Object
         output = new structure.constructor();
@@ -636,27 +636,149 @@ function serialize(so, field_name, value) {
 //Take the serialized object, figure out what type/field it is, and return the parsing of that.
 exports.parse = exports.parse_whatever = parse;
 
-function parse(so) {
-  var tag_byte   = so.read(1)[0];
-  var type_bits  = tag_byte >> 4;
+/**
+ * Error for a field that could not be decoded.
+ *
+ * The error tells where the field starts in the buffer, its type and field
+ * ids, and its name if known. Objects and arrays that contain the field add
+ * what they decoded before it as `partial`.
+ */
+
+function decodeError(message, offset, type_bits, field_bits) {
+  var fields = binformat.fields[type_bits];
+  var field_name = fields && fields[field_bits];
+  var description = [ ];
+
+  if (field_name) {
+    description.push(binformat.types[type_bits] + ' field ' + field_name);
+  } else {
+    // Ids that could not be read are left out
+    if (type_bits !== void(0)) {
+      description.push('type ' + type_bits);
+    }
+    if (field_bits !== void(0)) {
+      description.push('field ' + field_bits);
+    }
+  }
 
-  if (type_bits === 0) {
-    type_bits = so.read(1)[0];
+  if (description.length) {
+    message += ' (' + description.join(', ') + ')';
+  }
+
+  var error = new Error(message + ' at offset ' + offset);
+
+  error.offset = offset;
+  error.type_id = type_bits;
+  error.field_id = field_bits;
+  error.field_name = field_name;
+
+  return error;
+};
+
+/**
+ * Parse a field.
+ *
+ * @param {SerializedObject} so
+ * @param [Object] options
+ *   @param [String] mode, 'strict' (default) throws on unknown fields,
+ *     'lenient' keeps them as hex, named Unknown_<type id>_<field id>
+ * @return {Array} [ key, value ]
+ */
+
+function parse(so, options) {
+  var lenient = options && options.mode === 'lenient';
+  var offset = so.pointer;
+  var type_bits, field_bits;
+
+  try {
+    var tag_byte = so.read(1)[0];
+
+    // Ids of 0 are in the bytes that follow, type first
+    if (tag_byte & 0x0f) {
+      field_bits = tag_byte & 0x0f;
+    }
+
+    type_bits = (tag_byte >> 4) || so.read(1)[0];
+
+    if (field_bits === void(0)) {
+      field_bits = so.read(1)[0];
+    }
+  } catch (e) {
+    throw decodeError(e.message, offset, type_bits, field_bits);
   }
 
   // Get the parser class (ST...) for a field based on the type bits.
   var type = exports[binformat.types[type_bits]];
 
-  assert(type, 'Unknown type - header byte is 0x' + tag_byte.toString(16));
+  // Without its type, the length of a field is unknown
+  if (!type) {
+    throw decodeError('Unknown type', offset, type_bits, field_bits);
+  }
+
+  var field_name = binformat.fields[type_bits][field_bits];
 
-  var field_bits = tag_byte & 0x0f;
-  var field_name = (field_bits === 0)
-  ? field_name = binformat.fields[type_bits][so.read(1)[0]]
-  : field_name = binformat.fields[type_bits][field_bits];
+  if (!field_name && !lenient) {
+    throw decodeError('Unknown field', offset, type_bits, field_bits);
+  }
+
+  var known = !!field_name;
+  var start = so.pointer;
+  var value;
 
-  assert(field_name, 'Unknown field - header byte is 0x' + tag_byte.toString(16));
+  if (!known) {
+    field_name = 'Unknown_' + type_bits + '_' + field_bits;
+  }
 
-  return [ field_name, type.parse(so) ]; //key, value
+  try {
+    value = type.parse(so, options);
+  } catch (e) {
+    var error = (e.offset === void(0)) ? decodeError(e.message, offset, type_bits, field_bits) : e;
+
+    // An object or array failed, keep what was decoded of it
+    if (e.partial !== void(0)) {
+      error.nested = [ field_name, e.partial ];
+    }
+
+    throw error;
+  }
+
+  if (!known) {
+    value = convert_bytes_to_hex(so.buffer.slice(start, so.pointer));
+  }
+
+  return [ field_name, value ]; //key, value
+};
+
+/**
+ * Add what an object or array decoded to the error of one of its fields.
+ *
+ * @param {Error} error
+ * @param {Object|Array} output decoded so far
+ * @param {Function} add (key, value) to the output
+ * @return {Error}
+ */
+
+function addPartial(error, output, add) {
+  if (error.nested) {
+    add(error.nested[0], error.nested[1]);
+    delete error.nested;
+  }
+
+  error.partial = output;
+
+  return error;
+};
+
+exports.addPartial = addPartial;
+
+// Peek at the next byte of an object or array, which must not end before its
+// end marker
+function peekMarker(so, type_name) {
+  if (so.pointer >= so.buffer.length) {
+    throw decodeError('Buffer length exceeded before the end of an ' + type_name, so.pointer);
+  }
+
+  return so.peek(1)[0];
 };
 
 function sort_fields(keys) {
@@ -704,13 +826,23 @@ var STObject = exports.Object = new SerializedType({
     }
   },
 
-  parse: function (so) {
+  parse: function (so, options) {
     var output = {};
-    while (so.peek(1)[0] !== 0xe1) {
-      var keyval = parse(so);
-      output[keyval[0]] = keyval[1];
+
+    function add(key, value) {
+      output[key] = value;
+    };
+
+    try {
+      while (peekMarker(so, 'Object') !== 0xe1) {
+        var keyval = parse(so, options);
+        add(keyval[0], keyval[1]);
+      }
+      so.read(1);
+    } catch (e) {
+      throw addPartial(e, output, add);
     }
-    so.read(1);
+
     return output;
   }
 });
@@ -735,17 +867,25 @@ var STArray = exports.Array = new SerializedType({
     STInt8.serialize(so, 0xf1);
   },
 
-  parse: function (so) {
+  parse: function (so, options) {
     var output = [ ];
 
-    while (so.peek(1)[0] !== 0xf1) {
-      var keyval = parse(so);
+    function add(key, value) {
       var obj = { };
-      obj[keyval[0]] = keyval[1];
+      obj[key] = value;
       output.push(obj);
-    }
+    };
+
+    try {
+      while (peekMarker(so, 'Array') !== 0xf1) {
+        var keyval = parse(so, options);
+        add(keyval[0], keyval[1]);
+      }
 
-    so.read(1);
+      so.read(1);
+    } catch (e) {
+      throw addPartial(e, output, add);
+    }
 
     return output;
   }
@@ -1,4 +1,5 @@
 var util         = require('util');
+var extend       = require('extend');
 var rippleUtil   = require('./utils');
 var url          = require('url');
 var EventEmitter = require('events').EventEmitter;
@@ -14,6 +15,8 @@ var log          = require('./log').internal.sub('server');
  *    @param {String} host
  *    @param {Number|String} port
  *    @param [Boolean] securec
+ *    @param [Object] reconnect_policy, overrides the policy of the Remote,
+ *      see Server.reconnectPolicy
  */
 
 function Server(remote, opts) {
@@ -63,6 +66,10 @@ function Server(remote, opts) {
   this._retry    = 0;
   this._requests = { };
 
+  this._reconnectPolicy = Server.reconnectPolicy(
+    extend({ }, remote.reconnect_policy, opts.reconnect_policy)
+  );
+
   this._load_base   = 256;
   this._load_factor = 256;
 
@@ -76,8 +83,15 @@ function Server(remote, opts) {
   this._lastLedgerIndex = NaN;
   this._lastLedgerClose = NaN;
 
+  // Highest ledger this server has validated
+  this._lastValidatedIndex = NaN;
+
   this._score = 0;
 
+  // Whether the server keeps up with the other servers, see
+  // Remote#_checkServerHealth
+  this._healthy = true;
+
   this._scoreWeights = {
     ledgerclose: 5,
     response: 1
@@ -110,6 +124,10 @@ function Server(remote, opts) {
 
   this.once('ledger_closed', setActivityInterval);
 
+  this.on('connect', function onConnect() {
+    self._retry = 0;
+  });
+
   this._remote.on('ledger_closed', function(ledger) {
     self._updateScore('ledgerclose', ledger);
   });
@@ -127,6 +145,65 @@ util.inherits(Server, EventEmitter);
 
 Server.domainRE = /^(?=.{1,255}$)[0-9A-Za-z](?:(?:[0-9A-Za-z]|[-_]){0,61}[0-9A-Za-z])?(?:\.[0-9A-Za-z](?:(?:[0-9A-Za-z]|[-_]){0,61}[0-9A-Za-z])?)*\.?$/;
 
+/**
+ * Default reconnection policy.
+ *
+ *   initial_delay : Delay before the first attempt, in milliseconds
+ *   factor        : Multiplier of the delay after each failed attempt
+ *   max_delay     : Maximum delay, in milliseconds
+ *   jitter        : Fraction of the delay that is random, from 0 to 1, so
+ *                   that clients do not all reconnect at the same time
+ *   max_attempts  : Attempts before giving up
+ */
+
+Server.defaultReconnectPolicy = {
+  initial_delay: 1000,
+  factor: 2,
+  max_delay: 60000,
+  jitter: 0.5,
+  max_attempts: Infinity
+};
+
+/**
+ * Complete a reconnection policy with the defaults, and check it.
+ *
+ * @param [Object] policy
+ * @return {Object} policy
+ */
+
+Server.reconnectPolicy = function(policy) {
+  policy = extend({ }, Server.defaultReconnectPolicy, policy);
+
+  Object.keys(Server.defaultReconnectPolicy).forEach(function(key) {
+    if (typeof policy[key] !== 'number' || isNaN(policy[key]) || policy[key] < 0) {
+      throw new TypeError('Server reconnect policy "' + key + '" is not a positive Number');
+    }
+  });
+
+  if (policy.jitter > 1) {
+    throw new TypeError('Server reconnect policy "jitter" must be between 0 and 1');
+  }
+
+  return policy;
+};
+
+/**
+ * Delay before a reconnection attempt. The delay grows exponentially up to
+ * max_delay, then up to `jitter` of it is taken off at random.
+ *
+ * @param {Object} policy
+ * @param {Number} attempt, starting at 1
+ * @return {Number} delay in milliseconds
+ */
+
+Server.reconnectDelay = function(policy, attempt) {
+  var delay = policy.initial_delay * Math.pow(policy.factor, attempt - 1);
+
+  delay = Math.min(delay, policy.max_delay);
+
+  return Math.round(delay * (1 - policy.jitter * Math.random()));
+};
+
 /**
  * Server states that we will treat as the server being online.
  *
@@ -259,6 +336,40 @@ Server.prototype._updateScore = function(type, data) {
   }
 };
 
+/**
+ * Mark the server as healthy or unhealthy. Unhealthy servers are only used
+ * when no healthy server is connected.
+ *
+ * @param {Boolean} healthy
+ * @param [Object] info explaining why the server is unhealthy
+ * @api private
+ */
+
+Server.prototype._setHealthy = function(healthy, info) {
+  if (healthy === this._healthy) {
+    return;
+  }
+
+  this._healthy = healthy;
+
+  if (healthy) {
+    this.emit('healthy');
+  } else {
+    this.emit('unhealthy', info);
+  }
+};
+
+/**
+ * Return whether the server is connected and keeps up with the other
+ * servers
+ *
+ * @api public
+ */
+
+Server.prototype.isHealthy = function() {
+  return this._connected && this._healthy;
+};
+
 /**
  * Get the remote address for a server.
  * Incompatible with ripple-lib client build
@@ -281,6 +392,8 @@ Server.prototype._remoteAddress = function() {
 
 Server.prototype.disconnect = function() {
   this._shouldConnect = false;
+  this._retry = 0;
+  clearTimeout(this._retryTimer);
   this._setState('offline');
   if (this._ws) {
     this._ws.close();
@@ -412,10 +525,20 @@ Server.prototype.connected = function() {
 
 Server.prototype._retryConnect = function() {
   var self = this;
+  var policy = this._reconnectPolicy;
+
+  if (this._retry >= policy.max_attempts) {
+    var attempts = this._retry;
+
+    this._shouldConnect = false;
+    this._retry = 0;
+    this.emit('reconnect_failed', attempts);
+    return;
+  }
 
   this._retry += 1;
 
-  var retryTimeout = rippleUtil.expBackoff(this._retry, 100, 1000);
+  var retryTimeout = Server.reconnectDelay(policy, this._retry);
 
   function connectionRetry() {
     if (self._shouldConnect) {
@@ -428,7 +551,7 @@ Server.prototype._retryConnect = function() {
 
   this._retryTimer = setTimeout(connectionRetry, retryTimeout);
 
-  this.emit('reconnecting', retryTimeout);
+  this.emit('reconnecting', retryTimeout, this._retry);
 };
 
 /**
@@ -461,6 +584,21 @@ Server.prototype._handleClose = function() {
   // Prevent additional events from this socket
   ws.onopen = ws.onerror = ws.onclose = ws.onmessage = noOp;
 
+  // Requests sent on this socket will not be answered, retry those that can
+  // be sent to another server
+  Object.keys(this._requests).forEach(function(id) {
+    var request = self._requests[id];
+
+    var retried = self._remote._retryRequest(request, {
+      error: 'remoteDisconnected',
+      error_message: 'Server disconnected.'
+    });
+
+    if (retried) {
+      delete self._requests[id];
+    }
+  });
+
   if (self._shouldConnect) {
     this._retryConnect();
   }
@@ -505,6 +643,13 @@ Server.prototype._handleMessage = function(message) {
 Server.prototype._handleLedgerClosed = function(message) {
   this._lastLedgerIndex = message.ledger_index;
   this._lastLedgerClose = Date.now();
+  this._setValidatedIndex(message);
+
+  if (typeof message.fee_base === 'number' && typeof message.fee_ref === 'number') {
+    this._fee_base = message.fee_base;
+    this._fee_ref  = message.fee_ref;
+  }
+
   this.emit('ledger_closed', message);
 };
 
@@ -570,7 +715,9 @@ Server.prototype._handleResponse = function(message) {
       remote: message
     };
 
-    request.emit('error', error);
+    if (!this._remote._retryRequest(request, error)) {
+      request.emit('error', error);
+    }
   }
 };
 
@@ -591,6 +738,10 @@ Server.prototype._handleResponseSubscribe = function(message) {
   if (~(Server.onlineStates.indexOf(message.server_status))) {
     this._setState('online');
   }
+  if (typeof message.ledger_index === 'number') {
+    this._lastLedgerIndex = message.ledger_index;
+  }
+  this._setValidatedIndex(message);
   if (Server.isLoadStatus(message)) {
     this._load_base    = message.load_base || 256;
     this._load_factor  = message.load_factor || 256;
@@ -612,6 +763,35 @@ Server.isValidMessage = function(message) {
       && (typeof message.type === 'string');
 };
 
+/**
+ * Get the highest ledger index of the validated_ledgers of a ledgerClosed
+ * message or subscribe response, e.g. 32570-7035609 or 1-3,5-7035609
+ *
+ * @param {Object} message
+ * @return {Number} ledger index, NaN if the message has none
+ * @api private
+ */
+
+Server.validatedIndex = function(message) {
+  if (typeof message.validated_ledgers !== 'string') {
+    return NaN;
+  }
+
+  var indexes = message.validated_ledgers.split(/[,-]/).map(Number).filter(function(index) {
+    return index > 0;
+  });
+
+  return indexes.length ? Math.max.apply(Math, indexes) : NaN;
+};
+
+Server.prototype._setValidatedIndex = function(message) {
+  var index = Server.validatedIndex(message);
+
+  if (!isNaN(index)) {
+    this._lastValidatedIndex = index;
+  }
+};
+
 /**
  * Check that received serverStatus message contains
  * load status information
@@ -732,17 +912,18 @@ Server.prototype._feeTx = function(units) {
  * Multiply this value with the number of fee units in order to calculate the
  * recommended fee for the transaction you are trying to submit.
  *
+ * @param [Number] cushion to apply, defaults to the fee cushion of the remote
  * @return {Number} Recommended amount for one fee unit as float.
  */
 
-Server.prototype._feeTxUnit = function() {
+Server.prototype._feeTxUnit = function(cushion) {
   var fee_unit = this._fee_base / this._fee_ref;
 
   // Apply load fees
   fee_unit *= this._load_factor / this._load_base;
 
   // Apply fee cushion (a safety margin in case fees rise since we were last updated)
-  fee_unit *= this._fee_cushion;
+  fee_unit *= typeof cushion === 'number' ? cushion : this._fee_cushion;
 
   return fee_unit;
 };
@@ -19,6 +19,242 @@ SHAMap.prototype.hash = function() {
   return this.root.hash();
 };
 
+/**
+ * @param tag {String} 64 hexadecimal characters
+ * @return {SHAMapTreeNodeLeaf|null} leaf holding the item, with its `tag`,
+ *   `type` and data in `node`
+ */
+
+SHAMap.prototype.get_item = function(tag) {
+  var node = this.root;
+
+  while (node instanceof SHAMapTreeNodeInner) {
+    node = node.get_node(tag[node.depth]);
+  }
+
+  return node && node.tag === tag ? node : null;
+};
+
+/**
+ * Remove an item from the map.
+ *
+ * The tree is collapsed as needed, so that the map hashes the same as a map
+ * built without the item.
+ *
+ * @param tag {String} 64 hexadecimal characters
+ * @return {Boolean} true if the item was in the map
+ */
+
+SHAMap.prototype.remove_item = function(tag) {
+  return this.root.remove_item(tag);
+};
+
+/**
+ * Call a function for each item in the map, in order of their tags.
+ *
+ * @param callback {Function} called with each SHAMapTreeNodeLeaf
+ */
+
+SHAMap.prototype.for_each = function(callback) {
+  this.root.for_each(callback);
+};
+
+/**
+ * Compare the items of this map with those of another map.
+ *
+ *    {
+ *      added:    [ <tags of items only in other> ],
+ *      modified: [ <tags of items that differ> ],
+ *      deleted:  [ <tags of items only in this map> ]
+ *    }
+ *
+ * The maps are walked together, and subtrees with equal hashes are skipped,
+ * so the cost follows the number of differences rather than the size of
+ * the maps.
+ *
+ * @param other {SHAMap}
+ * @return {Object} tags, in order
+ */
+
+SHAMap.prototype.diff = function(other) {
+  var result = {
+    added: [ ],
+    modified: [ ],
+    deleted: [ ]
+  };
+
+  function leaves(node) {
+    var items = [ ];
+
+    if (node instanceof SHAMapTreeNodeInner) {
+      node.for_each(function(leaf) {
+        items.push(leaf);
+      });
+    } else if (node) {
+      items.push(node);
+    }
+
+    return items;
+  };
+
+  // Merge two lists of leaves in order of their tags
+  function diff_leaves(ours, theirs) {
+    var i = 0, j = 0;
+
+    while (i < ours.length || j < theirs.length) {
+      var ours_tag = i < ours.length ? ours[i].tag : null;
+      var theirs_tag = j < theirs.length ? theirs[j].tag : null;
+
+      if (theirs_tag === null || (ours_tag !== null && ours_tag < theirs_tag)) {
+        result.deleted.push(ours_tag);
+        i++;
+      } else if (ours_tag === null || theirs_tag < ours_tag) {
+        result.added.push(theirs_tag);
+        j++;
+      } else {
+        if (!ours[i].hash().equals(theirs[j].hash())) {
+          result.modified.push(ours_tag);
+        }
+        i++;
+        j++;
+      }
+    }
+  };
+
+  // Nodes in the same slot of both maps
+  function diff_nodes(ours, theirs) {
+    if (!(ours instanceof SHAMapTreeNodeInner && theirs instanceof SHAMapTreeNodeInner)) {
+      // A leaf or an empty slot on either side
+      return diff_leaves(leaves(ours), leaves(theirs));
+    }
+
+    if (ours.hash().equals(theirs.hash())) {
+      return;
+    }
+
+    for (var i=0; i<16; i++) {
+      var slot = i.toString(16).toUpperCase();
+      diff_nodes(ours.get_node(slot), theirs.get_node(slot));
+    }
+  };
+
+  diff_nodes(this.root, other.root);
+
+  return result;
+};
+
+/**
+ * Generate a Merkle inclusion proof for an item.
+ *
+ * The proof holds the hashes of the siblings of each inner node on the path
+ * from the root to the item, root first. The slot on the path itself is
+ * null, it is recalculated when the proof is verified.
+ *
+ *    {
+ *      tag:  <item tag>,
+ *      type: <leaf type>,
+ *      path: [ [ <16 hashes> ], ... ]
+ *    }
+ *
+ * @param tag {String} 64 hexadecimal characters
+ * @return {Object|null} proof, or null if the item is not in the map
+ */
+
+SHAMap.prototype.get_proof = function(tag) {
+  var path = [ ];
+  var node = this.root;
+
+  while (node instanceof SHAMapTreeNodeInner) {
+    var slot = tag[node.depth];
+
+    path.push(node.slot_hashes().map(function(hash, i) {
+      return i.toString(16).toUpperCase() === slot ? null : hash.to_hex();
+    }));
+
+    node = node.get_node(slot);
+  }
+
+  if (!node || node.tag !== tag) {
+    return null;
+  }
+
+  return {
+    tag: tag,
+    type: node.type,
+    path: path
+  };
+};
+
+/**
+ * Verify a Merkle inclusion proof against a trusted root hash.
+ *
+ * The type of the leaf is given by the caller, the `type` of the proof is
+ * not trusted. Leaves of TYPE_TRANSACTION_NM hash to their tag alone, so a
+ * proof for one could pass off any node of the map as the item, and is
+ * always rejected.
+ *
+ * @param proof {Object} proof from SHAMap#get_proof
+ * @param root_hash {String|UInt256} trusted root hash of the map
+ * @param node {SerializedObject} item data
+ * @param [type] {Number} leaf type, TYPE_ACCOUNT_STATE (default) or
+ *   TYPE_TRANSACTION_MD
+ * @return {Boolean}
+ */
+
+SHAMap.verify_proof = function(proof, root_hash, node, type) {
+  var hash;
+
+  if (type === void(0)) {
+    type = SHAMapTreeNode.TYPE_ACCOUNT_STATE;
+  }
+
+  if (type !== SHAMapTreeNode.TYPE_ACCOUNT_STATE && type !== SHAMapTreeNode.TYPE_TRANSACTION_MD) {
+    return false;
+  }
+
+  if (typeof proof !== 'object' || proof === null
+      || !Array.isArray(proof.path)
+      || !UInt256.is_valid(proof.tag)) {
+    return false;
+  }
+
+  root_hash = UInt256.from_json(root_hash);
+
+  if (!root_hash.is_valid()) {
+    return false;
+  }
+
+  try {
+    hash = new SHAMapTreeNodeLeaf(proof.tag, node, type).hash();
+  } catch (e) {
+    return false;
+  }
+
+  for (var depth=proof.path.length - 1; depth>=0; depth--) {
+    var siblings = proof.path[depth];
+    var slot = parseInt(proof.tag[depth], 16);
+    var hashes = [ ];
+
+    if (!Array.isArray(siblings) || siblings.length !== 16) {
+      return false;
+    }
+
+    for (var i=0; i<16; i++) {
+      var sibling = i === slot ? hash : UInt256.from_json(siblings[i]);
+
+      if (!sibling.is_valid()) {
+        return false;
+      }
+
+      hashes.push(sibling);
+    }
+
+    hash = hash_inner(hashes);
+  }
+
+  return hash.equals(root_hash);
+};
+
 /**
  * Abstract class representing a node in a SHAMap tree.
  *
@@ -54,6 +290,9 @@ function SHAMapTreeNodeInner(depth) {
   this.depth = depth == null ? 0 : depth;
 
   this.empty = true;
+
+  // Hash of the node, see SHAMapTreeNodeInner#hash
+  this._hash = null;
 }
 
 util.inherits(SHAMapTreeNodeInner, SHAMapTreeNode);
@@ -63,6 +302,9 @@ util.inherits(SHAMapTreeNodeInner, SHAMapTreeNode);
  */
 SHAMapTreeNodeInner.prototype.add_item = function (tag, node) {
   var depth = this.depth;
+
+  this.invalidate();
+
   var existing_node = this.get_node(tag[depth]);
 
   if (existing_node) {
@@ -94,6 +336,7 @@ SHAMapTreeNodeInner.prototype.add_item = function (tag, node) {
  * Overwrite the node that is currently in a given slot.
  */
 SHAMapTreeNodeInner.prototype.set_node = function(slot, node) {
+  this.invalidate();
   this.leaves[slot] = node;
   this.empty = false;
 };
@@ -102,13 +345,83 @@ SHAMapTreeNodeInner.prototype.get_node = function(slot) {
   return this.leaves[slot];
 };
 
-SHAMapTreeNodeInner.prototype.hash = function() {
-  if (this.empty) {
-    return UInt256.from_hex(UInt256.HEX_ZERO);
+/**
+ * @param tag {String} (equates to a ledger entries `index`)
+ * @return {Boolean} true if the item was removed
+ */
+SHAMapTreeNodeInner.prototype.remove_item = function(tag) {
+  var slot = tag[this.depth];
+
+  this.invalidate();
+
+  var existing_node = this.get_node(slot);
+
+  if (existing_node instanceof SHAMapTreeNodeInner) {
+    if (!existing_node.remove_item(tag)) {
+      return false;
+    }
+
+    var children = existing_node.children();
+
+    if (children.length === 0) {
+      this.remove_node(slot);
+    } else if (children.length === 1 && children[0] instanceof SHAMapTreeNodeLeaf) {
+      // A single remaining leaf takes the place of its inner node
+      this.set_node(slot, children[0]);
+    }
+
+    return true;
   }
 
-  var hash_buffer = new SerializedObject();
-  var buffer = [ ];
+  if (existing_node && existing_node.tag === tag) {
+    this.remove_node(slot);
+    return true;
+  }
+
+  return false;
+};
+
+SHAMapTreeNodeInner.prototype.remove_node = function(slot) {
+  this.invalidate();
+  delete this.leaves[slot];
+  this.empty = this.children().length === 0;
+};
+
+/**
+ * @return {Array} nodes in this node's slots, in slot order
+ */
+SHAMapTreeNodeInner.prototype.children = function() {
+  var children = [ ];
+
+  for (var i=0; i<16; i++) {
+    var node = this.leaves[i.toString(16).toUpperCase()];
+
+    if (typeof node === 'object') {
+      children.push(node);
+    }
+  }
+
+  return children;
+};
+
+SHAMapTreeNodeInner.prototype.for_each = function(callback) {
+  this.children().forEach(function(node) {
+    if (node instanceof SHAMapTreeNodeInner) {
+      node.for_each(callback);
+    } else {
+      callback(node);
+    }
+  });
+};
+
+/**
+ * Hashes of the sixteen slots of this node, zero for empty slots.
+ *
+ * @return {Array} UInt256 hashes
+ */
+
+SHAMapTreeNodeInner.prototype.slot_hashes = function() {
+  var hashes = [ ];
 
   for (var i=0; i<16; i++) {
     var leafHash = UInt256.from_hex(UInt256.HEX_ZERO);
@@ -118,9 +431,44 @@ SHAMapTreeNodeInner.prototype.hash = function() {
       leafHash = this.leaves[slot].hash();
     }
 
-    hash_buffer.append(leafHash.to_bytes());
+    hashes.push(leafHash);
+  }
+
+  return hashes;
+};
+
+SHAMapTreeNodeInner.prototype.hash = function() {
+  if (this.empty) {
+    return UInt256.from_hex(UInt256.HEX_ZERO);
+  }
+
+  // The hash is kept until a node below this one changes
+  if (!this._hash) {
+    this._hash = hash_inner(this.slot_hashes());
   }
 
+  return this._hash;
+};
+
+/**
+ * Forget the hash of this node, once it or a node below it changes.
+ */
+
+SHAMapTreeNodeInner.prototype.invalidate = function() {
+  this._hash = null;
+};
+
+/**
+ * Hash an inner node from the hashes of its sixteen slots.
+ */
+
+function hash_inner(hashes) {
+  var hash_buffer = new SerializedObject();
+
+  hashes.forEach(function(hash) {
+    hash_buffer.append(hash.to_bytes());
+  });
+
   var hash = hash_buffer.hash(hashprefixes.HASH_INNER_NODE);
 
   return UInt256.from_bits(hash);
@@ -152,7 +500,7 @@ SHAMapTreeNodeLeaf.prototype.hash = function () {
       buffer.append(this.tag_bytes);
       return buffer.hash(hashprefixes.HASH_LEAF_NODE);
     case SHAMapTreeNode.TYPE_TRANSACTION_NM:
-      return this.tag_bytes;
+      return UInt256.from_bytes(this.tag_bytes);
     case SHAMapTreeNode.TYPE_TRANSACTION_MD:
       buffer.append(this.node);
       buffer.append(this.tag_bytes);
@@ -0,0 +1,393 @@
+var util = require('util');
+var fs   = require('fs');
+var log  = require('./log').internal.sub('storage');
+
+/**
+ * Storage for pending transactions.
+ *
+ * A storage is passed to a Remote as `opts.storage`. The TransactionManager
+ * saves the summary of a transaction, see Transaction#summary, every time its
+ * state changes. When the Remote connects, it resubmits the transactions
+ * returned by getPendingTransactions, so that a restarted process resumes
+ * where it left off.
+ *
+ * Summaries do not include secrets. Set the secrets of the accounts with
+ * Remote#setSecret before connecting.
+ *
+ * Storages may also implement getBatch(id, callback) and saveBatch(batch,
+ * [callback]) to keep the state of payment batches, so that they can be
+ * resumed, see TransactionManager#submitBatch.
+ *
+ * Abstract class, implemented by MemoryStorage, KeyValueStorage and
+ * FileStorage.
+ */
+
+function Storage() { };
+
+/**
+ * @param callback {Function} called with an error, or an array of the
+ *   summaries of transactions that are not finalized
+ */
+
+Storage.prototype.getPendingTransactions = function(callback) {
+  throw new Error('Called unimplemented virtual method Storage#getPendingTransactions.');
+};
+
+/**
+ * Save a transaction summary, replacing any previous summary of the same
+ * transaction. A finalized transaction is no longer pending.
+ *
+ * @param summary {Object} from Transaction#summary
+ * @param [Function] callback
+ */
+
+Storage.prototype.saveTransaction = function(summary, callback) {
+  throw new Error('Called unimplemented virtual method Storage#saveTransaction.');
+};
+
+/**
+ * Transactions are identified by account and sequence, which do not change
+ * when a transaction is signed again with a higher fee.
+ */
+
+Storage.getKey = function(summary) {
+  var tx_json = summary && summary.tx_json;
+
+  if (typeof tx_json !== 'object'
+      || typeof tx_json.Account !== 'string'
+      || typeof tx_json.Sequence !== 'number') {
+    return null;
+  }
+
+  return tx_json.Account + ':' + tx_json.Sequence;
+};
+
+/**
+ * Pending transactions ordered by account and sequence, so that they are
+ * resubmitted in order.
+ */
+
+Storage.sortTransactions = function(transactions) {
+  return transactions.sort(function(a, b) {
+    if (a.tx_json.Account !== b.tx_json.Account) {
+      return a.tx_json.Account < b.tx_json.Account ? -1 : 1;
+    }
+
+    return a.tx_json.Sequence - b.tx_json.Sequence;
+  });
+};
+
+function callbackOrLog(callback, err) {
+  if (typeof callback === 'function') {
+    callback(err);
+  } else if (err) {
+    log.error('failed to save transaction:', err.message || err);
+  }
+};
+
+/**
+ * In-memory storage, lost when the process exits. Mostly useful for tests
+ * and as a base for other storages.
+ */
+
+function MemoryStorage() {
+  Storage.call(this);
+
+  this._transactions = { };
+  this._batches = { };
+};
+
+util.inherits(MemoryStorage, Storage);
+
+MemoryStorage.prototype.getPendingTransactions = function(callback) {
+  var self = this;
+
+  var transactions = Object.keys(this._transactions).map(function(key) {
+    return self._transactions[key];
+  });
+
+  callback(null, Storage.sortTransactions(JSON.parse(JSON.stringify(transactions))));
+};
+
+MemoryStorage.prototype.saveTransaction = function(summary, callback) {
+  var key = Storage.getKey(summary);
+
+  if (!key) {
+    return callbackOrLog(callback, new Error('Transaction has no Account and Sequence'));
+  }
+
+  if (summary.finalized) {
+    delete this._transactions[key];
+  } else {
+    // Copy, the summary refers to the transaction's own tx_json
+    this._transactions[key] = JSON.parse(JSON.stringify(summary));
+  }
+
+  callbackOrLog(callback, null);
+};
+
+MemoryStorage.prototype.getBatch = function(id, callback) {
+  var batch = this._batches.hasOwnProperty(id) ? this._batches[id] : null;
+  callback(null, JSON.parse(JSON.stringify(batch)));
+};
+
+MemoryStorage.prototype.saveBatch = function(batch, callback) {
+  if (typeof batch !== 'object' || batch === null || typeof batch.id !== 'string') {
+    return callbackOrLog(callback, new Error('Batch has no id'));
+  }
+
+  this._batches[batch.id] = JSON.parse(JSON.stringify(batch));
+
+  callbackOrLog(callback, null);
+};
+
+/**
+ * Storage on top of a generic key-value store, such as a database client or
+ * localStorage wrapper.
+ *
+ * The store must implement:
+ *
+ *    get(key, callback)         callback(err, value), value is null if unset
+ *    set(key, value, callback)  callback(err)
+ *
+ * All pending transactions are kept as one JSON string under a single key,
+ * along with payment batches under 'batch:' keys. Writes are serialized, so
+ * the store always holds the latest state.
+ *
+ * @param store {Object}
+ * @param [Object] options
+ * @param [String] options.key, defaults to 'stellar-lib:pending'
+ */
+
+function KeyValueStorage(store, options) {
+  MemoryStorage.call(this);
+
+  if (typeof store !== 'object' || store === null
+      || typeof store.get !== 'function'
+      || typeof store.set !== 'function') {
+    throw new TypeError('Store must implement get and set');
+  }
+
+  this._store = store;
+  this._storeKey = (options && options.key) || KeyValueStorage.DEFAULT_KEY;
+
+  this._loaded = false;
+  this._loadCallbacks = null;
+
+  this._writing = false;
+  this._writeCallbacks = [ ];
+};
+
+util.inherits(KeyValueStorage, MemoryStorage);
+
+KeyValueStorage.DEFAULT_KEY = 'stellar-lib:pending';
+
+KeyValueStorage.BATCH_PREFIX = 'batch:';
+
+/**
+ * Load the stored transactions once, before they are read or written.
+ */
+
+KeyValueStorage.prototype._load = function(callback) {
+  var self = this;
+
+  if (this._loaded) {
+    return callback(null);
+  }
+
+  if (this._loadCallbacks) {
+    return this._loadCallbacks.push(callback);
+  }
+
+  this._loadCallbacks = [ callback ];
+
+  this._store.get(this._storeKey, function(err, value) {
+    var callbacks = self._loadCallbacks;
+    self._loadCallbacks = null;
+
+    if (!err && value) {
+      try {
+        self._parse(JSON.parse(value));
+      } catch (e) {
+        err = new Error('Stored transactions are not valid JSON');
+      }
+    }
+
+    self._loaded = !err;
+
+    callbacks.forEach(function(callback) {
+      callback(err);
+    });
+  });
+};
+
+KeyValueStorage.prototype._parse = function(stored) {
+  var self = this;
+  var prefix = KeyValueStorage.BATCH_PREFIX;
+
+  this._transactions = { };
+
+  Object.keys(stored).forEach(function(key) {
+    if (key.slice(0, prefix.length) === prefix) {
+      self._batches[key.slice(prefix.length)] = stored[key];
+    } else {
+      self._transactions[key] = stored[key];
+    }
+  });
+};
+
+KeyValueStorage.prototype._serialize = function() {
+  var self = this;
+  var stored = { };
+
+  Object.keys(this._transactions).forEach(function(key) {
+    stored[key] = self._transactions[key];
+  });
+
+  Object.keys(this._batches).forEach(function(id) {
+    stored[KeyValueStorage.BATCH_PREFIX + id] = self._batches[id];
+  });
+
+  return JSON.stringify(stored);
+};
+
+KeyValueStorage.prototype._flush = function() {
+  var self = this;
+
+  if (this._writing || !this._writeCallbacks.length) {
+    return;
+  }
+
+  var callbacks = this._writeCallbacks;
+  var value = this._serialize();
+
+  this._writing = true;
+  this._writeCallbacks = [ ];
+
+  this._store.set(this._storeKey, value, function(err) {
+    self._writing = false;
+
+    callbacks.forEach(function(callback) {
+      callbackOrLog(callback, err);
+    });
+
+    // Write again if transactions were saved in the meantime
+    self._flush();
+  });
+};
+
+KeyValueStorage.prototype.getPendingTransactions = function(callback) {
+  var self = this;
+
+  this._load(function(err) {
+    if (err) {
+      callback(err);
+    } else {
+      MemoryStorage.prototype.getPendingTransactions.call(self, callback);
+    }
+  });
+};
+
+KeyValueStorage.prototype.saveTransaction = function(summary, callback) {
+  var self = this;
+
+  this._load(function(err) {
+    if (err) {
+      return callbackOrLog(callback, err);
+    }
+
+    MemoryStorage.prototype.saveTransaction.call(self, summary, function(err) {
+      if (err) {
+        return callbackOrLog(callback, err);
+      }
+
+      self._writeCallbacks.push(callback);
+      self._flush();
+    });
+  });
+};
+
+KeyValueStorage.prototype.getBatch = function(id, callback) {
+  var self = this;
+
+  this._load(function(err) {
+    if (err) {
+      callback(err);
+    } else {
+      MemoryStorage.prototype.getBatch.call(self, id, callback);
+    }
+  });
+};
+
+KeyValueStorage.prototype.saveBatch = function(batch, callback) {
+  var self = this;
+
+  this._load(function(err) {
+    if (err) {
+      return callbackOrLog(callback, err);
+    }
+
+    MemoryStorage.prototype.saveBatch.call(self, batch, function(err) {
+      if (err) {
+        return callbackOrLog(callback, err);
+      }
+
+      self._writeCallbacks.push(callback);
+      self._flush();
+    });
+  });
+};
+
+/**
+ * Storage in a JSON file on disk (Node.js only).
+ *
+ * The file is written to a temporary file first and then renamed, so that a
+ * crash while writing does not leave a truncated file behind.
+ *
+ * @param path {String} path of the JSON file
+ */
+
+function FileStorage(path) {
+  if (!fs) {
+    throw new Error('FileStorage is not supported in this environment');
+  }
+
+  if (typeof path !== 'string') {
+    throw new TypeError('Path must be a string');
+  }
+
+  var store = {
+    get: function(key, callback) {
+      fs.readFile(path, 'utf8', function(err, data) {
+        if (err && err.code === 'ENOENT') {
+          callback(null, null);
+        } else {
+          callback(err, data);
+        }
+      });
+    },
+    set: function(key, value, callback) {
+      var tmp = path + '.tmp';
+
+      fs.writeFile(tmp, value, function(err) {
+        if (err) {
+          return callback(err);
+        }
+        fs.rename(tmp, path, callback);
+      });
+    }
+  };
+
+  KeyValueStorage.call(this, store);
+
+  this.path = path;
+};
+
+util.inherits(FileStorage, KeyValueStorage);
+
+exports.Storage = Storage;
+exports.MemoryStorage = MemoryStorage;
+exports.KeyValueStorage = KeyValueStorage;
+exports.FileStorage = FileStorage;
+
+// vim:sw=2:sts=2:ts=8:et
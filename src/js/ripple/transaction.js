@@ -44,15 +44,18 @@
 
 var EventEmitter     = require('events').EventEmitter;
 var util             = require('util');
+var extend           = require('extend');
 var utils            = require('./utils');
 var sjcl             = require('./utils').sjcl;
 var Amount           = require('./amount').Amount;
 var Currency         = require('./amount').Currency;
 var UInt160          = require('./amount').UInt160;
 var Seed             = require('./seed').Seed;
+var KeyPair          = require('./keypair').KeyPair;
 var SerializedObject = require('./serializedobject').SerializedObject;
 var RippleError      = require('./rippleerror').RippleError;
 var hashprefixes     = require('./hashprefixes');
+var REQUIRED         = require('./binformat').REQUIRED;
 var config           = require('./config');
 
 function Transaction(remote) {
@@ -60,6 +63,10 @@ function Transaction(remote) {
 
   var self = this;
 
+  // A Transaction without a Remote can only be completed and signed offline,
+  // from an explicitly set Fee and Sequence
+  this._offline = !remote;
+
   var remote = remote || { };
 
   this.remote = remote;
@@ -78,6 +85,9 @@ function Transaction(remote) {
   // Index at which transaction was submitted
   this.submitIndex = void(0);
 
+  // Batch and index of the transaction in it, see TransactionManager#submitBatch
+  this.batch = void(0);
+
   // Canonical signing setting defaults to the Remote's configuration
   this.canonical = (typeof remote === 'object') ? !!remote.canonical_signing : true;
 
@@ -184,6 +194,10 @@ Transaction.from_json = function(j) {
   return (new Transaction()).parseJson(j);
 };
 
+Transaction.from_blob = function(blob) {
+  return Transaction.from_json(new SerializedObject(blob).to_json());
+};
+
 Transaction.prototype.parseJson = function(v) {
   this.tx_json = v;
   return this;
@@ -240,7 +254,22 @@ Transaction.prototype.finalize = function(message) {
 };
 
 Transaction.prototype._accountSecret = function(account) {
-  return this.remote.secrets[account];
+  return this.remote.secrets ? this.remote.secrets[account] : void(0);
+};
+
+/**
+ * Returns the key pair used to sign this transaction. The secret may be a
+ * secret string, a Seed or a KeyPair.
+ *
+ * @return {KeyPair}
+ */
+
+Transaction.prototype._getKey = function() {
+  if (this._secret instanceof KeyPair) {
+    return this._secret;
+  }
+
+  return Seed.from_json(this._secret).get_key();
 };
 
 /**
@@ -299,6 +328,333 @@ Transaction.prototype._computeFee = function() {
   return String(median);
 };
 
+// Amount fields of transactions, and whether they must be positive
+Transaction.amountFields = {
+  Amount:      true,
+  SendMax:     true,
+  TakerPays:   true,
+  TakerGets:   true,
+  LimitAmount: false
+};
+
+// Account fields of transactions
+Transaction.accountFields = [
+  'Account',
+  'Destination',
+  'RegularKey',
+  'InflationDest',
+  'SetAuthKey',
+  'Target'
+];
+
+// Fields the library fills in before submitting
+Transaction.autofillFields = [
+  'Sequence',
+  'Fee',
+  'SigningPubKey',
+  'TxnSignature'
+];
+
+// Pairs of flags that cannot be set together
+Transaction.conflictingFlags = {
+  AccountSet: [
+    [ 'RequireDestTag', 'OptionalDestTag' ],
+    [ 'RequireAuth', 'OptionalAuth' ],
+    [ 'DisallowXRP', 'AllowXRP' ]
+  ],
+  TrustSet: [
+    [ 'SetAuth', 'ClearAuth' ],
+    [ 'NoRipple', 'ClearNoRipple' ]
+  ],
+  OfferCreate: [
+    [ 'ImmediateOrCancel', 'FillOrKill' ]
+  ]
+};
+
+// Account root flag of destinations that require a destination tag, see
+// Remote.flags.account_root
+var lsfRequireDestTag = 0x00020000;
+
+/**
+ * Check the transaction before it is signed or submitted, to catch errors
+ * the server would reject as malformed.
+ *
+ * Checks the fields of the transaction type, amounts, currencies and
+ * issuers, flags, and the rules of payments, offers and trust lines. Errors
+ * are objects with the `field` at fault, the `error` code of the result the
+ * server would give, and a `message`:
+ *
+ *    [ { field: 'Amount', error: 'temBAD_AMOUNT', message: 'Amount must be positive' } ]
+ *
+ * With a callback, the destination account of a payment is also checked on
+ * the network: it must exist to receive non-STR amounts, and may require a
+ * destination tag.
+ *
+ * @param [Function] callback, called with an error or the list of errors
+ * @return {Array} errors found locally, empty if none
+ */
+
+Transaction.prototype.validate = function(callback) {
+  var self = this;
+  var tx_json = this.tx_json;
+  var errors = [ ];
+
+  function error(field, code, message) {
+    errors.push({ field: field, error: code, message: message });
+  };
+
+  var format = Transaction.formats[tx_json.TransactionType];
+
+  if (!format) {
+    error('TransactionType', 'temUNKNOWN', 'Unknown transaction type: ' + tx_json.TransactionType);
+    return this._validateDestination(errors, callback);
+  }
+
+  format.slice(1).forEach(function(field) {
+    var name = field[0];
+
+    if (field[1] !== REQUIRED || tx_json.hasOwnProperty(name)) {
+      return;
+    }
+
+    // Offline transactions are not filled in
+    var autofill = ~Transaction.autofillFields.indexOf(name);
+
+    if (autofill && !(self._offline && /^(Sequence|Fee)$/.test(name))) {
+      return;
+    }
+
+    error(name, 'temMALFORMED', 'Missing required field: ' + name);
+  });
+
+  Transaction.accountFields.forEach(function(name) {
+    if (tx_json.hasOwnProperty(name) && !UInt160.is_valid(tx_json[name])) {
+      error(name, name === 'Destination' ? 'temDST_NEEDED' : 'temBAD_ACCOUNT', name + ' is not a valid account');
+    }
+  });
+
+  var amounts = { };
+
+  Object.keys(Transaction.amountFields).forEach(function(name) {
+    if (tx_json.hasOwnProperty(name)) {
+      amounts[name] = this._validateAmount(name, Transaction.amountFields[name], error);
+    }
+  }, this);
+
+  if (tx_json.hasOwnProperty('Fee') && !/^\d+$/.test(String(tx_json.Fee))) {
+    error('Fee', 'temBAD_FEE', 'Fee must be a whole number of stroops');
+  }
+
+  var sequence = tx_json.Sequence;
+
+  if (sequence !== void(0) && !(typeof sequence === 'number' && sequence >= 0 && sequence % 1 === 0)) {
+    error('Sequence', 'temBAD_SEQUENCE', 'Sequence must be a positive integer');
+  }
+
+  this._validateFlags(error);
+
+  switch (tx_json.TransactionType) {
+    case 'Payment':
+      this._validatePayment(amounts, error);
+      break;
+    case 'OfferCreate':
+      if (amounts.TakerPays && amounts.TakerGets) {
+        if (amounts.TakerPays.is_native() && amounts.TakerGets.is_native()) {
+          error('TakerGets', 'temBAD_OFFER', 'Offer cannot exchange STR for STR');
+        } else if (amounts.TakerPays.currency().equals(amounts.TakerGets.currency()) &&
+                   amounts.TakerPays.issuer().equals(amounts.TakerGets.issuer())) {
+          error('TakerGets', 'temREDUNDANT', 'Offer exchanges an amount for itself');
+        }
+      }
+      if (tx_json.Expiration === 0) {
+        error('Expiration', 'temBAD_EXPIRATION', 'Expiration must not be zero');
+      }
+      break;
+    case 'TrustSet':
+      if (amounts.LimitAmount) {
+        if (amounts.LimitAmount.is_native()) {
+          error('LimitAmount', 'temBAD_LIMIT', 'Limit must not be in STR');
+        } else if (amounts.LimitAmount.is_negative()) {
+          error('LimitAmount', 'temBAD_LIMIT', 'Limit must not be negative');
+        } else if (amounts.LimitAmount.issuer().to_json() === tx_json.Account) {
+          error('LimitAmount', 'temDST_IS_SRC', 'Cannot trust one\'s own issuances');
+        }
+      }
+      break;
+    case 'AccountSet':
+      if (tx_json.SetFlag !== void(0) && tx_json.SetFlag === tx_json.ClearFlag) {
+        error('ClearFlag', 'temINVALID_FLAG', 'Cannot set and clear the same flag');
+      }
+      break;
+    case 'AccountMerge':
+      if (tx_json.Destination === tx_json.Account) {
+        error('Destination', 'temDST_IS_SRC', 'Cannot merge an account into itself');
+      }
+      break;
+  }
+
+  return this._validateDestination(errors, callback);
+};
+
+/**
+ * @return {Amount} the valid amount of a field, or undefined
+ * @api private
+ */
+
+Transaction.prototype._validateAmount = function(name, positive, error) {
+  var value = this.tx_json[name];
+  var amount = Amount.from_json(value);
+
+  if (typeof value === 'string' ? !/^-?\d+$/.test(value) : !amount.is_valid()) {
+    error(name, 'temBAD_AMOUNT', name + ' is not a valid amount');
+    return;
+  }
+
+  if (typeof value === 'object') {
+    var currency = amount.currency();
+
+    // Amount parses the native currency code of an IOU as a bad currency
+    if (!currency.is_valid() || currency.is_native() || currency.to_hex() === Currency.HEX_CURRENCY_BAD) {
+      error(name, 'temBAD_CURRENCY', name + ' has an invalid currency');
+      return;
+    }
+
+    if (!amount.issuer().is_valid() || amount.issuer().to_json() === UInt160.ACCOUNT_ZERO) {
+      error(name, 'temBAD_ISSUER', name + ' has an invalid issuer');
+      return;
+    }
+  }
+
+  if (positive && !amount.is_positive()) {
+    error(name, 'temBAD_AMOUNT', name + ' must be positive');
+    return;
+  }
+
+  return amount;
+};
+
+Transaction.prototype._validateFlags = function(error) {
+  var type = this.tx_json.TransactionType;
+  var flags = this.tx_json.Flags;
+
+  if (flags === void(0)) {
+    return;
+  }
+
+  if (typeof flags !== 'number' || flags < 0 || flags % 1 !== 0) {
+    return error('Flags', 'temINVALID_FLAG', 'Flags must be a positive integer');
+  }
+
+  var known = Transaction.flags[type] || { };
+  var mask = Transaction.flags.Universal.FullyCanonicalSig;
+
+  Object.keys(known).forEach(function(name) {
+    mask |= known[name];
+  });
+
+  if ((flags & ~mask) !== 0) {
+    error('Flags', 'temINVALID_FLAG', 'Invalid flags for ' + type);
+  }
+
+  (Transaction.conflictingFlags[type] || [ ]).forEach(function(pair) {
+    if ((flags & known[pair[0]]) && (flags & known[pair[1]])) {
+      error('Flags', 'temINVALID_FLAG', 'Flags ' + pair[0] + ' and ' + pair[1] + ' cannot be set together');
+    }
+  });
+};
+
+Transaction.prototype._validatePayment = function(amounts, error) {
+  var tx_json = this.tx_json;
+  var flags = Transaction.flags.Payment;
+  var amount = amounts.Amount;
+  var send_max = amounts.SendMax;
+
+  if (!amount) {
+    return;
+  }
+
+  var source = send_max || amount;
+  var hasPaths = Array.isArray(tx_json.Paths) && tx_json.Paths.length > 0;
+
+  if (tx_json.Account === tx_json.Destination && source.currency().equals(amount.currency()) && !hasPaths) {
+    return error('Destination', 'temREDUNDANT', 'Cannot send to self without a path');
+  }
+
+  if (!(amount.is_native() && source.is_native())) {
+    return;
+  }
+
+  // Direct STR payment
+  if (tx_json.hasOwnProperty('SendMax')) {
+    error('SendMax', 'temBAD_SEND_STR_MAX', 'SendMax must not be set for STR to STR payments');
+  }
+
+  if (hasPaths) {
+    error('Paths', 'temBAD_SEND_STR_PATHS', 'Paths must not be set for STR to STR payments');
+  }
+
+  if (tx_json.Flags & flags.PartialPayment) {
+    error('Flags', 'temBAD_SEND_STR_PARTIAL', 'Partial payment must not be set for STR to STR payments');
+  }
+
+  if (tx_json.Flags & flags.LimitQuality) {
+    error('Flags', 'temBAD_SEND_STR_LIMIT', 'Limit quality must not be set for STR to STR payments');
+  }
+
+  if (tx_json.Flags & flags.NoRippleDirect) {
+    error('Flags', 'temBAD_SEND_STR_NO_DIRECT', 'No ripple direct must not be set for STR to STR payments');
+  }
+};
+
+/**
+ * Check the destination account of a payment on the network, if there is a
+ * callback.
+ *
+ * @api private
+ */
+
+Transaction.prototype._validateDestination = function(errors, callback) {
+  var tx_json = this.tx_json;
+
+  if (typeof callback !== 'function') {
+    return errors;
+  }
+
+  if (errors.length || this._offline || tx_json.TransactionType !== 'Payment') {
+    callback(null, errors);
+    return errors;
+  }
+
+  this.remote.requestAccountInfo(tx_json.Destination, function(err, info) {
+    if (err) {
+      if (err.remote && err.remote.error === 'actNotFound') {
+        if (!Amount.from_json(tx_json.Amount).is_native()) {
+          errors.push({
+            field: 'Destination',
+            error: 'tecNO_DST',
+            message: 'Destination does not exist, and can only receive STR'
+          });
+        }
+        return callback(null, errors);
+      }
+
+      return callback(err);
+    }
+
+    if ((info.account_data.Flags & lsfRequireDestTag) && tx_json.DestinationTag === void(0)) {
+      errors.push({
+        field: 'DestinationTag',
+        error: 'tefDST_TAG_NEEDED',
+        message: 'Destination requires a destination tag'
+      });
+    }
+
+    callback(null, errors);
+  });
+
+  return errors;
+};
+
 /**
  * Attempts to complete the transaction for submission.
  *
@@ -308,11 +664,20 @@ Transaction.prototype._computeFee = function() {
  */
 
 Transaction.prototype.complete = function() {
-  if (this.remote) {
-    if (!this.remote.trusted && !this.remote.local_signing) {
-      this.emit('error', new RippleError('tejServerUntrusted', 'Attempt to give secret to untrusted server'));
+  if (this._offline) {
+    // Without a Remote there is nothing to fill in the Fee and Sequence from
+    if (typeof this.tx_json.Fee === 'undefined') {
+      this.emit('error', new RippleError('tejFeeMissing', 'Missing Fee, required for offline signing'));
       return false;
     }
+
+    if (typeof this.tx_json.Sequence !== 'number') {
+      this.emit('error', new RippleError('tejSequenceMissing', 'Missing Sequence, required for offline signing'));
+      return false;
+    }
+  } else if (!this.remote.trusted && !this.remote.local_signing) {
+    this.emit('error', new RippleError('tejServerUntrusted', 'Attempt to give secret to untrusted server'));
+    return false;
   }
 
   // Try to auto-fill the secret
@@ -323,8 +688,7 @@ Transaction.prototype.complete = function() {
 
   if (typeof this.tx_json.SigningPubKey === 'undefined') {
     try {
-      var seed = Seed.from_json(this._secret);
-      var key  = seed.get_key();
+      var key = this._getKey();
       this.tx_json.SigningPubKey = key.to_hex_pub();
     } catch(e) {
       this.emit('error', new RippleError('tejSecretInvalid', 'Invalid secret'));
@@ -334,7 +698,7 @@ Transaction.prototype.complete = function() {
 
   // If the Fee hasn't been set, one needs to be computed by
   // an assigned server
-  if (this.remote && typeof this.tx_json.Fee === 'undefined') {
+  if (!this._offline && typeof this.tx_json.Fee === 'undefined') {
     if (this.remote.local_fee || !this.remote.trusted) {
       if (!(this.tx_json.Fee = this._computeFee())) {
         this.emit('error', new RippleError('tejUnconnected'));
@@ -385,7 +749,6 @@ Transaction.prototype.hash = function(prefix, as_uint256) {
 
 Transaction.prototype.sign = function(callback) {
   var callback = typeof callback === 'function' ? callback : function(){};
-  var seed = Seed.from_json(this._secret);
 
   var prev_sig = this.tx_json.TxnSignature;
   delete this.tx_json.TxnSignature;
@@ -399,7 +762,7 @@ Transaction.prototype.sign = function(callback) {
     return this;
   }
 
-  var key = seed.get_key();
+  var key = this._getKey();
   var sig = key.sign(hash);
   var hex = sjcl.codec.hex.fromBits(sig).toUpperCase();
 
@@ -411,6 +774,115 @@ Transaction.prototype.sign = function(callback) {
   return this;
 };
 
+/**
+ * Complete and sign the transaction without submitting it.
+ *
+ * A Transaction constructed without a Remote must have its Fee and Sequence
+ * set, and optionally its LastLedgerSequence:
+ *
+ *    var signed = new Transaction()
+ *      .payment(src, dst, amount)
+ *      .fee(10)
+ *      .sequence(1)
+ *      .lastLedger(100)
+ *      .secret(secret)
+ *      .signOffline();
+ *
+ * Throws a RippleError if the transaction can not be completed.
+ *
+ * @return {Object} signed tx_json, tx_blob and hash
+ */
+
+Transaction.prototype.signOffline = function() {
+  var error;
+
+  function completeError(err) {
+    error = err;
+  };
+
+  this.once('error', completeError);
+
+  var completed = this.complete();
+
+  this.removeListener('error', completeError);
+
+  if (!completed) {
+    throw error;
+  }
+
+  this.sign();
+
+  return {
+    tx_json: this.tx_json,
+    tx_blob: this.serialize().to_hex(),
+    hash: this.hash()
+  };
+};
+
+/**
+ * Verify the TxnSignature of a signed transaction against its SigningPubKey.
+ *
+ * The signing hash is recomputed from the transaction without its signature.
+ * The result reports which check failed, if any:
+ *
+ *    { verified: true, signer: 'g...' }
+ *    { verified: false, error: 'tejSignatureMismatch', error_message: '...' }
+ *
+ * Note that the signer may be a regular key, rather than the key of the
+ * transaction's Account.
+ *
+ * @return {Object} verification result
+ */
+
+Transaction.prototype.verifySignature = function() {
+  var tx_json = this.tx_json;
+  var key, hash;
+
+  function failed(error, message) {
+    return {
+      verified: false,
+      error: error,
+      error_message: message
+    };
+  };
+
+  if (typeof tx_json.SigningPubKey !== 'string') {
+    return failed('tejSigningPubKeyMissing', 'Missing SigningPubKey');
+  }
+
+  if (typeof tx_json.TxnSignature !== 'string') {
+    return failed('tejTxnSignatureMissing', 'Missing TxnSignature');
+  }
+
+  try {
+    key = KeyPair.from_hex_pub(tx_json.SigningPubKey);
+  } catch (e) {
+    return failed('tejSigningPubKeyInvalid', 'SigningPubKey is not a valid public key');
+  }
+
+  if (!/^[0-9A-Fa-f]{128}$/.test(tx_json.TxnSignature)) {
+    return failed('tejTxnSignatureInvalid', 'TxnSignature is not a valid signature');
+  }
+
+  var unsigned = extend({ }, tx_json);
+  delete unsigned.TxnSignature;
+
+  try {
+    hash = Transaction.from_json(unsigned).signingHash();
+  } catch (e) {
+    return failed('tejSerializationFailed', e.message);
+  }
+
+  if (!key.verify(hash, tx_json.TxnSignature)) {
+    return failed('tejSignatureMismatch', 'TxnSignature does not match SigningPubKey');
+  }
+
+  return {
+    verified: true,
+    signer: key.get_address().to_json()
+  };
+};
+
 /**
  * Add a ID to list of submitted IDs for this transaction
  */
@@ -478,6 +950,28 @@ Transaction.prototype.clientID = function(id) {
   return this;
 };
 
+// --> fee: Fee in stroops, required when signing offline.
+Transaction.prototype.fee = function(fee) {
+  if (!/^\d+$/.test(String(fee))) {
+    throw new Error('Invalid fee');
+  }
+
+  this.tx_json.Fee = String(fee);
+
+  return this;
+};
+
+// --> sequence: Account sequence, required when signing offline.
+Transaction.prototype.sequence = function(sequence) {
+  if (typeof sequence !== 'number' || sequence < 0 || sequence % 1 !== 0) {
+    throw new Error('Invalid sequence');
+  }
+
+  this.tx_json.Sequence = sequence;
+
+  return this;
+};
+
 Transaction.prototype.lastLedger = function(sequence) {
   if (typeof sequence === 'number') {
     this.tx_json.LastLedgerSequence = sequence;
@@ -945,6 +1439,10 @@ Transaction.summary = function() {
     finalized:           this.finalized
   };
 
+  if (this.batch) {
+    result.batch = { id: this.batch.id, index: this.batch.index };
+  }
+
   if (this.result) {
     result.result = {
       engine_result        : this.result.engine_result,
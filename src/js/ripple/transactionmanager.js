@@ -22,6 +22,10 @@ function TransactionManager(account) {
   this._maxFee            = this._remote.max_fee;
   this._submissionTimeout = this._remote._submission_timeout;
   this._pending           = new PendingQueue();
+  this._batchUpdates      = [ ];
+  this._batchCount        = 0;
+  this._batchSequences    = { };
+  this._checkingGap       = false;
 
   // Query remote server for next account sequence number
   this._loadSequence();
@@ -67,6 +71,10 @@ function TransactionManager(account) {
           break;
       }
     });
+
+    if (self._remote.sequence_gap_policy !== 'none') {
+      self._checkSequenceGap(ledger);
+    }
   };
 
   this._remote.on('ledger_closed', updatePendingStatus);
@@ -241,12 +249,166 @@ TransactionManager.prototype._fillSequence = function(tx, callback) {
   this._loadSequence(sequenceLoaded);
 };
 
+TransactionManager.LOST_LEDGERS = 8;
+
+/**
+ * A transaction that is lost, dropped by the servers without making it into
+ * a ledger, leaves its sequence unused. The transactions with later
+ * sequences are held by the servers until the gap is filled.
+ *
+ * While a pending transaction is lost, compare the account sequence with the
+ * pending transactions. If a later transaction is pending and the sequence
+ * is unused, fill it under the remote's `sequence_gap_policy`:
+ *
+ *   noop    : replace the lost transaction by an AccountSet that does
+ *             nothing. The lost transaction stays pending, and fails with
+ *             tejSequenceGap once the no-op is validated. If it is
+ *             validated first, the no-op is aborted
+ *   reissue : submit the lost transaction again
+ *
+ * A function policy is called with the lost transaction, if any is pending
+ * with the sequence, and the sequence, and returns one of these or 'none'.
+ *
+ * @param {Object} ledger closed
+ */
+
+TransactionManager.prototype._checkSequenceGap = function(ledger) {
+  var self = this;
+  var lost = false;
+
+  this._pending.forEach(function(pending) {
+    if (ledger.ledger_index - pending.submitIndex >= TransactionManager.LOST_LEDGERS) {
+      lost = true;
+    }
+  });
+
+  if (!lost || this._checkingGap) {
+    return;
+  }
+
+  this._checkingGap = true;
+
+  function sequenceLoaded(err, sequence) {
+    self._checkingGap = false;
+
+    if (err) {
+      // Checked again when the next ledger closes
+      return;
+    }
+
+    var transaction = void(0);
+    var stalled = false;
+
+    self._pending.forEach(function(pending) {
+      if (pending.finalized) {
+        return;
+      }
+
+      if (pending.tx_json.Sequence === sequence) {
+        transaction = pending;
+      } else if (pending.tx_json.Sequence > sequence) {
+        stalled = true;
+      }
+    });
+
+    if (!stalled) {
+      return;
+    }
+
+    // The transaction with the sequence may still make it into a ledger
+    if (transaction && ledger.ledger_index - transaction.submitIndex < TransactionManager.LOST_LEDGERS) {
+      return;
+    }
+
+    self._fillGap(sequence, transaction);
+  };
+
+  this._account.getNextSequence(sequenceLoaded);
+};
+
+TransactionManager.prototype._fillGap = function(sequence, transaction) {
+  var self = this;
+  var policy = this._remote.sequence_gap_policy;
+  var fill;
+
+  if (typeof policy === 'function') {
+    policy = policy(transaction, sequence);
+  }
+
+  if (!transaction && policy === 'reissue') {
+    // Nothing to reissue
+    policy = 'noop';
+  } else if (TransactionManager._isNoOp(transaction) && policy === 'noop') {
+    // Replacing a no-op with another changes nothing
+    policy = 'reissue';
+  }
+
+  function gapFilled() {
+    var info = {
+      sequence: sequence,
+      policy: policy,
+      transaction: transaction,
+      fill: fill
+    };
+
+    if (self._remote.trace) {
+      log.info('gap filled:', sequence, policy);
+    }
+
+    self.emit('gap_filled', info);
+  };
+
+  switch (policy) {
+    case 'reissue':
+      fill = transaction;
+      fill.once('proposed', gapFilled);
+      this._resubmit(0, fill);
+      break;
+
+    case 'noop':
+      fill = this._remote.transaction();
+      fill.accountSet(this._accountID);
+      fill.tx_json.Sequence = sequence;
+      fill.once('proposed', gapFilled);
+
+      if (transaction) {
+        // Secrets may be set on a per-transaction basis
+        if (transaction._secret) {
+          fill.secret(transaction._secret);
+        }
+
+        // The lost transaction may still make it into a ledger, only one of
+        // them can be validated with the sequence
+        fill.once('success', function() {
+          if (!transaction.finalized) {
+            transaction.emit('error', new RippleError('tejSequenceGap', 'Transaction was lost and replaced by a no-op'));
+          }
+        });
+
+        transaction.once('success', function() {
+          fill.abort();
+        });
+      }
+
+      fill.submit();
+      break;
+  }
+};
+
+/**
+ * Load the account sequence from the server. The next sequence is kept after
+ * the sequences of pending transactions, and those reserved by batches for
+ * payments that are not submitted yet, which the server does not know of.
+ *
+ * @param [Function] callback, called with the sequence of the server
+ */
+
 TransactionManager.prototype._loadSequence = function(callback) {
   var self = this;
 
   function sequenceLoaded(err, sequence) {
     if (typeof sequence === 'number') {
-      self._nextSequence = sequence;
+      self._nextSequence = Math.max(sequence, self._reservedSequence());
       self.emit('sequence_loaded', sequence);
       if (typeof callback === 'function') {
         callback(err, sequence);
@@ -261,6 +423,24 @@ TransactionManager.prototype._loadSequence = function(callback) {
   this._account.getNextSequence(sequenceLoaded);
 };
 
+// Sequence after those of pending transactions and running batches
+TransactionManager.prototype._reservedSequence = function() {
+  var self = this;
+  var next = 0;
+
+  this._pending.forEach(function(pending) {
+    if (!pending.finalized && typeof pending.tx_json.Sequence === 'number') {
+      next = Math.max(next, pending.tx_json.Sequence + 1);
+    }
+  });
+
+  Object.keys(this._batchSequences).forEach(function(token) {
+    next = Math.max(next, self._batchSequences[token]);
+  });
+
+  return next;
+};
+
 TransactionManager.prototype._resubmit = function(ledgers, pending) {
   var self = this;
   var pending = pending ? [ pending ] : this._pending;
@@ -623,6 +803,12 @@ TransactionManager.prototype.submit = function(tx) {
 
   tx.once('cleanup', cleanup);
 
+  if (tx.batch) {
+    tx.once('final', function(message) {
+      self._batchResult(tx, message);
+    });
+  }
+
   tx.on('save', function() {
     self.emit('save', tx);
   });
@@ -639,15 +825,23 @@ TransactionManager.prototype.submit = function(tx) {
     tx.emit('error', new RippleError('tejAbort', 'Transaction aborted'));
   });
 
-  if (typeof tx.tx_json.Sequence !== 'number') {
+  var sequenceAssigned = typeof tx.tx_json.Sequence !== 'number';
+
+  if (sequenceAssigned) {
     tx.tx_json.Sequence = this._nextSequence++;
+  } else if (tx.tx_json.Sequence >= this._nextSequence) {
+    // A transaction restored from storage may be ahead of the sequence
+    // loaded from the server, do not reuse its sequence
+    this._nextSequence = tx.tx_json.Sequence + 1;
   }
 
   // Attach secret, associate transaction with a server, attach fee.
   // If the transaction can't complete, decrement sequence so that
   // subsequent transactions
   if (!tx.complete()) {
-    this._nextSequence--;
+    if (sequenceAssigned) {
+      this._nextSequence--;
+    }
     return;
   }
 
@@ -661,4 +855,342 @@ TransactionManager.prototype.submit = function(tx) {
   this._request(tx);
 };
 
+TransactionManager.BATCH_CONCURRENCY = 10;
+
+/**
+ * Submit payments from the account, with consecutive sequences in the order
+ * of the list.
+ *
+ * At most `concurrency` payments are in flight at a time, the next one is
+ * submitted when one is final. The callback receives a report of the final
+ * state of every payment:
+ *
+ *    {
+ *      id: 'payouts',
+ *      account: 'g...',
+ *      validated: 2,
+ *      failed: 1,
+ *      items: [ {
+ *        index: 0,
+ *        sequence: 5,
+ *        state: 'validated',
+ *        engine_result: 'tesSUCCESS',
+ *        hash: '...',
+ *        ledger_index: 101
+ *      }, ... ]
+ *    }
+ *
+ * A payment that fails without claiming a fee leaves its sequence unused,
+ * so the payments after it fail with terPRE_SEQ.
+ *
+ * With an `id`, and a storage implementing getBatch and saveBatch, the state
+ * of the batch is saved. Calling submitBatch again with the same id and
+ * payments, for example after a restart, resumes the batch: payments that
+ * are final are not submitted again, and payments restored from the pending
+ * transactions are waited for.
+ *
+ * @param {Array} payments, objects with `destination` and `amount`, and
+ *   optionally `destination_tag`, `source_tag`, `invoice_id`, `send_max` and
+ *   `paths`
+ * @param [Object] options
+ *   @param [String] id of the batch
+ *   @param [Number] concurrency, defaults to 10
+ * @param {Function} callback, called with an error or the report
+ */
+
+TransactionManager.prototype.submitBatch = function(payments, options, callback) {
+  var self = this;
+
+  if (typeof options === 'function') {
+    callback = options;
+    options = { };
+  }
+
+  var opts = options || { };
+  var concurrency = opts.concurrency || TransactionManager.BATCH_CONCURRENCY;
+  var storage = this._remote.storage;
+  var persistent = Boolean(opts.id) && TransactionManager._isBatchStorage(storage);
+
+  if (!Array.isArray(payments)) {
+    throw new TypeError('Payments must be an Array');
+  }
+
+  // Build every payment first, so that an invalid one throws before any is
+  // submitted
+  var transactions = payments.map(this._batchPayment, this);
+
+  var batch = {
+    id: opts.id,
+    account: this._accountID,
+    items: [ ]
+  };
+
+  // Tells the transactions of this batch from those of other batches, with
+  // or without an id
+  var token = ++this._batchCount;
+
+  var queue = [ ];
+  var inFlight = 0;
+  var finished = false;
+
+  function finish(err) {
+    if (finished) {
+      return;
+    }
+
+    finished = true;
+    self.removeListener('batch_result', batchResult);
+    delete self._batchSequences[token];
+
+    if (err) {
+      return callback(err);
+    }
+
+    callback(null, {
+      id: batch.id,
+      account: batch.account,
+      items: batch.items,
+      validated: batch.items.filter(function(item) {
+        return item.state === 'validated';
+      }).length,
+      failed: batch.items.filter(function(item) {
+        return item.state === 'failed';
+      }).length
+    });
+  };
+
+  function batchResult(tx_batch, result) {
+    var transaction = transactions[result.index];
+
+    // Transactions restored from storage only know the id of their batch
+    var ours = tx_batch.token === void(0)
+      ? persistent && tx_batch.id === batch.id
+      : tx_batch.token === token;
+
+    if (!ours || !transaction || transaction.batch.result) {
+      return;
+    }
+
+    transaction.batch.result = result;
+    batch.items[result.index] = result;
+    inFlight--;
+    submitNext();
+  };
+
+  function submitNext() {
+    while (!finished && inFlight < concurrency && queue.length) {
+      var transaction = transactions[queue.shift()];
+      inFlight++;
+      transaction.submit();
+    }
+
+    if (!inFlight && !queue.length) {
+      finish();
+    }
+  };
+
+  function begin() {
+    if (typeof self._nextSequence !== 'number') {
+      return self.once('sequence_loaded', begin);
+    }
+
+    transactions.forEach(function(transaction, index) {
+      transaction.tx_json.Sequence = self._nextSequence + index;
+      batch.items.push({ index: index, sequence: transaction.tx_json.Sequence });
+      queue.push(index);
+    });
+
+    self._nextSequence += transactions.length;
+    self._batchSequences[token] = self._nextSequence;
+
+    if (!persistent) {
+      return submitNext();
+    }
+
+    storage.saveBatch(batch, function(err) {
+      if (err) {
+        return finish(err);
+      }
+      submitNext();
+    });
+  };
+
+  function resume(saved, pending) {
+    if (typeof self._nextSequence !== 'number') {
+      return self.once('sequence_loaded', function() {
+        resume(saved, pending);
+      });
+    }
+
+    if (saved.account !== batch.account || saved.items.length !== transactions.length) {
+      return finish(new Error('Batch ' + batch.id + ' does not match the payments'));
+    }
+
+    var restored = { };
+
+    pending.forEach(function(summary) {
+      if (summary.batch && summary.batch.id === batch.id) {
+        restored[summary.batch.index] = true;
+      }
+    });
+
+    batch.items = saved.items;
+
+    batch.items.forEach(function(item) {
+      var transaction = transactions[item.index];
+
+      transaction.tx_json.Sequence = item.sequence;
+
+      // Keep the sequences of the batch from other transactions, as begin()
+      // does
+      if (item.sequence >= self._nextSequence) {
+        self._nextSequence = item.sequence + 1;
+      }
+
+      self._batchSequences[token] = Math.max(self._batchSequences[token] || 0, item.sequence + 1);
+
+      if (item.state) {
+        // Final before the batch was resumed
+        transaction.batch.result = item;
+      } else if (restored[item.index]) {
+        // Resubmitted by the Remote from the pending transactions
+        inFlight++;
+      } else {
+        queue.push(item.index);
+      }
+    });
+
+    submitNext();
+  };
+
+  transactions.forEach(function(transaction, index) {
+    transaction.batch = { id: batch.id, index: index, token: token };
+  });
+
+  this.on('batch_result', batchResult);
+
+  if (!persistent) {
+    return begin();
+  }
+
+  // Pending transactions first: a payment that becomes final in between is
+  // then final in the saved batch
+  storage.getPendingTransactions(function(err, pending) {
+    if (err) {
+      return finish(err);
+    }
+
+    storage.getBatch(batch.id, function(err, saved) {
+      if (err) {
+        finish(err);
+      } else if (saved) {
+        resume(saved, pending);
+      } else {
+        begin();
+      }
+    });
+  });
+};
+
+TransactionManager._isBatchStorage = function(storage) {
+  return (typeof storage === 'object')
+      && (storage !== null)
+      && (typeof storage.getBatch === 'function')
+      && (typeof storage.saveBatch === 'function');
+};
+
+TransactionManager.prototype._batchPayment = function(payment) {
+  if (typeof payment !== 'object' || payment === null) {
+    throw new TypeError('Payment must be an Object');
+  }
+
+  var transaction = this._remote.transaction();
+
+  transaction.payment({
+    from: this._accountID,
+    to: payment.destination,
+    amount: payment.amount
+  });
+
+  if (payment.destination_tag !== void(0)) {
+    transaction.destinationTag(payment.destination_tag);
+  }
+
+  if (payment.source_tag !== void(0)) {
+    transaction.sourceTag(payment.source_tag);
+  }
+
+  if (payment.invoice_id !== void(0)) {
+    transaction.invoiceID(payment.invoice_id);
+  }
+
+  if (payment.send_max !== void(0)) {
+    transaction.sendMax(payment.send_max);
+  }
+
+  if (payment.paths !== void(0)) {
+    transaction.paths(payment.paths);
+  }
+
+  return transaction;
+};
+
+/**
+ * Record the final state of a transaction of a batch, and save it if the
+ * storage keeps batches. Updates of the saved batches are serialized, so that
+ * none is lost.
+ */
+
+TransactionManager.prototype._batchResult = function(tx, message) {
+  var self = this;
+  var storage = this._remote.storage;
+  var result = message || { };
+
+  var item = {
+    index: tx.batch.index,
+    sequence: tx.tx_json.Sequence,
+    state: tx.state,
+    engine_result: result.engine_result || (tx.result && tx.result.engine_result),
+    hash: (result.tx_json && result.tx_json.hash) || tx.submittedIDs[0],
+    ledger_index: result.ledger_index
+  };
+
+  this.emit('batch_result', tx.batch, item);
+
+  if (!tx.batch.id || !TransactionManager._isBatchStorage(storage)) {
+    return;
+  }
+
+  function updateBatch() {
+    var update = self._batchUpdates[0];
+
+    function updated(err) {
+      if (err) {
+        log.error('failed to save batch:', err.message || err);
+      }
+
+      self._batchUpdates.shift();
+
+      if (self._batchUpdates.length) {
+        updateBatch();
+      }
+    };
+
+    storage.getBatch(update.id, function(err, batch) {
+      if (err || !batch) {
+        return updated(err);
+      }
+
+      batch.items[update.item.index] = update.item;
+      storage.saveBatch(batch, updated);
+    });
+  };
+
+  this._batchUpdates.push({ id: tx.batch.id, item: item });
+
+  if (this._batchUpdates.length === 1) {
+    updateBatch();
+  }
+};
+
 exports.TransactionManager = TransactionManager;
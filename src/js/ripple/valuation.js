@@ -0,0 +1,183 @@
+var Amount = require('./amount').Amount;
+var utils  = require('./utils');
+
+/**
+ * Valuation reports for interest-bearing and demurring currencies.
+ *
+ * The ledger stores amounts of these currencies as of the start of their
+ * interest period. The value people see, and that Amount#applyInterest
+ * returns, grows or decays from there over time. These helpers report that
+ * value over a date range and check recorded values against the ledger.
+ *
+ * Dates are JavaScript Dates or seconds since the Ripple Epoch, and are
+ * reported as seconds since the Ripple Epoch.
+ */
+
+exports.DEFAULT_INTERVAL  = 3600 * 24;
+exports.DEFAULT_TOLERANCE = '0.000001';
+
+function toRippleDate(date) {
+  return date instanceof Date ? utils.fromTimestamp(date) : date;
+};
+
+function isDate(date) {
+  return typeof date === 'number' && isFinite(date);
+};
+
+// Effective value of a ledger amount at a date
+function valueAt(amount, date) {
+  return amount.applyInterest(date) || Amount.NaN();
+};
+
+// Read an amount, or a decimal in the currency of another amount
+function toAmount(value, like) {
+  if (value instanceof Amount) {
+    return value;
+  }
+
+  if (typeof value === 'number') {
+    value = String(value);
+  }
+
+  if (typeof value === 'string' && value.indexOf('/') === -1) {
+    return Amount.from_decimal(value, like._currency, like._issuer);
+  }
+
+  return Amount.from_json(value);
+};
+
+/**
+ * Project the effective value of a balance over a date range.
+ *
+ * The balance is sampled every `interval` seconds from `start`, and at `end`.
+ * `accrued` is the change in value since `start`: interest for
+ * interest-bearing currencies, and negative demurrage for demurring ones.
+ *
+ * @param {Amount} balance as stored in the ledger
+ * @param {Object} options
+ *   @param {Date|Number} start
+ *   @param {Date|Number} end
+ *   @param [Number] interval in seconds, defaults to one day
+ * @return {Array} [ { date, value, accrued } ], values as Amounts
+ */
+
+function projectBalance(balance, options) {
+  var opts = options || { };
+  var amount = Amount.from_json(balance);
+  var start = toRippleDate(opts.start);
+  var end = toRippleDate(opts.end);
+  var interval = opts.hasOwnProperty('interval') ? opts.interval : exports.DEFAULT_INTERVAL;
+
+  if (!amount.is_valid()) {
+    throw new TypeError('Balance is invalid');
+  }
+
+  if (!isDate(start) || !isDate(end) || start > end) {
+    throw new TypeError('Date range is invalid');
+  }
+
+  if (!isDate(interval) || interval <= 0) {
+    throw new TypeError('Interval must be a positive number of seconds');
+  }
+
+  var series = [ ];
+  var initial = valueAt(amount, start);
+
+  function addPoint(date) {
+    var value = valueAt(amount, date);
+
+    series.push({
+      date: date,
+      value: value,
+      accrued: value.subtract(initial)
+    });
+  };
+
+  for (var date=start; date<end; date+=interval) {
+    addPoint(date);
+  }
+
+  addPoint(end);
+
+  return series;
+};
+
+/**
+ * Reconcile ledger amounts of transactions against the values that were
+ * displayed for them, such as those in statements or exports.
+ *
+ * Each transaction gives the `amount` stored in the ledger, its `date` and
+ * the `displayed` value, as an Amount, as JSON, or as a decimal in the
+ * currency of the amount. A displayed value matches when it is within
+ * `tolerance` of the effective value of the amount at the date.
+ *
+ * @param {Array} transactions [ { amount, date, displayed } ]
+ * @param [Object] options
+ *   @param [String] tolerance in units of the currency, defaults to
+ *     0.000001
+ * @return {Object} { items, matched, mismatched }, items as
+ *   { date, amount, displayed, expected, difference, matches }
+ */
+
+function reconcile(transactions, options) {
+  var opts = options || { };
+  var tolerance = String(opts.hasOwnProperty('tolerance') ? opts.tolerance : exports.DEFAULT_TOLERANCE);
+
+  if (!Array.isArray(transactions)) {
+    throw new TypeError('Transactions must be an array');
+  }
+
+  var report = {
+    items: [ ],
+    matched: 0,
+    mismatched: 0
+  };
+
+  transactions.forEach(function(transaction, i) {
+    var amount = Amount.from_json(transaction.amount);
+    var date = toRippleDate(transaction.date);
+
+    if (!amount.is_valid()) {
+      throw new TypeError('Transaction ' + i + ': amount is invalid');
+    }
+
+    if (!isDate(date)) {
+      throw new TypeError('Transaction ' + i + ': date is invalid');
+    }
+
+    var displayed = toAmount(transaction.displayed, amount);
+    var limit = Amount.from_decimal(tolerance, amount._currency, amount._issuer);
+
+    // Currencies read from JSON may differ in the precision of their interest
+    // rate, compare them as written
+    if (!displayed.is_valid() || displayed._currency.to_json() !== amount._currency.to_json()) {
+      throw new TypeError('Transaction ' + i + ': displayed amount is invalid');
+    }
+
+    if (!limit.is_valid() || limit.is_negative()) {
+      throw new TypeError('Tolerance is invalid');
+    }
+
+    var expected = valueAt(amount, date);
+    var difference = displayed.subtract(expected);
+
+    var item = {
+      date: date,
+      amount: amount,
+      displayed: displayed,
+      expected: expected,
+      difference: difference,
+      matches: difference.is_valid() && difference.abs().compareTo(limit) <= 0
+    };
+
+    report.items.push(item);
+    report[item.matches ? 'matched' : 'mismatched'] += 1;
+  });
+
+  return report;
+};
+
+exports.projectBalance = projectBalance;
+exports.reconcile      = reconcile;
+
+// vim:sw=2:sts=2:ts=8:et
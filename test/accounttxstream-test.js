@@ -0,0 +1,219 @@
+var assert          = require('assert');
+var utils           = require('./testutils');
+var Remote          = utils.load_module('remote').Remote;
+var AccountTxStream = utils.load_module('accounttxstream').AccountTxStream;
+var MockServer      = utils.load_module('mockserver').MockServer;
+var config          = require('./testutils').get_config();
+
+var ACCOUNT = 'ganVp9o5emfzpwrG5QVUXqMv8AgLcdvySb';
+
+// Ripple epoch of 2014-01-01T00:00:00Z
+var EPOCH_2014 = 441849600;
+var DAY = 86400;
+
+// One transaction a day, in ledgers 10, 20, ...
+var HISTORY = [ 1, 2, 3, 4, 5, 6, 7 ].map(function(i) {
+  return {
+    tx: {
+      TransactionType: 'Payment',
+      Account: ACCOUNT,
+      hash: 'TX' + i,
+      ledger_index: i * 10,
+      date: EPOCH_2014 + (i - 1) * DAY
+    },
+    meta: { TransactionResult: 'tesSUCCESS' },
+    validated: true
+  };
+});
+
+function hashes(transactions) {
+  return transactions.map(function(transaction) {
+    return transaction.tx.hash;
+  });
+};
+
+function date(day) {
+  return new Date(Date.UTC(2014, 0, day));
+};
+
+describe('AccountTxStream', function() {
+  var server, remote, requests;
+
+  beforeEach(function(done) {
+    requests = [ ];
+
+    server = new MockServer();
+
+    // Pages of `limit` transactions, the marker is the offset of the next page
+    server.handle('account_tx', function(message) {
+      requests.push(message);
+
+      if (message.account !== ACCOUNT) {
+        return { error: 'actNotFound' };
+      }
+
+      var history = message.forward ? HISTORY : HISTORY.slice().reverse();
+      var start = message.marker ? message.marker.offset : 0;
+      var end = start + message.limit;
+      var result = {
+        account: message.account,
+        transactions: history.slice(start, end)
+      };
+
+      if (end < history.length) {
+        result.marker = { offset: end };
+      }
+
+      return result;
+    });
+
+    server.listen(function(err, url) {
+      assert.ifError(err);
+      remote = new Remote({ servers: [ url ] });
+      remote.connect(done);
+    });
+  });
+
+  afterEach(function(done) {
+    remote.disconnect();
+    server.close(done);
+  });
+
+  function read(stream, callback) {
+    var transactions = [ ];
+
+    stream.on('data', function(transaction) {
+      transactions.push(transaction);
+    });
+
+    stream.on('end', function() {
+      callback(transactions);
+    });
+  };
+
+  it('Missing account', function() {
+    assert.throws(function() {
+      remote.accountTxStream({ });
+    }, TypeError);
+  });
+
+  it('Read all pages', function(done) {
+    var stream = remote.accountTxStream({ account: ACCOUNT, limit: 3 });
+
+    assert(stream instanceof AccountTxStream);
+
+    read(stream, function(transactions) {
+      assert.deepEqual(hashes(transactions), [ 'TX7', 'TX6', 'TX5', 'TX4', 'TX3', 'TX2', 'TX1' ]);
+      assert.strictEqual(requests.length, 3);
+      assert.deepEqual(requests[1].marker, { offset: 3 });
+      assert.strictEqual(stream.marker, void(0));
+      done();
+    });
+  });
+
+  it('Read forward', function(done) {
+    read(remote.accountTxStream({ account: ACCOUNT, limit: 5, forward: true }), function(transactions) {
+      assert.deepEqual(hashes(transactions), [ 'TX1', 'TX2', 'TX3', 'TX4', 'TX5', 'TX6', 'TX7' ]);
+      assert.strictEqual(requests[0].forward, true);
+      done();
+    });
+  });
+
+  it('Pass ledger range', function(done) {
+    read(remote.accountTxStream({
+      account: ACCOUNT,
+      min_ledger: 20,
+      ledger_index_max: 50
+    }), function() {
+      assert.strictEqual(requests[0].ledger_index_min, 20);
+      assert.strictEqual(requests[0].ledger_index_max, 50);
+      assert.strictEqual(requests[0].limit, AccountTxStream.DEFAULT_LIMIT);
+      done();
+    });
+  });
+
+  it('Bound by date', function(done) {
+    read(remote.accountTxStream({
+      account: ACCOUNT,
+      limit: 2,
+      forward: true,
+      start_date: date(2),
+      end_date: date(4)
+    }), function(transactions) {
+      assert.deepEqual(hashes(transactions), [ 'TX2', 'TX3', 'TX4' ]);
+
+      // The stream ends at the first transaction after end_date
+      assert.strictEqual(requests.length, 3);
+      done();
+    });
+  });
+
+  it('Bound by date - backward', function(done) {
+    read(remote.accountTxStream({
+      account: ACCOUNT,
+      limit: 2,
+      start_date: date(5)
+    }), function(transactions) {
+      assert.deepEqual(hashes(transactions), [ 'TX7', 'TX6', 'TX5' ]);
+      assert.strictEqual(requests.length, 2);
+      done();
+    });
+  });
+
+  it('Backpressure', function(done) {
+    var stream = remote.accountTxStream({
+      account: ACCOUNT,
+      limit: 2,
+      highWaterMark: 2
+    });
+
+    // Start reading, without consuming
+    stream.read(0);
+
+    setTimeout(function() {
+      assert.strictEqual(requests.length, 1);
+
+      read(stream, function(transactions) {
+        assert.strictEqual(transactions.length, 7);
+        assert.strictEqual(requests.length, 4);
+        done();
+      });
+    }, 100);
+  });
+
+  it('Abort and resume', function(done) {
+    var stream = remote.accountTxStream({ account: ACCOUNT, limit: 3 });
+
+    stream.once('data', function() {
+      stream.abort();
+    });
+
+    stream.on('end', function() {
+      assert.deepEqual(stream.marker, { offset: 3 });
+
+      read(remote.accountTxStream({
+        account: ACCOUNT,
+        limit: 3,
+        marker: stream.marker
+      }), function(transactions) {
+        assert.deepEqual(hashes(transactions), [ 'TX4', 'TX3', 'TX2', 'TX1' ]);
+        done();
+      });
+    });
+
+    stream.resume();
+  });
+
+  it('Error', function(done) {
+    var stream = remote.accountTxStream({ account: 'gMQoBDY5oSZyygjxUQBjjasVVq9BgJN5AE' });
+
+    stream.on('error', function(err) {
+      assert.strictEqual(err.remote.error, 'actNotFound');
+      done();
+    });
+
+    stream.resume();
+  });
+});
+
+// vim:sw=2:sts=2:ts=8:et
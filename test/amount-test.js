@@ -562,4 +562,172 @@ describe('Amount', function() {
       assert.strictEqual(Amount.from_quality('CDFD3AFB2F8C5DBEF75B081F7C957FF5509563266F28F36C5704A0FB0BAD8800', '015841551A748AD2C1F76FF6ECB0CCCD00000000', 'rUyPiNcSFFj6uMR2gEaD8jUerQ59G1qvwN', {inverse: true, base_currency: 'USD', reference_date: 443845330 + 31535000}).to_text_full(), '0.007675186123263489/XAU (-0.5%pa)/rUyPiNcSFFj6uMR2gEaD8jUerQ59G1qvwN');
     });
   });
+  describe('Locales', function() {
+    var ISSUER = 'gHb9CJAWyB4gj91VRWn96DkukG4bwdtyTh';
+    var amount = Amount.from_json('-1234567.891/EUR/' + ISSUER);
+
+    it('to_human de', function() {
+      assert.strictEqual(amount.to_human({ locale: 'de' }), '-1.234.567,891');
+      assert.strictEqual(amount.to_human({ locale: 'de', symbol: true }), '-1.234.567,891\u00a0€');
+    });
+    it('to_human fr', function() {
+      assert.strictEqual(amount.to_human({ locale: 'fr', symbol: true }), '-1\u202f234\u202f567,891\u00a0€');
+    });
+    it('to_human en-IN', function() {
+      var rupees = Amount.from_json('12345678.5/INR/' + ISSUER);
+      assert.strictEqual(rupees.to_human({ locale: 'en-IN', symbol: true }), '₹1,23,45,678.5');
+      assert.strictEqual(Amount.from_json('999/INR/' + ISSUER).to_human({ locale: 'en-IN' }), '999');
+    });
+    it('to_human negative amounts', function() {
+      var expected = {
+        'en':    [ '-€1,234,567.891', '-STR 123.456789' ],
+        'en-IN': [ '-€12,34,567.891', '-STR 123.456789' ],
+        'de':    [ '-1.234.567,891\u00a0€', '-123,456789\u00a0STR' ],
+        'fr':    [ '-1\u202f234\u202f567,891\u00a0€', '-123,456789\u00a0STR' ]
+      };
+
+      // Every locale has a negative format to check
+      assert.deepEqual(Object.keys(expected).sort(), Object.keys(Amount.locales).sort());
+
+      Object.keys(expected).forEach(function(locale) {
+        assert.strictEqual(amount.to_human({ locale: locale, symbol: true }), expected[locale][0], locale);
+        assert.strictEqual(Amount.from_json('-123456789').to_human({ locale: locale, symbol: true }), expected[locale][1], locale);
+      });
+    });
+    it('to_human with a currency code', function() {
+      assert.strictEqual(Amount.from_json('1000000').to_human({ locale: 'en', symbol: true }), 'STR 1');
+      assert.strictEqual(Amount.from_json('1000000').to_human({ locale: 'de', symbol: true }), '1\u00a0STR');
+    });
+    it('to_human options override the locale', function() {
+      assert.strictEqual(amount.to_human({ locale: 'de', group_sep: false, signed: '\u2212' }), '\u22121234567,891');
+    });
+    it('to_human unknown locale', function() {
+      assert.throws(function() {
+        amount.to_human({ locale: 'xx' });
+      }, /Unknown locale/);
+    });
+    it('to_human regional locale', function() {
+      assert.strictEqual(amount.to_human({ locale: 'de-AT' }), '-1.234.567,891');
+    });
+    it('parse_human de', function() {
+      var parsed = Amount.from_human('-1.234,5 €', { locale: 'de' });
+      assert.strictEqual(parsed.to_text(), '-1234.5');
+      assert.strictEqual(parsed.currency().to_json(), 'EUR');
+      assert.strictEqual(Amount.from_human('1234,5 EUR', { locale: 'de' }).to_text(), '1234.5');
+      assert.strictEqual(Amount.from_human('1,5', { locale: 'de' }).to_text(), '1500000');
+    });
+    it('parse_human fr', function() {
+      assert.strictEqual(Amount.from_human('\u22121 234,5 EUR', { locale: 'fr' }).to_text(), '-1234.5');
+    });
+    it('parse_human en-IN', function() {
+      assert.strictEqual(Amount.from_human('₹1,23,456.75', { locale: 'en-IN' }).to_text(), '123456.75');
+      assert(!Amount.from_human('123,456.75 INR', { locale: 'en-IN' }).is_valid());
+    });
+    it('parse_human misplaced group separators', function() {
+      assert(!Amount.from_human('1.5 EUR', { locale: 'de' }).is_valid());
+      assert(!Amount.from_human('1234.56 EUR', { locale: 'de' }).is_valid());
+      assert(!Amount.from_human('1,5 USD', { locale: 'en' }).is_valid());
+    });
+    it('Round trip', function() {
+      var amounts = [
+        amount,
+        Amount.from_json('0.000001/USD/' + ISSUER),
+        Amount.from_json('98765432101.5/INR/' + ISSUER),
+        Amount.from_json('-123456789')
+      ];
+
+      Object.keys(Amount.locales).forEach(function(locale) {
+        amounts.forEach(function(value) {
+          var human = value.to_human({ locale: locale, symbol: true });
+          var parsed = Amount.from_human(human, { locale: locale });
+
+          assert.strictEqual(parsed.to_text(), value.to_text(), locale + ' ' + human);
+          assert.strictEqual(parsed.currency().to_json(), value.currency().to_json());
+        });
+      });
+    });
+  });
+  describe('Decimals', function() {
+    var ISSUER = 'gHb9CJAWyB4gj91VRWn96DkukG4bwdtyTh';
+
+    function usd(value) {
+      return Amount.from_json(value + '/USD/' + ISSUER);
+    };
+
+    it('to_decimal native', function() {
+      assert.strictEqual(Amount.from_json('1500000').to_decimal(), '1.5');
+      assert.strictEqual(Amount.from_json('-1').to_decimal(), '-0.000001');
+      assert.strictEqual(Amount.from_json('0').to_decimal(), '0');
+    });
+    it('to_decimal', function() {
+      assert.strictEqual(usd('0.1').to_decimal(), '0.1');
+      assert.strictEqual(usd('-1234567890123456').to_decimal(), '-1234567890123456');
+      assert.strictEqual(usd('1e-30').to_decimal(), '0.000000000000000000000000000001');
+      assert.strictEqual(usd('123e20').to_decimal(), '12300000000000000000000');
+    });
+    it('to_decimal invalid', function() {
+      assert.strictEqual(Amount.from_json('x').to_decimal(), 'NaN');
+      assert(!Amount.from_decimal(Amount.from_json('x').to_decimal(), 'USD', ISSUER).is_valid());
+    });
+    it('parse_decimal native', function() {
+      assert.strictEqual(Amount.from_decimal('1.5').to_json(), '1500000');
+      assert.strictEqual(Amount.from_decimal('-0.000001').to_json(), '-1');
+      assert(!Amount.from_decimal('0.0000001').is_valid());
+    });
+    it('parse_decimal', function() {
+      var amount = Amount.from_decimal('-1234.5000', 'USD', ISSUER);
+      assert.strictEqual(amount.to_text_full(), '-1234.5/USD/' + ISSUER);
+      assert(Amount.from_decimal('0.000000000000000000000000000001', 'USD', ISSUER).equals(usd('1e-30')));
+    });
+    it('parse_decimal inexact', function() {
+      assert(!Amount.from_decimal('12345678901234567', 'USD', ISSUER).is_valid());
+      assert(!Amount.from_decimal('1e5', 'USD', ISSUER).is_valid());
+      assert(!Amount.from_decimal(1.5, 'USD', ISSUER).is_valid());
+    });
+    it('parse_decimal rounding', function() {
+      function parse(decimal, rounding) {
+        return Amount.from_decimal(decimal, 'USD', ISSUER, { rounding: rounding }).to_decimal();
+      };
+
+      assert.strictEqual(parse('12345678901234565', 'half_even'), '12345678901234560');
+      assert.strictEqual(parse('12345678901234575', 'half_even'), '12345678901234580');
+      assert.strictEqual(parse('-12345678901234561', 'floor'), '-12345678901234570');
+      assert.strictEqual(parse('12345678901234561', 'ceiling'), '12345678901234570');
+      assert.strictEqual(parse('12345678901234569', 'truncate'), '12345678901234560');
+      assert.strictEqual(Amount.from_decimal('1.0000015', 'STR', null, { rounding: 'half_even' }).to_json(), '1000002');
+    });
+    it('Round trip', function() {
+      [ '0.1', '-98765.4321', '1234567890123456', '0.0000000000000001234567890123456' ].forEach(function(decimal) {
+        assert.strictEqual(Amount.from_decimal(decimal, 'USD', ISSUER).to_decimal(), decimal);
+      });
+    });
+    it('Divide with rounding modes', function() {
+      var ten = usd('10');
+      var three = usd('3');
+
+      assert.strictEqual(usd('2').divide(three, { rounding: 'half_even' }).to_decimal(), '0.6666666666666667');
+      assert.strictEqual(usd('2').divide(three, { rounding: 'truncate' }).to_decimal(), '0.6666666666666666');
+      assert.strictEqual(ten.divide(three, { rounding: 'ceiling' }).to_decimal(), '3.333333333333334');
+      assert.strictEqual(ten.negate().divide(three, { rounding: 'floor' }).to_decimal(), '-3.333333333333334');
+      assert.strictEqual(ten.negate().divide(three, { rounding: 'ceiling' }).to_decimal(), '-3.333333333333333');
+    });
+    it('Multiply with rounding modes', function() {
+      var factor = usd('1.000000000000001');
+
+      assert.strictEqual(factor.multiply(factor, { rounding: 'half_even' }).to_decimal(), '1.000000000000002');
+      assert.strictEqual(factor.multiply(factor, { rounding: 'ceiling' }).to_decimal(), '1.000000000000003');
+      assert.strictEqual(Amount.from_json('1000001').multiply(usd('0.5'), { rounding: 'half_even' }).to_json(), '500000');
+      assert.strictEqual(Amount.from_json('1000003').multiply(usd('0.5'), { rounding: 'half_even' }).to_json(), '500002');
+    });
+    it('ratio_human with rounding modes', function() {
+      var ratio = usd('7').ratio_human(Amount.from_json('3000000'), { rounding: 'truncate' });
+      assert.strictEqual(ratio.to_decimal(), '2.333333333333333');
+      assert.strictEqual(usd('8').ratio_human(Amount.from_json('3000000'), { rounding: 'half_even' }).to_decimal(), '2.666666666666667');
+    });
+    it('Invalid rounding mode', function() {
+      assert.throws(function() {
+        usd('1').divide(usd('3'), { rounding: 'half_up' });
+      }, /Invalid rounding mode/);
+    });
+  });
 });
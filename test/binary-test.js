@@ -0,0 +1,223 @@
+var assert           = require('assert');
+var utils            = require('./testutils');
+var binary           = utils.load_module('binary');
+var fixtures         = require('./fixtures/binary-codec.json');
+var Base             = utils.load_module('base').Base;
+var SerializedObject = utils.load_module('serializedobject').SerializedObject;
+var stypes           = utils.load_module('serializedtypes');
+var hashprefixes     = utils.load_module('hashprefixes');
+var SHAMap           = utils.load_module('shamap').SHAMap;
+var SHAMapTreeNode   = utils.load_module('shamap').SHAMapTreeNode;
+var Ledger           = utils.load_module('ledger').Ledger;
+
+// Ledger 38129 as a server returns it with `binary: true`, and as JSON
+var server_binary = require('./fixtures/ledger-binary-38129.json');
+var server_json   = require('./fixtures/ledger-full-38129.json');
+
+var RIPPLE_ALPHABET = 'rpshnaf39wBUDNEGHJKLM4PQRST7VWXYZ2bcdeCg65jkm8oFqi1tuvAxyz';
+
+/**
+ * Write JSON of the server in the fields and alphabet of this library.
+ * Addresses hold the same bytes in either alphabet, and FirstLedgerSequence
+ * has the id of InflateSeq.
+ */
+
+function fromServer(value) {
+  if (typeof value === 'string' && /^r[1-9A-HJ-NP-Za-km-z]{24,34}$/.test(value)) {
+    return value.split('').map(function(c) {
+      return Base.alphabets.ripple[RIPPLE_ALPHABET.indexOf(c)];
+    }).join('');
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(fromServer);
+  }
+
+  if (typeof value === 'object' && value !== null) {
+    var result = { };
+
+    Object.keys(value).forEach(function(key) {
+      result[key === 'FirstLedgerSequence' ? 'InflateSeq' : key] = fromServer(value[key]);
+    });
+
+    return result;
+  }
+
+  return value;
+};
+
+describe('binary', function() {
+  describe('Ledger entries', function() {
+    fixtures.ledger_entries.forEach(function(fixture) {
+      var name = fixture.json.LedgerEntryType;
+
+      if (fixture.json.Owner === void(0) && name === 'DirectoryNode') {
+        name += ' (order book)';
+      }
+
+      it('Encode ' + name, function() {
+        assert.strictEqual(binary.encodeLedgerEntry(fixture.json), fixture.binary);
+      });
+
+      it('Decode ' + name, function() {
+        assert.deepEqual(binary.decodeLedgerEntry(fixture.binary), fixture.json);
+      });
+    });
+
+    it('Cover every ledger entry type', function() {
+      var types = fixtures.ledger_entries.map(function(fixture) {
+        return fixture.json.LedgerEntryType;
+      });
+
+      Object.keys(utils.load_module('binformat').ledger).forEach(function(type) {
+        assert.notStrictEqual(types.indexOf(type), -1, type);
+      });
+    });
+
+    it('Keep the index of an entry out of its binary', function() {
+      var fixture = fixtures.ledger_entries[0];
+      var index = '02CE52E3E46AD340B1C7900F86AFB959AE0C246916E3463905EDD61DE26FFFDD';
+      var entry = binary.decodeLedgerEntry(fixture.binary, index);
+
+      assert.strictEqual(entry.index, index);
+      assert.strictEqual(binary.encodeLedgerEntry(entry), fixture.binary);
+    });
+
+    it('Decode byte arrays', function() {
+      var fixture = fixtures.ledger_entries[0];
+      var bytes = utils.load_module('utils').hexToArray(fixture.binary);
+
+      assert.deepEqual(binary.decodeLedgerEntry(bytes), fixture.json);
+    });
+
+    it('Invalid ledger entries', function() {
+      assert.throws(function() {
+        binary.encodeLedgerEntry({ Flags: 0 });
+      }, /Ledger entry must have a LedgerEntryType/);
+
+      assert.throws(function() {
+        binary.decodeLedgerEntry(fixtures.metadata[0].binary);
+      }, /LedgerEntryType is invalid/);
+    });
+  });
+
+  describe('Metadata', function() {
+    fixtures.metadata.forEach(function(fixture, i) {
+      it('Encode metadata ' + i, function() {
+        assert.strictEqual(binary.encodeMeta(fixture.json), fixture.binary);
+      });
+
+      it('Decode metadata ' + i, function() {
+        assert.deepEqual(binary.decodeMeta(fixture.binary), fixture.json);
+      });
+    });
+
+    it('Invalid metadata', function() {
+      assert.throws(function() {
+        binary.encodeMeta({ TransactionIndex: 0, TransactionResult: 'tesSUCCESS' });
+      }, /Metadata must have AffectedNodes/);
+
+      assert.throws(function() {
+        binary.decodeMeta(fixtures.ledger_entries[0].binary);
+      }, /Metadata is invalid/);
+    });
+  });
+
+  describe('Ledger 38129 of a server', function() {
+    // The hashes of the ledger, from the server, cover the binary of every
+    // entry and transaction
+    it('Have the account_hash of the ledger', function() {
+      var map = new SHAMap();
+
+      server_binary.accountState.forEach(function(entry) {
+        map.add_item(entry.index, new SerializedObject(entry.data), SHAMapTreeNode.TYPE_ACCOUNT_STATE);
+      });
+
+      assert.strictEqual(map.hash().to_hex(), server_binary.account_hash);
+    });
+
+    it('Have the transaction_hash of the ledger', function() {
+      var map = new SHAMap();
+
+      server_binary.transactions.forEach(function(transaction) {
+        var data = new SerializedObject();
+        var hash = new SerializedObject(transaction.tx_blob).hash(hashprefixes.HASH_TX_ID);
+
+        stypes.VariableLength.serialize(data, transaction.tx_blob);
+        stypes.VariableLength.serialize(data, transaction.meta);
+        map.add_item(hash.to_hex(), data, SHAMapTreeNode.TYPE_TRANSACTION_MD);
+      });
+
+      assert.strictEqual(map.hash().to_hex(), server_binary.transaction_hash);
+    });
+
+    it('Encode and decode ledger entries', function() {
+      var expected = fromServer(server_json.accountState);
+
+      server_binary.accountState.forEach(function(entry, i) {
+        assert.deepEqual(binary.decodeLedgerEntry(entry.data, entry.index), expected[i]);
+        assert.strictEqual(binary.encodeLedgerEntry(expected[i]), entry.data);
+      });
+    });
+
+    it('Encode and decode metadata', function() {
+      var expected = fromServer(server_json.transactions[0].metaData);
+      var meta = server_binary.transactions[0].meta;
+
+      assert.deepEqual(binary.decodeMeta(meta), expected);
+      assert.strictEqual(binary.encodeMeta(expected), meta);
+    });
+  });
+
+  describe('#decodeLedger', function() {
+    it('Decode a binary ledger', function() {
+      var entries = fixtures.ledger_entries.slice(0, 2);
+      var transaction = fixtures.transactions[0];
+
+      var ledger = binary.decodeLedger({
+        ledger_index: '38129',
+        accountState: entries.map(function(fixture, i) {
+          return { data: fixture.binary, index: String(i) };
+        }),
+        transactions: [ { tx_blob: transaction.binary, meta: fixtures.metadata[0].binary } ]
+      });
+
+      assert.strictEqual(ledger.ledger_index, '38129');
+
+      assert.deepEqual(ledger.accountState, entries.map(function(fixture, i) {
+        var entry = JSON.parse(JSON.stringify(fixture.json));
+        entry.index = String(i);
+        return entry;
+      }));
+
+      var tx = ledger.transactions[0];
+      assert.strictEqual(tx.hash, transaction.hash);
+      assert.deepEqual(tx.metaData, fixtures.metadata[0].json);
+
+      delete tx.hash;
+      delete tx.metaData;
+      assert.deepEqual(tx, transaction.json);
+    });
+
+    it('Decode a ledger of a server', function() {
+      var ledger = binary.decodeLedger(server_binary);
+      var expected = fromServer(server_json);
+
+      assert.deepEqual(ledger.accountState, expected.accountState);
+      assert.deepEqual(ledger.transactions, expected.transactions);
+
+      ledger = Ledger.from_json(ledger);
+      assert.strictEqual(ledger.calc_account_hash().to_hex(), server_binary.account_hash);
+      assert.strictEqual(ledger.calc_tx_hash().to_hex(), server_binary.transaction_hash);
+    });
+
+    it('Keep entries that are already JSON', function() {
+      var entry = fixtures.ledger_entries[0].json;
+      var ledger = binary.decodeLedger({ accountState: [ entry ] });
+
+      assert.strictEqual(ledger.accountState[0], entry);
+    });
+  });
+});
+
+// vim:sw=2:sts=2:ts=8:et
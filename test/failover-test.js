@@ -0,0 +1,219 @@
+var assert     = require('assert');
+var async      = require('async');
+var utils      = require('./testutils');
+var Remote     = utils.load_module('remote').Remote;
+var MockServer = utils.load_module('mockserver').MockServer;
+var config     = require('./testutils').get_config();
+
+var ACCOUNT = 'ganVp9o5emfzpwrG5QVUXqMv8AgLcdvySb';
+
+describe('Failover', function() {
+  var mocks, remote;
+
+  beforeEach(function(done) {
+    mocks = [ new MockServer({ ledger_index: 100 }), new MockServer({ ledger_index: 100 }) ];
+
+    mocks.forEach(function(mock) {
+      mock.setAccount(ACCOUNT, { Balance: '1000000000', Sequence: 5 });
+    });
+
+    async.map(mocks, function(mock, callback) {
+      mock.listen(callback);
+    }, function(err, urls) {
+      assert.ifError(err);
+
+      remote = new Remote({ servers: urls, max_ledger_lag: 2 });
+      remote.once('ready', done);
+      remote.connect();
+    });
+  });
+
+  afterEach(function(done) {
+    remote.disconnect();
+
+    async.each(mocks, function(mock, callback) {
+      mock.close(callback);
+    }, done);
+  });
+
+  // The MockServer behind a Server
+  function mockOf(server) {
+    for (var i=0; i<mocks.length; i++) {
+      if (mocks[i].url === server._url) {
+        return mocks[i];
+      }
+    }
+  };
+
+  function closeLedgers(mock, count, callback) {
+    var server = remote._servers.filter(function(server) {
+      return mockOf(server) === mock;
+    })[0];
+
+    server.on('ledger_closed', function closed(ledger) {
+      if (ledger.ledger_index === mock._ledger.ledger_index) {
+        server.removeListener('ledger_closed', closed);
+        callback();
+      }
+    });
+
+    for (var i=0; i<count; i++) {
+      mock.closeLedger();
+    }
+  };
+
+  it('Invalid configuration', function() {
+    assert.throws(function() {
+      new Remote({ max_ledger_lag: '2' });
+    }, TypeError);
+
+    assert.throws(function() {
+      new Remote({ retry_requests: 'yes' });
+    }, TypeError);
+  });
+
+  it('Mark a lagging server unhealthy', function(done) {
+    var lagging = remote._servers[1];
+    var unhealthy = [ ];
+
+    remote.on('server_unhealthy', function(server, info) {
+      unhealthy.push(server);
+      assert.strictEqual(info.reason, 'ledger_lag');
+      assert.strictEqual(info.ledger_index, 100);
+      assert.strictEqual(info.lag, 3);
+    });
+
+    closeLedgers(mockOf(remote._servers[0]), 3, function() {
+      assert.deepEqual(unhealthy, [ lagging ]);
+      assert(!lagging.isHealthy());
+      assert.notStrictEqual(remote.getServer(), lagging);
+      done();
+    });
+  });
+
+  it('Mark a server healthy when it catches up', function(done) {
+    var lagging = remote._servers[1];
+
+    closeLedgers(mockOf(remote._servers[0]), 3, function() {
+      assert(!lagging.isHealthy());
+
+      remote.once('server_healthy', function(server) {
+        assert.strictEqual(server, lagging);
+      });
+
+      closeLedgers(mockOf(lagging), 3, function() {
+        assert(lagging.isHealthy());
+        done();
+      });
+    });
+  });
+
+  it('Route requests away from an unhealthy server', function(done) {
+    var healthy = remote._servers[0];
+
+    // Make the unhealthy server the best scored one
+    remote._servers[1]._score = -1;
+
+    closeLedgers(mockOf(healthy), 3, function() {
+      remote.once('route', function(request, server, reason) {
+        assert.strictEqual(request.message.command, 'server_info');
+        assert.strictEqual(server, healthy);
+        assert.strictEqual(reason, 'score');
+      });
+
+      remote.requestServerInfo(function(err, res) {
+        assert.ifError(err);
+        assert.strictEqual(res.info.validated_ledger.seq, 103);
+        done();
+      });
+    });
+  });
+
+  it('Route requests to an unhealthy server without a healthy one', function() {
+    remote._servers.forEach(function(server) {
+      server._setHealthy(false, { reason: 'ledger_lag' });
+    });
+
+    assert.strictEqual(remote._selectServer().reason, 'unhealthy');
+    assert(remote.getServer());
+  });
+
+  it('Retry a read-only request after a server error', function(done) {
+    var first = remote.getServer();
+    var retries = [ ];
+
+    mockOf(first).handle('account_info', function() {
+      return { error: 'tooBusy', error_message: 'The server is too busy.' };
+    });
+
+    remote.on('request_retry', function(request, server, error) {
+      retries.push(server);
+      assert.strictEqual(error.remote.error, 'tooBusy');
+    });
+
+    remote.requestAccountInfo(ACCOUNT, function(err, res) {
+      assert.ifError(err);
+      assert.strictEqual(res.account_data.Sequence, 5);
+      assert.strictEqual(retries.length, 1);
+      assert.notStrictEqual(retries[0], first);
+      done();
+    });
+  });
+
+  it('Retry a read-only request after a disconnect', function(done) {
+    var first = remote.getServer();
+
+    mockOf(first).handle('account_info', function() {
+      this.disconnect();
+    });
+
+    remote.requestAccountInfo(ACCOUNT, function(err, res) {
+      assert.ifError(err);
+      assert.strictEqual(res.account_data.Balance, '1000000000');
+      assert.notStrictEqual(this.server, first);
+      done();
+    });
+  });
+
+  it('Do not retry request errors', function(done) {
+    var retried = false;
+
+    remote.on('request_retry', function() {
+      retried = true;
+    });
+
+    remote.requestAccountInfo('gMQoBDY5oSZyygjxUQBjjasVVq9BgJN5AE', function(err) {
+      assert.strictEqual(err.remote.error, 'actNotFound');
+      assert(!retried);
+      done();
+    });
+  });
+
+  it('Do not retry when every server failed', function(done) {
+    mocks.forEach(function(mock) {
+      mock.handle('account_info', function() {
+        return { error: 'tooBusy' };
+      });
+    });
+
+    remote.requestAccountInfo(ACCOUNT, function(err) {
+      assert.strictEqual(err.remote.error, 'tooBusy');
+      done();
+    });
+  });
+
+  it('Do not retry requests sent to a server', function(done) {
+    var first = remote.getServer();
+
+    mockOf(first).handle('account_info', function() {
+      return { error: 'tooBusy' };
+    });
+
+    remote.requestAccountInfo(ACCOUNT).setServer(first).callback(function(err) {
+      assert.strictEqual(err.remote.error, 'tooBusy');
+      done();
+    });
+  });
+});
+
+// vim:sw=2:sts=2:ts=8:et
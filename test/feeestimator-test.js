@@ -0,0 +1,176 @@
+var assert       = require('assert');
+var async        = require('async');
+var utils        = require('./testutils');
+var Remote       = utils.load_module('remote').Remote;
+var Server       = utils.load_module('server').Server;
+var FeeEstimator = utils.load_module('feeestimator').FeeEstimator;
+var MockServer   = utils.load_module('mockserver').MockServer;
+var config       = require('./testutils').get_config();
+
+// A connected server, with a fee cushion that estimates leave out
+function server(url, load_factor) {
+  var server = Object.create(Server.prototype);
+
+  server._url = url;
+  server._connected = true;
+  server._fee_base = 10;
+  server._fee_ref = 10;
+  server._fee_cushion = 1.5;
+  server._load_base = 256;
+  server._load_factor = load_factor;
+
+  return server;
+};
+
+describe('FeeEstimator', function() {
+  it('Suggest fees at percentiles of the history', function() {
+    var servers = [ server('a', 256) ];
+    var estimator = new FeeEstimator({ _servers: servers });
+
+    // Nine quiet ledgers, then a spike
+    for (var i=1; i<=9; i++) {
+      estimator.addSample(servers[0], i);
+    }
+
+    servers[0]._load_factor = 256 * 10;
+    estimator.addSample(servers[0], 10);
+
+    var estimate = estimator.estimate({ urgency: 'low' });
+
+    assert.strictEqual(estimate.urgency, 'low');
+    assert.strictEqual(estimate.ledgers, 10);
+    assert.strictEqual(estimate.low.to_json(), '10');
+    assert.strictEqual(estimate.median.to_json(), '10');
+    assert.strictEqual(estimate.high.to_json(), '100');
+    assert.strictEqual(estimate.fee, estimate.low);
+  });
+
+  it('Keep the highest fee of a server in a ledger', function() {
+    var servers = [ server('a', 512), server('b', 256) ];
+    var estimator = new FeeEstimator({ _servers: servers });
+
+    estimator.addSample(servers[0], 1);
+    estimator.addSample(servers[1], 1);
+
+    servers[0]._load_factor = 256;
+    estimator.addSample(servers[0], 1);
+
+    assert.deepEqual(estimator._history, { 1: { a: 2, b: 1 } });
+  });
+
+  it('Forget ledgers out of the history', function() {
+    var servers = [ server('a', 256) ];
+    var estimator = new FeeEstimator({ _servers: servers }, { ledgers: 3 });
+
+    [ 1, 2, 3, 4, 5 ].forEach(function(ledger_index) {
+      estimator.addSample(servers[0], ledger_index);
+    });
+
+    assert.deepEqual(Object.keys(estimator._history), [ '3', '4', '5' ]);
+  });
+
+  it('Suggest at least the current fee for high urgency', function() {
+    var servers = [ server('a', 256) ];
+    var estimator = new FeeEstimator({ _servers: servers });
+
+    for (var i=1; i<=20; i++) {
+      estimator.addSample(servers[0], i);
+    }
+
+    servers[0]._load_factor = 256 * 3;
+
+    var estimate = estimator.estimate({ urgency: 'high', units: 20 });
+
+    assert.strictEqual(estimate.median.to_json(), '20');
+    assert.strictEqual(estimate.fee.to_json(), '60');
+  });
+
+  it('Skip disconnected servers', function() {
+    var servers = [ server('a', 256), server('b', 256 * 5) ];
+    var estimator = new FeeEstimator({ _servers: servers });
+
+    servers[1]._connected = false;
+
+    assert.strictEqual(estimator.estimate().high.to_json(), '10');
+  });
+
+  it('Invalid urgency', function() {
+    var estimator = new FeeEstimator({ _servers: [ server('a', 256) ] });
+
+    assert.throws(function() {
+      estimator.estimate({ urgency: 'urgent' });
+    }, TypeError);
+  });
+
+  it('No connected servers', function() {
+    var estimator = new FeeEstimator({ _servers: [ ] });
+
+    assert.throws(function() {
+      estimator.estimate();
+    }, /No connected servers/);
+  });
+});
+
+describe('Remote#estimateFee', function() {
+  var mocks, remote;
+
+  beforeEach(function(done) {
+    mocks = [ new MockServer({ ledger_index: 100 }), new MockServer({ ledger_index: 100 }) ];
+
+    async.map(mocks, function(mock, callback) {
+      mock.listen(callback);
+    }, function(err, urls) {
+      assert.ifError(err);
+
+      remote = new Remote({ servers: urls, fee_history: 5 });
+      remote.once('ready', done);
+      remote.connect();
+    });
+  });
+
+  afterEach(function(done) {
+    remote.disconnect();
+
+    async.each(mocks, function(mock, callback) {
+      mock.close(callback);
+    }, done);
+  });
+
+  it('Invalid configuration', function() {
+    assert.throws(function() {
+      new Remote({ fee_history: '5' });
+    }, TypeError);
+  });
+
+  it('Track the load of every server', function(done) {
+    remote._servers[1].once('load_changed', function() {
+      var estimate = remote.estimateFee();
+
+      assert.strictEqual(estimate.ledgers, 1);
+      assert.strictEqual(estimate.fee.to_json(), '10');
+      assert.strictEqual(estimate.high.to_json(), '40');
+      done();
+    });
+
+    mocks[1].setLoadFactor(256 * 4);
+  });
+
+  it('Sample closed ledgers', function(done) {
+    var closed = 0;
+
+    remote._servers[0].on('ledger_closed', function() {
+      if (++closed === 10) {
+        assert.deepEqual(Object.keys(remote._feeEstimator._history), [
+          '106', '107', '108', '109', '110'
+        ]);
+        done();
+      }
+    });
+
+    for (var i=0; i<10; i++) {
+      mocks[0].closeLedger();
+    }
+  });
+});
+
+// vim:sw=2:sts=2:ts=8:et
@@ -1,6 +1,7 @@
 var assert = require('assert');
 var utils  = require('./testutils');
 var Seed   = utils.load_module('seed').Seed;
+var KeyPair = utils.load_module('keypair').KeyPair;
 var config = require('./testutils').get_config();
 
 describe('KeyPair', function() {
@@ -9,6 +10,33 @@ describe('KeyPair', function() {
     var address = seed.get_key().get_address();
     assert.strictEqual(address.to_json(), 'ganVp9o5emfzpwrG5QVUXqMv8AgLcdvySb');
   });
+
+  it('can be created from a public key', function () {
+    var key = KeyPair.from_hex_pub('BE3900393891A2A2244E28A82C43BA94CA94DD6BFE36D523576A22BFF86055D4');
+    assert.strictEqual(key.get_address().to_json(), 'ganVp9o5emfzpwrG5QVUXqMv8AgLcdvySb');
+    assert.strictEqual(key.to_hex_pub(), 'BE3900393891A2A2244E28A82C43BA94CA94DD6BFE36D523576A22BFF86055D4');
+  });
+
+  it('rejects an invalid public key', function () {
+    assert.throws(function() {
+      KeyPair.from_hex_pub('XYZ');
+    });
+    assert.throws(function() {
+      KeyPair.from_hex_pub('BE3900393891A2A2244E28A82C43BA94CA94DD6BFE36D523576A22BFF86055');
+    });
+  });
+
+  it('can verify a signature', function () {
+    var hash = 'E08D6E9754025BA2534A78707605E0601F03ACE063687A0CA1BDDACFCD1698C7';
+    var key = Seed.from_json("masterpassphrase").get_key();
+    var signature = key.sign(hash);
+    var pub = KeyPair.from_hex_pub(key.to_hex_pub());
+
+    assert(pub.verify(hash, signature));
+    assert(!pub.verify('F08D6E9754025BA2534A78707605E0601F03ACE063687A0CA1BDDACFCD1698C7', signature));
+    assert(!pub.verify('XYZ', signature));
+    assert(!pub.verify(hash, 'ABCD'));
+  });
 });
 
 // vim:sw=2:sts=2:ts=8:et
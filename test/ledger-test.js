@@ -1,4 +1,5 @@
 var assert = require('assert');
+var crypto = require('crypto');
 var fs     = require('fs');
 
 var utils  = require('./testutils');
@@ -29,12 +30,250 @@ create_ledger_test = function (ledger_index) {
   })
 }
 
+// Ledger headers of the fixtures, parent_close_time taken from the
+// parent ledgers
+var headers = {
+  38129: {
+    ledger_index: '38129',
+    total_coins: '99999999999996310',
+    parent_hash: '3401E5B2E5D3A53EB0891088A5F2D9364BBB6CE5B37A337D2C0660DAF9C4175E',
+    transaction_hash: 'DB83BF807416C5B3499A73130F843CF615AB8E797D79FE7D330ADF1BFA93951A',
+    account_hash: '2C23D15B6B549123FB351E4B5CDE81C564318EB845449CD43C3EA7953C4DB452',
+    parent_close_time: 410424200,
+    close_time: 410424200,
+    close_time_resolution: 10,
+    ledger_hash: 'E6DB7365949BF9814D76BCC730B01818EB9136A89DB224F3F9F5AAE4569D758E'
+  },
+  40000: {
+    ledger_index: '40000',
+    total_coins: '99999999999996310',
+    parent_hash: 'CDFD329A6E418591770695D0FB859113641AC20CB3A1F39AB3D721CEA2685EFE',
+    transaction_hash: '0000000000000000000000000000000000000000000000000000000000000000',
+    account_hash: '1B536BFBDFC92B9550F2F63D32F7269D451885FFB2CAB374332EBC2D663320E0',
+    parent_close_time: 410459110,
+    close_time: 410459130,
+    close_time_resolution: 10,
+    ledger_hash: '16BB8E41DD96D643BC72E1981865C5D76B990464E2EA151FEAC16CDF1AE29388'
+  }
+};
+
+// Ledger hash of a header, calculated from its fields with the layout
+// servers use: SHA-512 of the 'LWR' prefix, ledger index, total coins, fee
+// pool and inflation sequence if any, parent, transaction and account state
+// hashes, parent close time, close time, resolution and flags, truncated to
+// 256 bits
+function header_hash(header) {
+  function uint(value, bytes) {
+    var hex = BigInt(value).toString(16);
+    return new Array(bytes * 2 - hex.length + 1).join('0') + hex;
+  };
+
+  var hex = '4C575200'
+    + uint(header.ledger_index, 4)
+    + uint(header.total_coins, 8)
+    + (header.fee_pool === void(0) ? '' : uint(header.fee_pool, 8) + uint(header.inflate_seq, 4))
+    + header.parent_hash
+    + header.transaction_hash
+    + header.account_hash
+    + uint(header.parent_close_time, 4)
+    + uint(header.close_time, 4)
+    + uint(header.close_time_resolution, 1)
+    + uint(header.close_flags || 0, 1);
+
+  return crypto.createHash('sha512').update(Buffer.from(hex, 'hex')).digest('hex').slice(0, 64).toUpperCase();
+};
+
+// No header of a server that reports a fee pool and inflation sequence is
+// at hand: this is the header of 38129 with them added, and its hash is
+// calculated by header_hash, which gives the ledger hashes of the headers
+// above as the servers reported them
+var stellar_header = JSON.parse(JSON.stringify(headers[38129]));
+stellar_header.fee_pool = '1250004380';
+stellar_header.inflate_seq = 12;
+stellar_header.ledger_hash = header_hash(stellar_header);
+
 describe('Ledger', function() {
   // This is the first recorded ledger with a non empty transaction set
   create_ledger_test(38129);
   // Because, why not.
   create_ledger_test(40000);
 
+  describe('#calc_ledger_hash', function () {
+    Object.keys(headers).forEach(function (ledger_index) {
+      var header = headers[ledger_index];
+
+      it('will calculate the ledger hash of ' + ledger_index, function () {
+        var ledger = Ledger.from_json(header);
+        assert.equal(ledger.calc_ledger_hash().to_hex(), header.ledger_hash);
+      });
+    });
+
+    it('will calculate the ledger hashes of servers outside of Ledger', function () {
+      Object.keys(headers).forEach(function (ledger_index) {
+        assert.equal(header_hash(headers[ledger_index]), headers[ledger_index].ledger_hash);
+      });
+    });
+
+    it('will calculate the ledger hash of a header with a fee pool', function () {
+      var ledger = Ledger.from_json(stellar_header);
+      assert.equal(ledger.calc_ledger_hash().to_hex(), stellar_header.ledger_hash);
+    });
+
+    it('will read the fee pool of a header with camelCase fields', function () {
+      var header = JSON.parse(JSON.stringify(stellar_header));
+      header.feePool = header.fee_pool;
+      header.inflateSeq = header.inflate_seq;
+      delete header.fee_pool;
+      delete header.inflate_seq;
+
+      assert.equal(Ledger.from_json(header).calc_ledger_hash().to_hex(), stellar_header.ledger_hash);
+    });
+
+    it('will fail with a fee pool but without inflate_seq', function () {
+      var header = JSON.parse(JSON.stringify(stellar_header));
+      delete header.inflate_seq;
+
+      assert.throws(function () {
+        Ledger.from_json(header).calc_ledger_hash();
+      }, /Missing inflate_seq/);
+    });
+
+    it('will fail with inflate_seq but without a fee pool', function () {
+      var header = JSON.parse(JSON.stringify(stellar_header));
+      delete header.fee_pool;
+
+      assert.throws(function () {
+        Ledger.from_json(header).calc_ledger_hash();
+      }, /Missing fee_pool/);
+    });
+
+    it('will fail without parent_close_time', function () {
+      var header = JSON.parse(JSON.stringify(headers[38129]));
+      delete header.parent_close_time;
+
+      assert.throws(function () {
+        Ledger.from_json(header).calc_ledger_hash();
+      }, /parent_close_time/);
+    });
+  });
+
+  describe('#verify', function () {
+    it('will verify a ledger header', function () {
+      var report = Ledger.from_json(headers[40000]).verify();
+
+      assert.strictEqual(report.verified, true);
+      assert.deepEqual(report.mismatches, [ ]);
+      assert.deepEqual(report.ledger_hash, {
+        expected: headers[40000].ledger_hash,
+        calculated: headers[40000].ledger_hash,
+        valid: true
+      });
+      assert.strictEqual(report.transaction_hash.skipped, true);
+      assert.strictEqual(report.account_hash.skipped, true);
+    });
+
+    it('will report a modified header', function () {
+      var header = JSON.parse(JSON.stringify(headers[40000]));
+      header.close_time += 10;
+
+      var report = Ledger.from_json(header).verify();
+
+      assert.strictEqual(report.verified, false);
+      assert.deepEqual(report.mismatches, [ 'ledger_hash' ]);
+      assert.strictEqual(report.ledger_hash.valid, false);
+    });
+
+    it('will report a modified transaction tree', function () {
+      var header = JSON.parse(JSON.stringify(headers[40000]));
+      header.transactions = [ ];
+      header.transaction_hash = headers[38129].transaction_hash;
+
+      var report = Ledger.from_json(header).verify();
+
+      assert.strictEqual(report.verified, false);
+      assert.deepEqual(report.mismatches, [ 'ledger_hash', 'transaction_hash' ]);
+      assert.strictEqual(report.transaction_hash.calculated, headers[40000].transaction_hash);
+    });
+
+    it('will skip trees of a ledger that is not expanded', function () {
+      var path = __dirname + '/fixtures/ledger-full-38129.json';
+      var ledger_json = JSON.parse(fs.readFileSync(path));
+      var header = JSON.parse(JSON.stringify(headers[38129]));
+
+      // As requested with transactions and accounts, without expand
+      header.transactions = ledger_json.transactions.map(function (tx) {
+        return tx.hash;
+      });
+      header.accountState = ledger_json.accountState.map(function (entry) {
+        return entry.index;
+      });
+
+      var report = Ledger.from_json(header).verify();
+
+      assert.strictEqual(report.verified, true);
+      assert.deepEqual(report.mismatches, [ ]);
+      assert.strictEqual(report.ledger_hash.valid, true);
+      assert.strictEqual(report.transaction_hash.skipped, true);
+      assert.strictEqual(report.account_hash.skipped, true);
+    });
+
+    it('will report a hash that cannot be calculated', function () {
+      var header = JSON.parse(JSON.stringify(headers[40000]));
+      delete header.parent_close_time;
+
+      var report = Ledger.from_json(header).verify();
+
+      assert.deepEqual(report.mismatches, [ 'ledger_hash' ]);
+      assert.strictEqual(report.ledger_hash.error, 'Missing parent_close_time');
+    });
+  });
+
+  describe('#account_state_proof', function () {
+    var entries = [ 'ganVp9o5emfzpwrG5QVUXqMv8AgLcdvySb',
+                    'gMQoBDY5oSZyygjxUQBjjasVVq9BgJN5AE',
+                    'gHb9CJAWyB4gj91VRWn96DkukG4bwdtyTh' ].map(function (account) {
+      return {
+        LedgerEntryType: 'AccountRoot',
+        Account: account,
+        Balance: '1000000000',
+        Flags: 0,
+        OwnerCount: 0,
+        PreviousTxnID: '0000000000000000000000000000000000000000000000000000000000000000',
+        PreviousTxnLgrSeq: 1,
+        Sequence: 1,
+        index: Ledger.calcAccountRootEntryHash(account).to_hex()
+      };
+    });
+
+    var ledger = Ledger.from_json({ accountState: entries });
+    var account_hash = ledger.calc_account_hash().to_hex();
+
+    it('will verify an AccountRoot entry against the account_hash', function () {
+      entries.forEach(function (entry) {
+        var proof = ledger.account_state_proof(entry.index);
+        assert(Ledger.verify_account_state_proof(entry, proof, account_hash));
+      });
+    });
+
+    it('will reject a modified balance', function () {
+      var entry = JSON.parse(JSON.stringify(entries[0]));
+      var proof = ledger.account_state_proof(entry.index);
+
+      entry.Balance = '2000000000';
+      assert(!Ledger.verify_account_state_proof(entry, proof, account_hash));
+    });
+
+    it('will reject a proof for another entry', function () {
+      var proof = ledger.account_state_proof(entries[1].index);
+      assert(!Ledger.verify_account_state_proof(entries[0], proof, account_hash));
+    });
+
+    it('will return null for a missing entry', function () {
+      var index = '6000000000000000000000000000000000000000000000000000000000000000';
+      assert.strictEqual(ledger.account_state_proof(index), null);
+    });
+  });
+
   describe('#calcAccountRootEntryHash', function () {
     it('will calculate the AccountRoot entry hash for rHb9CJAWyB4rj91VRWn96DkukG4bwdtyTh', function () {
       var account = 'rHb9CJAWyB4rj91VRWn96DkukG4bwdtyTh';
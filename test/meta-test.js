@@ -0,0 +1,332 @@
+var assert = require('assert');
+var extend = require('extend');
+var utils  = require('./testutils');
+var Meta   = utils.load_module('meta').Meta;
+var config = require('./testutils').get_config();
+
+var ALICE  = 'gMQoBDY5oSZyygjxUQBjjasVVq9BgJN5AE';
+var BOB    = 'gHb9CJAWyB4gj91VRWn96DkukG4bwdtyTh';
+var ISSUER = 'ganVp9o5emfzpwrG5QVUXqMv8AgLcdvySb';
+var NEUTRAL = 'ggggggggggggggggggggBZbvji';
+
+function balance(value) {
+  return { value: value, currency: 'USD', issuer: NEUTRAL };
+};
+
+function limit(account, value) {
+  return { value: value, currency: 'USD', issuer: account };
+};
+
+// Alice pays 10.5 USD to Bob through the issuer. Alice holds the low side of
+// her trust line, Bob the high side of his.
+var PAYMENT_META = {
+  TransactionIndex: 0,
+  TransactionResult: 'tesSUCCESS',
+  AffectedNodes: [ {
+    ModifiedNode: {
+      LedgerEntryType: 'AccountRoot',
+      LedgerIndex: 'A0',
+      PreviousFields: {
+        Balance: '100000000',
+        Sequence: 5
+      },
+      FinalFields: {
+        Account: ALICE,
+        Balance: '99999990',
+        Sequence: 6
+      }
+    }
+  }, {
+    ModifiedNode: {
+      LedgerEntryType: 'RippleState',
+      LedgerIndex: 'R0',
+      PreviousFields: {
+        Balance: balance('50')
+      },
+      FinalFields: {
+        Balance: balance('39.5'),
+        LowLimit: limit(ALICE, '100'),
+        HighLimit: limit(ISSUER, '0')
+      }
+    }
+  }, {
+    ModifiedNode: {
+      LedgerEntryType: 'RippleState',
+      LedgerIndex: 'R1',
+      PreviousFields: {
+        Balance: balance('-1.25')
+      },
+      FinalFields: {
+        Balance: balance('-11.75'),
+        LowLimit: limit(ISSUER, '0'),
+        HighLimit: limit(BOB, '100')
+      }
+    }
+  } ]
+};
+
+// Alice sells 30 STR for USD at 2 STR/USD. She crosses Bob's offer of 10 USD
+// completely, half of the issuer's offer of 10 USD, and places the rest.
+var OFFER_TX = {
+  TransactionType: 'OfferCreate',
+  Account: ALICE,
+  Sequence: 7,
+  TakerGets: '40000000',
+  TakerPays: limit(ISSUER, '20')
+};
+
+var OFFER_META = {
+  TransactionIndex: 0,
+  TransactionResult: 'tesSUCCESS',
+  AffectedNodes: [ {
+    DeletedNode: {
+      LedgerEntryType: 'Offer',
+      LedgerIndex: 'O1',
+      PreviousFields: {
+        TakerGets: limit(ISSUER, '10'),
+        TakerPays: '20000000'
+      },
+      FinalFields: {
+        Account: BOB,
+        Sequence: 3,
+        TakerGets: limit(ISSUER, '0'),
+        TakerPays: '0'
+      }
+    }
+  }, {
+    ModifiedNode: {
+      LedgerEntryType: 'Offer',
+      LedgerIndex: 'O2',
+      PreviousFields: {
+        TakerGets: limit(ISSUER, '10'),
+        TakerPays: '20000000'
+      },
+      FinalFields: {
+        Account: ISSUER,
+        Sequence: 9,
+        TakerGets: limit(ISSUER, '5'),
+        TakerPays: '10000000'
+      }
+    }
+  }, {
+    DeletedNode: {
+      LedgerEntryType: 'Offer',
+      LedgerIndex: 'O3',
+      FinalFields: {
+        Account: BOB,
+        Sequence: 2,
+        TakerGets: limit(ISSUER, '1'),
+        TakerPays: '1000000'
+      }
+    }
+  }, {
+    CreatedNode: {
+      LedgerEntryType: 'Offer',
+      LedgerIndex: 'O4',
+      NewFields: {
+        Account: ALICE,
+        Sequence: 7,
+        TakerGets: '10000000',
+        TakerPays: limit(ISSUER, '5')
+      }
+    }
+  } ]
+};
+
+function changes(meta) {
+  var result = { };
+  var balanceChanges = meta.getBalanceChanges();
+
+  Object.keys(balanceChanges).forEach(function(account) {
+    result[account] = balanceChanges[account].map(function(amount) {
+      return amount.to_text_full();
+    });
+  });
+
+  return result;
+};
+
+describe('Meta', function() {
+  describe('#getBalanceChanges', function() {
+    it('will compute STR and IOU changes', function() {
+      var result = changes(new Meta(PAYMENT_META));
+
+      assert.deepEqual(result[ALICE], [ '-0.00001/STR', '-10.5/USD/' + ISSUER ]);
+      assert.deepEqual(result[BOB], [ '10.5/USD/' + ISSUER ]);
+      assert.deepEqual(result[ISSUER], [ '10.5/USD/' + ALICE, '-10.5/USD/' + BOB ]);
+    });
+
+    it('will return Amounts', function() {
+      var result = new Meta(PAYMENT_META).getBalanceChanges();
+
+      assert.strictEqual(result[ALICE][0].to_json(), '-10');
+      assert.deepEqual(result[BOB][0].to_json(), {
+        value: '10.5',
+        currency: 'USD',
+        issuer: ISSUER
+      });
+    });
+
+    it('will compute changes of created and deleted nodes', function() {
+      var result = changes(new Meta({
+        AffectedNodes: [ {
+          CreatedNode: {
+            LedgerEntryType: 'AccountRoot',
+            LedgerIndex: 'A1',
+            NewFields: {
+              Account: BOB,
+              Balance: '25000000',
+              Sequence: 1
+            }
+          }
+        }, {
+          CreatedNode: {
+            LedgerEntryType: 'RippleState',
+            LedgerIndex: 'R2',
+            NewFields: {
+              Balance: balance('3'),
+              LowLimit: limit(BOB, '10'),
+              HighLimit: limit(ISSUER, '0')
+            }
+          }
+        }, {
+          DeletedNode: {
+            LedgerEntryType: 'RippleState',
+            LedgerIndex: 'R3',
+            PreviousFields: {
+              Balance: balance('-2')
+            },
+            FinalFields: {
+              Balance: balance('0'),
+              LowLimit: limit(ISSUER, '0'),
+              HighLimit: limit(ALICE, '0')
+            }
+          }
+        } ]
+      }));
+
+      assert.deepEqual(result[BOB], [ '25/STR', '3/USD/' + ISSUER ]);
+      assert.deepEqual(result[ALICE], [ '-2/USD/' + ISSUER ]);
+      assert.deepEqual(result[ISSUER], [ '-3/USD/' + BOB, '2/USD/' + ALICE ]);
+    });
+
+    it('will leave out unchanged balances', function() {
+      var result = changes(new Meta({
+        AffectedNodes: [ {
+          ModifiedNode: {
+            LedgerEntryType: 'AccountRoot',
+            LedgerIndex: 'A0',
+            PreviousFields: {
+              OwnerCount: 1
+            },
+            FinalFields: {
+              Account: ALICE,
+              Balance: '100000000',
+              OwnerCount: 2
+            }
+          }
+        }, {
+          ModifiedNode: {
+            LedgerEntryType: 'Offer',
+            LedgerIndex: 'O0',
+            PreviousFields: {
+              TakerGets: '10'
+            },
+            FinalFields: {
+              Account: ALICE,
+              TakerGets: '5',
+              TakerPays: limit(ISSUER, '1')
+            }
+          }
+        } ]
+      }));
+
+      assert.deepEqual(result, { });
+    });
+  });
+
+  describe('#getOrderFills', function() {
+    function fills(result) {
+      return result.fills.map(function(fill) {
+        return [
+          fill.owner,
+          fill.sequence,
+          fill.index,
+          fill.taker_gets.to_text_full(),
+          fill.taker_pays.to_text_full(),
+          fill.status
+        ];
+      });
+    };
+
+    it('will list the crossed offers', function() {
+      var result = new Meta(OFFER_META).getOrderFills(OFFER_TX);
+
+      assert.deepEqual(fills(result), [
+        [ BOB, 3, 'O1', '10/USD/' + ISSUER, '20/STR', 'filled' ],
+        [ ISSUER, 9, 'O2', '5/USD/' + ISSUER, '10/STR', 'partially_filled' ]
+      ]);
+    });
+
+    it('will return the offer of the transaction', function() {
+      var offer = new Meta(OFFER_META).getOrderFills(OFFER_TX).offer;
+
+      assert.strictEqual(offer.sequence, 7);
+      assert.strictEqual(offer.status, 'partially_filled');
+      assert.strictEqual(offer.taker_gets.to_text_full(), '30/STR');
+      assert.strictEqual(offer.taker_pays.to_text_full(), '15/USD/' + ISSUER);
+      assert.strictEqual(offer.index, 'O4');
+      assert.strictEqual(offer.remaining.taker_gets.to_text_full(), '10/STR');
+      assert.strictEqual(offer.remaining.taker_pays.to_text_full(), '5/USD/' + ISSUER);
+    });
+
+    it('will return a filled offer', function() {
+      var meta = new Meta(OFFER_META);
+
+      // Without the placed offer
+      meta.nodes.pop();
+
+      var offer = meta.getOrderFills(extend({ }, OFFER_TX, {
+        TakerGets: '30000000',
+        TakerPays: limit(ISSUER, '15')
+      })).offer;
+
+      assert.strictEqual(offer.status, 'filled');
+      assert.strictEqual(offer.remaining, void(0));
+    });
+
+    it('will return a partially filled immediate or cancel offer', function() {
+      var meta = new Meta(OFFER_META);
+
+      meta.nodes.pop();
+
+      assert.strictEqual(meta.getOrderFills(OFFER_TX).offer.status, 'partially_filled');
+    });
+
+    it('will return an open offer', function() {
+      var meta = new Meta({ AffectedNodes: [ OFFER_META.AffectedNodes[3] ] });
+      var offer = meta.getOrderFills(OFFER_TX).offer;
+
+      assert.strictEqual(offer.status, 'open');
+      assert.strictEqual(offer.taker_gets.to_text_full(), '0/STR');
+    });
+
+    it('will return a killed offer', function() {
+      var offer = new Meta({ AffectedNodes: [ ] }).getOrderFills(OFFER_TX).offer;
+      assert.strictEqual(offer.status, 'killed');
+    });
+
+    it('will list the crossed offers of a payment', function() {
+      var result = new Meta(OFFER_META).getOrderFills({
+        TransactionType: 'Payment',
+        Account: ALICE,
+        Sequence: 7
+      });
+
+      assert.strictEqual(result.fills.length, 2);
+      assert.strictEqual(result.offer, null);
+    });
+  });
+});
+
+// vim:sw=2:sts=2:ts=8:et
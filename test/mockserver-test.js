@@ -0,0 +1,172 @@
+var assert     = require('assert');
+var utils      = require('./testutils');
+var Remote     = utils.load_module('remote').Remote;
+var Request    = utils.load_module('request').Request;
+var MockServer = utils.load_module('mockserver').MockServer;
+var config     = require('./testutils').get_config();
+
+var ACCOUNT     = 'ganVp9o5emfzpwrG5QVUXqMv8AgLcdvySb';
+var SECRET      = 's3q5ZGX2ScQK2rJ4JATp7rND6X5npG3De8jMbB7tuvm2HAVHcCN';
+var DESTINATION = 'gMQoBDY5oSZyygjxUQBjjasVVq9BgJN5AE';
+
+describe('MockServer', function() {
+  var server, remote;
+
+  beforeEach(function(done) {
+    server = new MockServer({ ledger_index: 100 });
+    server.setAccount(ACCOUNT, { Balance: '1000000000', Sequence: 5 });
+
+    server.listen(function(err, url) {
+      assert.ifError(err);
+
+      remote = new Remote({
+        servers: [ url ],
+        local_signing: true
+      });
+
+      remote.setSecret(ACCOUNT, SECRET);
+      remote.connect(done);
+    });
+  });
+
+  afterEach(function(done) {
+    remote.disconnect();
+    server.close(done);
+  });
+
+  it('Subscribe', function() {
+    assert.strictEqual(remote._ledger_current_index, 101);
+    assert.strictEqual(remote._ledger_hash, MockServer.ledgerHash(100));
+    assert(remote._getServer().connected());
+  });
+
+  it('Close ledger', function(done) {
+    remote.once('ledger_closed', function(ledger) {
+      assert.strictEqual(ledger.ledger_index, 101);
+      assert.strictEqual(ledger.ledger_hash, MockServer.ledgerHash(101));
+      assert.strictEqual(remote._ledger_current_index, 102);
+      done();
+    });
+
+    server.closeLedger();
+  });
+
+  it('Server info', function(done) {
+    remote.requestServerInfo(function(err, res) {
+      assert.ifError(err);
+      assert.strictEqual(res.info.server_state, 'full');
+      assert.strictEqual(res.info.validated_ledger.seq, 100);
+      done();
+    });
+  });
+
+  it('Account info', function(done) {
+    remote.requestAccountInfo(ACCOUNT, function(err, res) {
+      assert.ifError(err);
+      assert.strictEqual(res.account_data.Balance, '1000000000');
+      assert.strictEqual(res.account_data.Sequence, 5);
+      done();
+    });
+  });
+
+  it('Account info - account not found', function(done) {
+    remote.requestAccountInfo(DESTINATION, function(err, res) {
+      assert.strictEqual(err.remote.error, 'actNotFound');
+      done();
+    });
+  });
+
+  it('Custom command', function(done) {
+    server.handle('book_offers', function(message) {
+      return { offers: [ ] };
+    });
+
+    remote.requestBookOffers({
+      gets: { currency: 'STR' },
+      pays: { currency: 'USD', issuer: DESTINATION }
+    }, function(err, res) {
+      assert.ifError(err);
+      assert.deepEqual(res.offers, [ ]);
+      done();
+    });
+  });
+
+  it('Unknown command', function(done) {
+    new Request(remote, 'unknown_command').callback(function(err) {
+      assert.strictEqual(err.remote.error, 'unknownCmd');
+      done();
+    });
+  });
+
+  it('Submit transaction', function(done) {
+    var transaction = remote.transaction();
+
+    transaction.payment(ACCOUNT, DESTINATION, '1000000');
+
+    server.once('submit', function(tx_json, engine_result) {
+      assert.strictEqual(tx_json.Sequence, 5);
+      assert.strictEqual(engine_result, 'tesSUCCESS');
+    });
+
+    transaction.once('proposed', function() {
+      server.closeLedger();
+    });
+
+    transaction.submit(function(err, res) {
+      assert.ifError(err);
+      assert.strictEqual(res.engine_result, 'tesSUCCESS');
+      assert.strictEqual(res.ledger_index, 101);
+      assert.strictEqual(server.getAccount(ACCOUNT).Sequence, 6);
+      done();
+    });
+  });
+
+  it('Submit transaction - engine result', function(done) {
+    var transaction = remote.transaction();
+
+    transaction.payment(ACCOUNT, DESTINATION, '1000000');
+
+    server.queueEngineResult('temBAD_AMOUNT');
+
+    transaction.submit(function(err, res) {
+      assert.strictEqual(err.engine_result, 'temBAD_AMOUNT');
+      done();
+    });
+  });
+
+  it('Submit transaction - claimed fee', function(done) {
+    var transaction = remote.transaction();
+
+    transaction.payment(ACCOUNT, DESTINATION, '1000000');
+
+    server.queueEngineResult('tecUNFUNDED_PAYMENT');
+
+    transaction.submit(function(err, res) {
+      assert.strictEqual(err.engine_result, 'tecUNFUNDED_PAYMENT');
+      assert.strictEqual(err.engine_result_code, 104);
+      done();
+    });
+  });
+
+  it('Hold transactions after a dropped transaction', function(done) {
+    var hashes = [ ];
+
+    server.on('submit', function(tx_json) {
+      hashes.push(tx_json.hash);
+
+      if (hashes.length < 2) {
+        return;
+      }
+
+      assert(server.dropTransaction(hashes[0]));
+      assert.strictEqual(server.closeLedger().txn_count, 0);
+      assert.strictEqual(server.getAccount(ACCOUNT).Sequence, 5);
+      done();
+    });
+
+    remote.transaction().payment(ACCOUNT, DESTINATION, '1000000').submit();
+    remote.transaction().payment(ACCOUNT, DESTINATION, '2000000').submit();
+  });
+});
+
+// vim:sw=2:sts=2:ts=8:et
@@ -0,0 +1,371 @@
+var assert       = require('assert');
+var EventEmitter = require('events').EventEmitter;
+var extend       = require('extend');
+var utils        = require('./testutils');
+var OrderBook    = utils.load_module('orderbook').OrderBook;
+var Amount       = utils.load_module('amount').Amount;
+var Meta         = utils.load_module('meta').Meta;
+var config       = require('./testutils').get_config();
+
+var ISSUER = 'ganVp9o5emfzpwrG5QVUXqMv8AgLcdvySb';
+var ALICE  = 'gMQoBDY5oSZyygjxUQBjjasVVq9BgJN5AE';
+var BOB    = 'g4qLSAzv4LZ9TLsR7diphGwKnSEAMQTSjS';
+var CAROL  = 'gQLbzfJH5BT1FS9apRLKV3G8dWEA5njaQi';
+
+var KEY = 'USD/' + ISSUER + ':STR';
+
+function usd(value) {
+  return { value: String(value), currency: 'USD', issuer: ISSUER };
+};
+
+function offer(index, account, gets, pays) {
+  return {
+    index: index,
+    Account: account,
+    TakerGets: usd(gets),
+    TakerPays: String(pays * 1000000)
+  };
+};
+
+function createRemote() {
+  var remote = new EventEmitter();
+
+  remote._connected = false;
+  remote.reserve = function(owner_count) {
+    return Amount.from_json(String(20000000 + owner_count * 5000000));
+  };
+
+  return remote;
+};
+
+// Book selling USD for STR, priced in STR per USD
+function createBook() {
+  var book = new OrderBook(createRemote(), 'USD', ISSUER, 'STR', null, KEY);
+
+  book._setOffers([
+    extend(offer('A1', ALICE, 10, 20), { owner_funds: '15' }),
+    offer('B1', BOB, 5, 10),
+    offer('A2', ALICE, 10, 21),
+    offer('C1', CAROL, 10, 30)
+  ]);
+
+  return book;
+};
+
+function transaction(nodes) {
+  var message = {
+    transaction: { TransactionType: 'OfferCreate' },
+    meta: { AffectedNodes: nodes }
+  };
+
+  message.mmeta = new Meta(message.meta);
+  message.mmeta.getAffectedBooks();
+
+  return message;
+};
+
+function levels(depth) {
+  return depth.levels.map(function(level) {
+    return [
+      level.price,
+      level.taker_gets.to_text(),
+      level.taker_pays.to_human(),
+      level.cumulative_gets.to_text(),
+      level.offers
+    ];
+  });
+};
+
+describe('OrderBook', function() {
+  describe('#fundedOffers', function() {
+    it('will limit offers to the funds of their owner', function() {
+      var offers = createBook().fundedOffers();
+
+      assert.deepEqual(offers.map(function(funded) {
+        return [ funded.offer.index, funded.taker_gets.to_text(), funded.taker_pays.to_human() ];
+      }), [
+        [ 'A1', '10', '20' ],
+        [ 'B1', '5', '10' ],
+        [ 'A2', '5', '10.5' ],
+        [ 'C1', '10', '30' ]
+      ]);
+    });
+
+    it('will leave out unfunded offers', function() {
+      var book = createBook();
+
+      book._ownerFunds[ALICE] = Amount.from_json(usd(0));
+
+      assert.deepEqual(book.fundedOffers().map(function(funded) {
+        return funded.offer.index;
+      }), [ 'B1', 'C1' ]);
+    });
+
+    it('will consider the issuer fully funded', function() {
+      var book = new OrderBook(createRemote(), 'USD', ISSUER, 'STR', null, KEY);
+
+      book._setOffers([ extend(offer('I1', ISSUER, 10, 20), { owner_funds: '0' }) ]);
+
+      assert.strictEqual(book.fundedOffers()[0].taker_gets.to_text(), '10');
+    });
+  });
+
+  describe('#depth', function() {
+    it('will aggregate offers by price level', function() {
+      var depth = createBook().depth();
+
+      assert.strictEqual(depth.best.to_human(), '2');
+      assert.deepEqual(levels(depth), [
+        [ '2', '15', '30', '15', 2 ],
+        [ '2.1', '5', '10.5', '20', 1 ],
+        [ '3', '10', '30', '30', 1 ]
+      ]);
+      assert.strictEqual(depth.levels[2].cumulative_pays.to_human(), '70.5');
+    });
+
+    it('will group prices with the given precision', function() {
+      var depth = createBook().depth(void(0), 0);
+
+      assert.deepEqual(levels(depth), [
+        [ '2', '20', '40.5', '20', 3 ],
+        [ '3', '10', '30', '30', 1 ]
+      ]);
+    });
+
+    it('will limit the number of levels', function() {
+      var depth = createBook().depth(2);
+
+      assert.strictEqual(depth.levels.length, 2);
+      assert.strictEqual(depth.levels[1].price, '2.1');
+    });
+
+    it('will return an empty book', function() {
+      var book = new OrderBook(createRemote(), 'USD', ISSUER, 'STR', null, KEY);
+
+      assert.deepEqual(book.depth(), { best: null, levels: [ ] });
+    });
+
+    it('will truncate prices to the same level', function() {
+      var book = new OrderBook(createRemote(), 'USD', ISSUER, 'STR', null, KEY);
+
+      book._setOffers([
+        offer('A1', ALICE, 10, 10),
+        offer('B1', BOB, 10, 10.59),
+        offer('C1', CAROL, 10, 11.99)
+      ]);
+
+      // 1, 1.059 and 1.199
+      assert.deepEqual(levels(book.depth(void(0), 1)), [
+        [ '1', '20', '20.59', '20', 2 ],
+        [ '1.1', '10', '11.99', '30', 1 ]
+      ]);
+    });
+
+    it('will return the bids of a paired book', function() {
+      var asks = createBook();
+      var bids = new OrderBook(createRemote(), 'STR', null, 'USD', ISSUER, 'STR:' + KEY);
+
+      // Offers buying USD for STR
+      bids._setOffers([
+        { index: 'D1', Account: BOB, TakerGets: '19000000', TakerPays: usd(10) },
+        { index: 'D2', Account: CAROL, TakerGets: '18000000', TakerPays: usd(10) },
+        { index: 'D3', Account: ALICE, TakerGets: '9000000', TakerPays: usd(5) }
+      ]);
+
+      var depth = asks.depth(void(0), void(0), bids);
+
+      assert.strictEqual(depth.best.to_human(), '2');
+      assert.strictEqual(depth.best_bid.to_human(), '1.9');
+      assert.strictEqual(depth.levels.length, 3);
+      assert.deepEqual(levels({ levels: depth.bids }), [
+        [ '1.9', '19000000', '10', '19000000', 1 ],
+        [ '1.8', '27000000', '15', '46000000', 2 ]
+      ]);
+    });
+
+    it('will reject a book that is not paired', function() {
+      var asks = createBook();
+
+      assert.throws(function() {
+        asks.depth(void(0), void(0), createBook());
+      }, TypeError);
+    });
+
+    it('will return no bids for an empty paired book', function() {
+      var bids = new OrderBook(createRemote(), 'STR', null, 'USD', ISSUER, 'STR:' + KEY);
+      var depth = createBook().depth(void(0), void(0), bids);
+
+      assert.strictEqual(depth.best_bid, null);
+      assert.deepEqual(depth.bids, [ ]);
+    });
+  });
+
+  describe('depth event', function() {
+    it('will be emitted for a snapshot', function(done) {
+      var book = new OrderBook(createRemote(), 'USD', ISSUER, 'STR', null, KEY);
+
+      book.once('depth', function(depth) {
+        assert.strictEqual(depth.levels.length, 1);
+        done();
+      });
+
+      book._setOffers([ offer('A1', ALICE, 10, 20) ]);
+    });
+
+    it('will be emitted for a new offer', function(done) {
+      var book = createBook();
+
+      book.once('depth', function(depth) {
+        assert.strictEqual(depth.best.to_human(), '1.5');
+        assert.strictEqual(depth.levels[0].taker_gets.to_text(), '4');
+        assert.deepEqual(book.offersSync().map(function(o) {
+          return o.index;
+        }), [ 'D1', 'A1', 'B1', 'A2', 'C1' ]);
+        done();
+      });
+
+      book.notify(transaction([ {
+        CreatedNode: {
+          LedgerEntryType: 'Offer',
+          LedgerIndex: 'D1',
+          NewFields: {
+            Account: ISSUER,
+            TakerGets: usd(4),
+            TakerPays: '6000000'
+          }
+        }
+      } ]));
+    });
+
+    it('will append an offer with the worst price', function() {
+      var book = createBook();
+
+      book.notify(transaction([ {
+        CreatedNode: {
+          LedgerEntryType: 'Offer',
+          LedgerIndex: 'D1',
+          NewFields: {
+            Account: ISSUER,
+            TakerGets: usd(1),
+            TakerPays: '30000000'
+          }
+        }
+      } ]));
+
+      assert.strictEqual(book.offersSync()[4].index, 'D1');
+    });
+
+    it('will be emitted when an offer is consumed', function(done) {
+      var book = createBook();
+
+      book.once('depth', function(depth) {
+        assert.deepEqual(levels(depth), [
+          [ '2', '15', '30', '15', 2 ],
+          [ '2.1', '5', '10.5', '20', 1 ]
+        ]);
+        done();
+      });
+
+      book.notify(transaction([ {
+        DeletedNode: {
+          LedgerEntryType: 'Offer',
+          LedgerIndex: 'C1',
+          PreviousFields: {
+            TakerGets: usd(10),
+            TakerPays: '30000000'
+          },
+          FinalFields: {
+            Account: CAROL,
+            TakerGets: usd(0),
+            TakerPays: '0'
+          }
+        }
+      } ]));
+    });
+
+    it('will reflect the balance of an offer owner', function(done) {
+      var book = createBook();
+
+      book.once('depth', function(depth) {
+        assert.deepEqual(levels(depth), [
+          [ '2', '15', '30', '15', 2 ],
+          [ '2.1', '10', '21', '25', 1 ],
+          [ '3', '10', '30', '35', 1 ]
+        ]);
+        done();
+      });
+
+      // Alice holds the low end of the trust line
+      book.notify(transaction([ {
+        ModifiedNode: {
+          LedgerEntryType: 'RippleState',
+          LedgerIndex: 'R1',
+          PreviousFields: {
+            Balance: usd(15)
+          },
+          FinalFields: {
+            Balance: usd(25),
+            LowLimit: { value: '100', currency: 'USD', issuer: ALICE },
+            HighLimit: usd(0)
+          }
+        }
+      } ]));
+    });
+
+    it('will ignore balances in other currencies', function() {
+      var book = createBook();
+      var emitted = false;
+
+      book.on('depth', function() {
+        emitted = true;
+      });
+
+      book.notify(transaction([ {
+        ModifiedNode: {
+          LedgerEntryType: 'AccountRoot',
+          LedgerIndex: 'R1',
+          FinalFields: {
+            Account: ALICE,
+            Balance: '1000000000',
+            OwnerCount: 2
+          }
+        }
+      } ]));
+
+      assert(!emitted);
+    });
+  });
+
+  describe('STR book', function() {
+    it('will subtract the reserve from the balance of an owner', function() {
+      var book = new OrderBook(createRemote(), 'STR', null, 'USD', ISSUER, 'STR:USD/' + ISSUER);
+
+      book._setOffers([ {
+        index: 'A1',
+        Account: ALICE,
+        TakerGets: '100000000',
+        TakerPays: usd(10)
+      } ]);
+
+      book.notify(transaction([ {
+        ModifiedNode: {
+          LedgerEntryType: 'AccountRoot',
+          LedgerIndex: 'R1',
+          FinalFields: {
+            Account: ALICE,
+            Balance: '60000000',
+            OwnerCount: 2
+          }
+        }
+      } ]));
+
+      var depth = book.depth();
+
+      assert.strictEqual(depth.levels[0].price, '0.1');
+      assert.strictEqual(depth.levels[0].taker_gets.to_human(), '30');
+      assert.strictEqual(depth.levels[0].taker_pays.to_text(), '3');
+    });
+  });
+});
+
+// vim:sw=2:sts=2:ts=8:et
@@ -0,0 +1,190 @@
+var assert     = require('assert');
+var async      = require('async');
+var utils      = require('./testutils');
+var Remote     = utils.load_module('remote').Remote;
+var MockServer = utils.load_module('mockserver').MockServer;
+var config     = require('./testutils').get_config();
+
+var ACCOUNT = 'ganVp9o5emfzpwrG5QVUXqMv8AgLcdvySb';
+
+describe('Request#quorum', function() {
+  var mocks, remote, requests;
+
+  beforeEach(function(done) {
+    requests = [ ];
+
+    // Closed and validated ledgers of each server
+    mocks = [ [ 100, 98 ], [ 100, 99 ], [ 101, 99 ] ].map(function(ledgers) {
+      var mock = new MockServer({
+        ledger_index: ledgers[0],
+        validated_ledger_index: ledgers[1]
+      });
+
+      mock.setAccount(ACCOUNT, { Balance: '1000000000', Sequence: 5 });
+
+      mock.on('request', function(message) {
+        if (message.command === 'account_info') {
+          requests.push(message);
+        }
+      });
+
+      return mock;
+    });
+
+    async.map(mocks, function(mock, callback) {
+      mock.listen(callback);
+    }, function(err, urls) {
+      assert.ifError(err);
+
+      remote = new Remote({ servers: urls });
+      remote.once('ready', done);
+      remote.connect();
+    });
+  });
+
+  afterEach(function(done) {
+    remote.disconnect();
+
+    async.each(mocks, function(mock, callback) {
+      mock.close(callback);
+    }, done);
+  });
+
+  it('Invalid quorum', function() {
+    assert.throws(function() {
+      remote.requestAccountInfo(ACCOUNT).quorum(0);
+    }, TypeError);
+  });
+
+  it('Resolve when servers agree', function(done) {
+    remote.requestAccountInfo(ACCOUNT).quorum(3).callback(function(err, res) {
+      assert.ifError(err);
+      assert.strictEqual(res.account_data.Balance, '1000000000');
+      assert.strictEqual(requests.length, 3);
+
+      // The last ledger validated by every server
+      requests.forEach(function(message) {
+        assert.strictEqual(message.ledger_index, 98);
+      });
+
+      done();
+    });
+  });
+
+  it('Compare at the ledger of the request', function(done) {
+    var request = remote.requestAccountInfo(ACCOUNT);
+
+    request.ledgerIndex(90);
+    request.quorum(2).callback(function(err) {
+      assert.ifError(err);
+      assert.strictEqual(requests[0].ledger_index, 90);
+      done();
+    });
+  });
+
+  it('Compare at the validated ledger - validated ledgers unknown', function(done) {
+    remote._servers.forEach(function(server) {
+      server._lastValidatedIndex = NaN;
+    });
+
+    remote.requestAccountInfo(ACCOUNT).quorum(2).callback(function(err, res) {
+      assert.ifError(err);
+      assert.strictEqual(res.ledger_index, 99);
+
+      requests.forEach(function(message) {
+        assert.strictEqual(message.ledger_index, 'validated');
+      });
+
+      done();
+    });
+  });
+
+  it('Reject results for different validated ledgers', function(done) {
+    remote._servers.forEach(function(server) {
+      server._lastValidatedIndex = NaN;
+    });
+
+    remote.requestAccountInfo(ACCOUNT).quorum(3).callback(function(err) {
+      assert.strictEqual(err.error, 'quorumNotReached');
+      assert.strictEqual(err.discrepancy.ledger_index, 'validated');
+      done();
+    });
+  });
+
+  it('Resolve when a quorum agrees', function(done) {
+    mocks[2].setAccount(ACCOUNT, { Balance: '2000000000' });
+
+    remote.requestAccountInfo(ACCOUNT).quorum(2).callback(function(err, res) {
+      assert.ifError(err);
+      assert.strictEqual(res.account_data.Balance, '1000000000');
+      done();
+    });
+  });
+
+  it('Reject when servers disagree', function(done) {
+    mocks[1].setAccount(ACCOUNT, { Balance: '2000000000' });
+    mocks[2].setAccount(ACCOUNT, { Balance: '3000000000' });
+
+    remote.requestAccountInfo(ACCOUNT).quorum(2).callback(function(err, res) {
+      assert.strictEqual(err.error, 'quorumNotReached');
+
+      var discrepancy = err.discrepancy;
+      assert.strictEqual(discrepancy.quorum, 2);
+      assert.strictEqual(discrepancy.ledger_index, 98);
+      assert.deepEqual(discrepancy.responses.map(function(response) {
+        return response.result.account_data.Balance;
+      }).sort(), [ '1000000000', '2000000000', '3000000000' ]);
+      done();
+    });
+  });
+
+  it('Compare the selected part of results', function(done) {
+    mocks[1].setAccount(ACCOUNT, { Sequence: 6 });
+
+    remote.requestAccountInfo(ACCOUNT).quorum(3, {
+      select: function(res) {
+        return res.account_data.Balance;
+      }
+    }).callback(function(err, res) {
+      assert.ifError(err);
+      done();
+    });
+  });
+
+  it('Count errors as disagreement', function(done) {
+    mocks[0].handle('account_info', function() {
+      return { error: 'tooBusy' };
+    });
+
+    remote.requestAccountInfo(ACCOUNT).quorum(3).callback(function(err) {
+      assert.strictEqual(err.error, 'quorumNotReached');
+
+      var errors = err.discrepancy.responses.filter(function(response) {
+        return response.error;
+      });
+
+      assert.strictEqual(errors.length, 1);
+      assert.strictEqual(errors[0].server, mocks[0].url);
+      done();
+    });
+  });
+
+  it('Ask a number of servers', function(done) {
+    remote.requestAccountInfo(ACCOUNT).quorum(2, { servers: 2 }).callback(function(err) {
+      assert.ifError(err);
+      assert.strictEqual(requests.length, 2);
+      done();
+    });
+  });
+
+  it('Reject without enough servers', function(done) {
+    remote.requestAccountInfo(ACCOUNT).quorum(4).callback(function(err) {
+      assert.strictEqual(err.error, 'quorumNotReached');
+      assert.strictEqual(err.discrepancy.responses.length, 0);
+      assert.strictEqual(requests.length, 0);
+      done();
+    });
+  });
+});
+
+// vim:sw=2:sts=2:ts=8:et
@@ -3,6 +3,7 @@ var utils = require('./testutils');
 var Request = utils.load_module('request').Request;
 var Remote = utils.load_module('remote').Remote;
 var Server = utils.load_module('server').Server;
+var RippleError = utils.load_module('rippleerror').RippleError;
 
 function makeServer(url) {
   var server = new Server(new process.EventEmitter(), url);
@@ -198,6 +199,112 @@ describe('Request', function() {
     });
   });
 
+  it('Promise API', function(done) {
+    var server = makeServer('wss://localhost:5006');
+
+    server._request = function(req) {
+      assert(req instanceof Request);
+      assert.strictEqual(typeof req.message, 'object');
+      assert.strictEqual(req.message.command, 'server_info');
+      req.emit('success', SERVER_INFO);
+    };
+
+    var remote = new Remote();
+    remote._connected = true;
+    remote._servers = [ server ];
+
+    var request = new Request(remote, 'server_info');
+
+    request.promise().then(function(res) {
+      assert.deepEqual(res, SERVER_INFO);
+      done();
+    }).catch(done);
+  });
+
+  it('Promise API - error', function(done) {
+    var server = makeServer('wss://localhost:5006');
+
+    server._request = function(req) {
+      req.emit('error', {
+        error: 'remoteError',
+        error_message: 'Remote reported an error.',
+        remote: { error: 'actNotFound' }
+      });
+    };
+
+    var remote = new Remote();
+    remote._connected = true;
+    remote._servers = [ server ];
+
+    var request = new Request(remote, 'account_info');
+
+    request.promise().then(function() {
+      assert(false, 'Promise should not be resolved');
+    }, function(err) {
+      assert(err instanceof RippleError);
+      assert.strictEqual(err.error, 'remoteError');
+      assert.strictEqual(err.remote.error, 'actNotFound');
+      done();
+    }).catch(done);
+  });
+
+  it('Promise API - custom success event', function(done) {
+    var server = makeServer('wss://localhost:5006');
+
+    server._request = function(req) {
+      assert.strictEqual(req.message.command, 'ledger_entry');
+      req.emit('success', { node: { Balance: '1000000' } });
+    };
+
+    var remote = new Remote();
+    remote._connected = true;
+    remote._servers = [ server ];
+
+    var request = remote.requestAccountBalance('gHb9CJAWyB4gj91VRWn96DkukG4bwdtyTh');
+
+    request.promise().then(function(balance) {
+      assert.strictEqual(balance.to_json(), '1000000');
+      done();
+    }).catch(done);
+  });
+
+  it('Promise API - timeout', function(done) {
+    var server = makeServer('wss://localhost:5006');
+
+    server._request = function(req) {
+      setTimeout(function() {
+        req.emit('success', SERVER_INFO);
+      }, 200);
+    };
+
+    var remote = new Remote();
+    remote._connected = true;
+    remote._servers = [ server ];
+
+    var request = new Request(remote, 'server_info');
+
+    request.timeout(10);
+
+    request.promise().then(function() {
+      assert(false, 'Promise should not be resolved');
+    }, function(err) {
+      assert(err instanceof RippleError);
+      assert.strictEqual(err.result, 'tejTimeout');
+      done();
+    }).catch(done);
+  });
+
+  it('Promise API - already requested', function() {
+    var remote = new Remote();
+    var request = new Request(remote, 'server_info');
+
+    request.requested = true;
+
+    assert.throws(function() {
+      request.promise();
+    }, /already been sent/);
+  });
+
   it('Set server', function(done) {
     var servers = [
       makeServer('wss://localhost:5006'),
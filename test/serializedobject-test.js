@@ -87,6 +87,117 @@ describe('Serialized object', function() {
     });
 
   })
+
+  describe('#to_json modes', function() {
+    var fixtures = require('./fixtures/binary-codec.json');
+
+    // AccountRoot with its Sequence field given the unknown id 40
+    var unknown_field = fixtures.ledger_entries[0].binary.replace('240000000C', '20280000000C');
+
+    it('Report an unknown field', function() {
+      var so = new SerializedObject(unknown_field);
+
+      assert.throws(function() {
+        so.to_json({ mode: 'strict' });
+      }, function(err) {
+        assert.strictEqual(err.message, 'Unknown field (type 2, field 40) at offset 8');
+        assert.strictEqual(err.offset, 8);
+        assert.strictEqual(err.type_id, 2);
+        assert.strictEqual(err.field_id, 40);
+        assert.deepEqual(err.partial, { LedgerEntryType: 'AccountRoot', Flags: 1048576 });
+        return true;
+      });
+
+      assert.strictEqual(so.pointer, 0);
+    });
+
+    it('Report a truncated buffer', function() {
+      var binary = fixtures.metadata[2].binary;
+      var so = new SerializedObject(binary.slice(0, binary.length - 20));
+
+      assert.throws(function() {
+        so.to_json();
+      }, function(err) {
+        assert.strictEqual(err.message, 'Buffer length exceeded (Account field Account) at offset 123');
+        assert.strictEqual(err.offset, 123);
+        assert.strictEqual(err.field_name, 'Account');
+        assert.strictEqual(err.type_id, 8);
+        assert.strictEqual(err.field_id, 1);
+        assert.strictEqual(err.partial.TransactionIndex, 1);
+
+        // Objects and arrays keep the fields decoded before the error
+        var node = err.partial.AffectedNodes[0].ModifiedNode;
+        assert.strictEqual(node.LedgerEntryType, 'AccountRoot');
+        assert.deepEqual(node.PreviousFields, { Balance: '981481999380', Sequence: 63 });
+        assert.deepEqual(node.FinalFields, { Balance: '981481999370', Flags: 0, OwnerCount: 0, Sequence: 64 });
+        return true;
+      });
+    });
+
+    it('Report a buffer that ends inside an object', function() {
+      // Ends after the PreviousTxnLgrSeq of the first ModifiedNode
+      var so = new SerializedObject(fixtures.metadata[2].binary.slice(0, 32));
+
+      assert.throws(function() {
+        so.to_json();
+      }, function(err) {
+        assert.strictEqual(err.message, 'Buffer length exceeded before the end of an Object at offset 16');
+        assert.strictEqual(err.offset, 16);
+        assert.strictEqual(err.type_id, void(0));
+        assert.deepEqual(err.partial.AffectedNodes, [ {
+          ModifiedNode: { LedgerEntryType: 'AccountRoot', PreviousTxnLgrSeq: 38129 }
+        } ]);
+        return true;
+      });
+    });
+
+    it('Report a buffer that ends inside an array', function() {
+      var binary = fixtures.metadata[2].binary;
+      var so = new SerializedObject(binary.slice(0, 294));
+
+      assert.throws(function() {
+        so.to_json();
+      }, function(err) {
+        assert.strictEqual(err.message, 'Buffer length exceeded before the end of an Array at offset 147');
+        assert.strictEqual(err.offset, 147);
+        assert.strictEqual(err.partial.AffectedNodes.length, 1);
+        return true;
+      });
+    });
+
+    it('Report a buffer that ends after an extended tag', function() {
+      // Type id in the next byte, field id 3
+      assert.throws(function() {
+        new SerializedObject('03').to_json();
+      }, function(err) {
+        assert.strictEqual(err.message, 'Buffer length exceeded (field 3) at offset 0');
+        assert.strictEqual(err.offset, 0);
+        assert.strictEqual(err.type_id, void(0));
+        assert.strictEqual(err.field_id, 3);
+        return true;
+      });
+    });
+
+    it('Keep unknown fields as hex in lenient mode', function() {
+      var expected = JSON.parse(JSON.stringify(fixtures.ledger_entries[0].json));
+      delete expected.Sequence;
+      expected.Unknown_2_40 = '0000000C';
+
+      assert.deepEqual(new SerializedObject(unknown_field).to_json({ mode: 'lenient' }), expected);
+    });
+
+    it('Report an unknown type in lenient mode', function() {
+      assert.throws(function() {
+        new SerializedObject('9F01').to_json({ mode: 'lenient' });
+      }, /Unknown type \(type 9, field 15\) at offset 0/);
+    });
+
+    it('Invalid mode', function() {
+      assert.throws(function() {
+        new SerializedObject('').to_json({ mode: 'loose' });
+      }, TypeError);
+    });
+  });
 });
 
 
@@ -480,6 +480,122 @@ describe('Server', function() {
     clearTimeout(timeout);
   });
 
+  it('Reconnect policy - invalid', function() {
+    assert.throws(function() {
+      new Server(new Remote(), {
+        host: 'localhost',
+        port: 5748,
+        reconnect_policy: { jitter: 2 }
+      });
+    }, TypeError);
+
+    assert.throws(function() {
+      new Remote({ reconnect_policy: 1000 });
+    }, TypeError);
+  });
+
+  it('Reconnect policy - merge remote and server policies', function() {
+    var remote = new Remote({ reconnect_policy: { initial_delay: 10, max_attempts: 3 } });
+    var server = new Server(remote, {
+      host: 'localhost',
+      port: 5748,
+      reconnect_policy: { max_attempts: 5 }
+    });
+
+    assert.strictEqual(server._reconnectPolicy.initial_delay, 10);
+    assert.strictEqual(server._reconnectPolicy.max_attempts, 5);
+    assert.strictEqual(server._reconnectPolicy.max_delay, Server.defaultReconnectPolicy.max_delay);
+  });
+
+  it('Reconnect delay', function() {
+    var policy = Server.reconnectPolicy({
+      initial_delay: 100,
+      factor: 3,
+      max_delay: 1000,
+      jitter: 0
+    });
+
+    assert.deepEqual([ 1, 2, 3, 4 ].map(function(attempt) {
+      return Server.reconnectDelay(policy, attempt);
+    }), [ 100, 300, 900, 1000 ]);
+
+    policy.jitter = 0.5;
+
+    for (var i=0; i<20; i++) {
+      var delay = Server.reconnectDelay(policy, 2);
+      assert(delay >= 150 && delay <= 300);
+    }
+  });
+
+  it('Retry connect - reconnecting event', function(done) {
+    var remote = new Remote({ reconnect_policy: { initial_delay: 10, jitter: 0 } });
+    var server = new Server(remote, 'ws://localhost:5748');
+    var attempts = [ ];
+
+    server._shouldConnect = true;
+
+    server.connect = function() {
+      if (attempts.length < 3) {
+        server._retryConnect();
+      } else {
+        assert.deepEqual(attempts, [ [ 10, 1 ], [ 20, 2 ], [ 40, 3 ] ]);
+        done();
+      }
+    };
+
+    server.on('reconnecting', function(timeout, attempt) {
+      attempts.push([ timeout, attempt ]);
+    });
+
+    server._retryConnect();
+  });
+
+  it('Retry connect - give up after max_attempts', function(done) {
+    var remote = new Remote({ reconnect_policy: { initial_delay: 1, max_attempts: 2 } });
+    var server = new Server(remote, 'ws://localhost:5748');
+
+    server._shouldConnect = true;
+
+    server.connect = function() {
+      server._retryConnect();
+    };
+
+    server.once('reconnect_failed', function(attempts) {
+      assert.strictEqual(attempts, 2);
+      assert.strictEqual(server._shouldConnect, false);
+      assert.strictEqual(server._retry, 0);
+      done();
+    });
+
+    server._retryConnect();
+  });
+
+  it('Retry connect - reset attempts on connect', function() {
+    var server = new Server(new Remote(), 'ws://localhost:5748');
+
+    server._retry = 4;
+    server.emit('connect');
+
+    assert.strictEqual(server._retry, 0);
+  });
+
+  it('Disconnect - cancel reconnection', function(done) {
+    var remote = new Remote({ reconnect_policy: { initial_delay: 10 } });
+    var server = new Server(remote, 'ws://localhost:5748');
+
+    server._shouldConnect = true;
+
+    server.connect = function() {
+      assert(false, 'Should not reconnect');
+    };
+
+    server._retryConnect();
+    server.disconnect();
+
+    assert.strictEqual(server._retry, 0);
+    setTimeout(done, 50);
+  });
+
   it('Handle close', function() {
     var server = new Server(new Remote(), 'ws://localhost:5748');
 
@@ -562,6 +678,31 @@ describe('Server', function() {
     server.emit('message', ledger);
   });
 
+  it('Handle message - ledgerClosed - validated ledgers', function(done) {
+    var server = new Server(new Remote(), 'ws://localhost:5748');
+
+    var ledger = {
+      type: 'ledgerClosed',
+      ledger_index: 7035610,
+      validated_ledgers: '32570-7035000,7035002-7035608'
+    };
+
+    server.once('ledger_closed', function(message) {
+      assert.strictEqual(server._lastLedgerIndex, 7035610);
+      assert.strictEqual(server._lastValidatedIndex, 7035608);
+      done();
+    });
+
+    server.emit('message', ledger);
+  });
+
+  it('Validated index', function() {
+    assert.strictEqual(Server.validatedIndex({ validated_ledgers: '32570-7035609' }), 7035609);
+    assert.strictEqual(Server.validatedIndex({ validated_ledgers: '5' }), 5);
+    assert(isNaN(Server.validatedIndex({ validated_ledgers: 'empty' })));
+    assert(isNaN(Server.validatedIndex({ ledger_index: 1 })));
+  });
+
   it('Handle message - serverStatus', function(done) {
     var remote = new Remote();
     var server = new Server(remote, 'ws://localhost:5748');
@@ -0,0 +1,325 @@
+var assert           = require('assert');
+var utils            = require('./testutils');
+var SHAMap           = utils.load_module('shamap').SHAMap;
+var SHAMapTreeNode   = utils.load_module('shamap').SHAMapTreeNode;
+var SHAMapTreeNodeLeaf = utils.load_module('shamap').SHAMapTreeNodeLeaf;
+var SerializedObject = utils.load_module('serializedobject').SerializedObject;
+var config           = require('./testutils').get_config();
+
+// Tags sharing their first nibbles, so that the map has inner nodes below
+// the root
+var TAGS = [
+  '1000000000000000000000000000000000000000000000000000000000000000',
+  '1100000000000000000000000000000000000000000000000000000000000000',
+  '1110000000000000000000000000000000000000000000000000000000000000',
+  'A000000000000000000000000000000000000000000000000000000000000000',
+  'F000000000000000000000000000000000000000000000000000000000000000'
+];
+
+function item(i) {
+  return new SerializedObject([ 0, 1, 2, i ]);
+};
+
+function build_map() {
+  var map = new SHAMap();
+
+  TAGS.forEach(function(tag, i) {
+    map.add_item(tag, item(i), SHAMapTreeNode.TYPE_ACCOUNT_STATE);
+  });
+
+  return map;
+};
+
+describe('SHAMap', function() {
+  describe('#get_item', function() {
+    it('will return the leaf holding an item', function() {
+      var map = build_map();
+
+      TAGS.forEach(function(tag, i) {
+        var leaf = map.get_item(tag);
+        assert.strictEqual(leaf.tag, tag);
+        assert.strictEqual(leaf.type, SHAMapTreeNode.TYPE_ACCOUNT_STATE);
+        assert.deepEqual(leaf.node.buffer, item(i).buffer);
+      });
+    });
+
+    it('will return null for a missing item', function() {
+      var map = build_map();
+      assert.strictEqual(map.get_item('1200000000000000000000000000000000000000000000000000000000000000'), null);
+      assert.strictEqual(map.get_item('2000000000000000000000000000000000000000000000000000000000000000'), null);
+    });
+  });
+
+  describe('#remove_item', function() {
+    it('will remove an item', function() {
+      var map = build_map();
+
+      assert.strictEqual(map.remove_item(TAGS[3]), true);
+      assert.strictEqual(map.get_item(TAGS[3]), null);
+      assert.strictEqual(map.remove_item(TAGS[3]), false);
+    });
+
+    it('will hash the same as a map built without the item', function() {
+      TAGS.forEach(function(removed, r) {
+        var map = build_map();
+        var expected = new SHAMap();
+
+        TAGS.forEach(function(tag, i) {
+          if (i !== r) {
+            expected.add_item(tag, item(i), SHAMapTreeNode.TYPE_ACCOUNT_STATE);
+          }
+        });
+
+        map.remove_item(removed);
+        assert.strictEqual(map.hash().to_hex(), expected.hash().to_hex());
+      });
+    });
+
+    it('will hash as an empty map once all items are removed', function() {
+      var map = build_map();
+
+      TAGS.forEach(function(tag) {
+        map.remove_item(tag);
+      });
+
+      assert.strictEqual(map.hash().to_hex(), new SHAMap().hash().to_hex());
+    });
+
+    it('will allow an item to be added again', function() {
+      var map = build_map();
+      var hash = map.hash().to_hex();
+
+      map.remove_item(TAGS[1]);
+      map.add_item(TAGS[1], item(1), SHAMapTreeNode.TYPE_ACCOUNT_STATE);
+      assert.strictEqual(map.hash().to_hex(), hash);
+    });
+  });
+
+  describe('#for_each', function() {
+    it('will iterate over items in order of their tags', function() {
+      var map = new SHAMap();
+      var tags = [ ];
+
+      TAGS.slice().reverse().forEach(function(tag, i) {
+        map.add_item(tag, item(i), SHAMapTreeNode.TYPE_ACCOUNT_STATE);
+      });
+
+      map.for_each(function(leaf) {
+        tags.push(leaf.tag);
+      });
+
+      assert.deepEqual(tags, TAGS);
+    });
+  });
+
+  describe('#diff', function() {
+    it('will list added, modified and deleted items', function() {
+      var map = build_map();
+      var other = build_map();
+
+      other.remove_item(TAGS[0]);
+      other.remove_item(TAGS[4]);
+      other.remove_item(TAGS[2]);
+      other.add_item(TAGS[2], item(9), SHAMapTreeNode.TYPE_ACCOUNT_STATE);
+      other.add_item('B000000000000000000000000000000000000000000000000000000000000000', item(5), SHAMapTreeNode.TYPE_ACCOUNT_STATE);
+
+      assert.deepEqual(map.diff(other), {
+        added: [ 'B000000000000000000000000000000000000000000000000000000000000000' ],
+        modified: [ TAGS[2] ],
+        deleted: [ TAGS[0], TAGS[4] ]
+      });
+    });
+
+    it('will find no differences between equal maps', function() {
+      assert.deepEqual(build_map().diff(build_map()), {
+        added: [ ],
+        modified: [ ],
+        deleted: [ ]
+      });
+    });
+
+    it('will compare with an empty map', function() {
+      assert.deepEqual(new SHAMap().diff(build_map()).added, TAGS);
+      assert.deepEqual(build_map().diff(new SHAMap()).deleted, TAGS);
+    });
+
+    it('will skip subtrees with equal hashes', function() {
+      var map = new SHAMap();
+      var other = new SHAMap();
+      var tags = [ ];
+
+      for (var i=0; i<256; i++) {
+        var tag = new SerializedObject([ i ]).hash().to_hex();
+        tags.push(tag);
+        map.add_item(tag, item(i), SHAMapTreeNode.TYPE_ACCOUNT_STATE);
+        other.add_item(tag, item(i === 100 ? 0 : i), SHAMapTreeNode.TYPE_ACCOUNT_STATE);
+      }
+
+      map.hash();
+      other.hash();
+
+      // Count the leaves hashed by the comparison
+      var hash = SHAMapTreeNodeLeaf.prototype.hash;
+      var hashed = 0;
+
+      SHAMapTreeNodeLeaf.prototype.hash = function() {
+        hashed += 1;
+        return hash.call(this);
+      };
+
+      try {
+        assert.deepEqual(map.diff(other).modified, [ tags[100] ]);
+      } finally {
+        SHAMapTreeNodeLeaf.prototype.hash = hash;
+      }
+
+      // Only leaves in the inner nodes on the path to the change, rather than
+      // all 512
+      assert(hashed <= 32, hashed);
+    });
+
+    it('will see changes made after hashing', function() {
+      var map = build_map();
+      var other = build_map();
+
+      map.hash();
+      other.hash();
+
+      other.remove_item(TAGS[1]);
+      other.add_item(TAGS[1], item(9), SHAMapTreeNode.TYPE_ACCOUNT_STATE);
+      map.remove_item(TAGS[2]);
+
+      assert.deepEqual(map.diff(other), {
+        added: [ TAGS[2] ],
+        modified: [ TAGS[1] ],
+        deleted: [ ]
+      });
+      assert.notStrictEqual(map.hash().to_hex(), build_map().hash().to_hex());
+    });
+  });
+
+  describe('#get_proof', function() {
+    it('will return the sibling hashes on the path to an item', function() {
+      var map = build_map();
+      var proof = map.get_proof(TAGS[1]);
+
+      assert.strictEqual(proof.tag, TAGS[1]);
+      assert.strictEqual(proof.type, SHAMapTreeNode.TYPE_ACCOUNT_STATE);
+      assert.strictEqual(proof.path.length, 3);
+
+      proof.path.forEach(function(siblings, depth) {
+        assert.strictEqual(siblings.length, 16);
+        assert.strictEqual(siblings[parseInt(TAGS[1][depth], 16)], null);
+      });
+    });
+
+    it('will return null for a missing item', function() {
+      var map = build_map();
+      assert.strictEqual(map.get_proof('1200000000000000000000000000000000000000000000000000000000000000'), null);
+      assert.strictEqual(map.get_proof('2000000000000000000000000000000000000000000000000000000000000000'), null);
+    });
+  });
+
+  describe('.verify_proof', function() {
+    it('will verify a proof for each item', function() {
+      var map = build_map();
+      var root_hash = map.hash().to_hex();
+
+      TAGS.forEach(function(tag, i) {
+        assert(SHAMap.verify_proof(map.get_proof(tag), root_hash, item(i)));
+      });
+    });
+
+    it('will survive a JSON round trip', function() {
+      var map = build_map();
+      var proof = JSON.parse(JSON.stringify(map.get_proof(TAGS[2])));
+      assert(SHAMap.verify_proof(proof, map.hash(), item(2)));
+    });
+
+    it('will reject modified item data', function() {
+      var map = build_map();
+      assert(!SHAMap.verify_proof(map.get_proof(TAGS[0]), map.hash(), item(9)));
+    });
+
+    it('will reject a different root hash', function() {
+      var map = build_map();
+      var other = build_map();
+
+      other.add_item('B000000000000000000000000000000000000000000000000000000000000000', item(5), SHAMapTreeNode.TYPE_ACCOUNT_STATE);
+
+      assert(!SHAMap.verify_proof(map.get_proof(TAGS[0]), other.hash(), item(0)));
+    });
+
+    it('will reject a modified proof', function() {
+      var map = build_map();
+      var proof = map.get_proof(TAGS[0]);
+
+      proof.path[0][10] = proof.path[0][15];
+      assert(!SHAMap.verify_proof(proof, map.hash(), item(0)));
+
+      proof = map.get_proof(TAGS[0]);
+      proof.tag = TAGS[1];
+      assert(!SHAMap.verify_proof(proof, map.hash(), item(0)));
+
+      proof = map.get_proof(TAGS[0]);
+      proof.path.pop();
+      assert(!SHAMap.verify_proof(proof, map.hash(), item(0)));
+    });
+
+    it('will reject a malformed proof', function() {
+      var map = build_map();
+      var proof = map.get_proof(TAGS[0]);
+
+      assert(!SHAMap.verify_proof(null, map.hash(), item(0)));
+      assert(!SHAMap.verify_proof({ tag: TAGS[0] }, map.hash(), item(0)));
+
+      proof.path[1] = proof.path[1].slice(1);
+      assert(!SHAMap.verify_proof(proof, map.hash(), item(0)));
+
+      proof = map.get_proof(TAGS[0]);
+      proof.path[1][15] = 'XYZ';
+      assert(!SHAMap.verify_proof(proof, map.hash(), item(0)));
+
+      proof = map.get_proof(TAGS[0]);
+      assert(!SHAMap.verify_proof(proof, map.hash(), item(0), 99));
+    });
+
+    it('will reject a forged proof for a transaction leaf', function() {
+      // A leaf without metadata hashes to its tag, so a forged proof can use
+      // the hash of a child of the root as the tag, if the hash starts with
+      // the slot of the child. Vary the items until one does.
+      var map, hashes, slot;
+
+      for (var seed=0; slot === void(0); seed++) {
+        map = new SHAMap();
+
+        TAGS.forEach(function(tag, i) {
+          map.add_item(tag, new SerializedObject([ 0, 1, seed, i ]), SHAMapTreeNode.TYPE_ACCOUNT_STATE);
+        });
+
+        hashes = map.root.slot_hashes();
+
+        map.root.children().forEach(function(child) {
+          var hash = child.hash().to_hex();
+
+          if (slot === void(0) && map.root.get_node(hash[0]) === child) {
+            slot = parseInt(hash[0], 16);
+          }
+        });
+      }
+
+      var proof = {
+        tag: hashes[slot].to_hex(),
+        type: SHAMapTreeNode.TYPE_TRANSACTION_NM,
+        path: [ hashes.map(function(hash, i) {
+          return i === slot ? null : hash.to_hex();
+        }) ]
+      };
+
+      assert(!SHAMap.verify_proof(proof, map.hash(), item(0)));
+      assert(!SHAMap.verify_proof(proof, map.hash(), item(0), SHAMapTreeNode.TYPE_TRANSACTION_NM));
+    });
+  });
+});
+
+// vim:sw=2:sts=2:ts=8:et
@@ -0,0 +1,232 @@
+var assert        = require('assert');
+var path          = require('path');
+var child_process = require('child_process');
+var extend        = require('extend');
+
+var SCRIPT  = path.join(__dirname, '..', 'bin', 'stellar-sign.js');
+
+var ACCOUNT     = 'ganVp9o5emfzpwrG5QVUXqMv8AgLcdvySb';
+var SECRET      = 's3q5ZGX2ScQK2rJ4JATp7rND6X5npG3De8jMbB7tuvm2HAVHcCN';
+var DESTINATION = 'gMQoBDY5oSZyygjxUQBjjasVVq9BgJN5AE';
+
+var TX_JSON = {
+  Flags: 0,
+  TransactionType: 'Payment',
+  Account: ACCOUNT,
+  Destination: DESTINATION,
+  Amount: '10',
+  DestinationTag: 5,
+  Fee: '10',
+  Sequence: 1
+};
+
+var TX_BLOB = '120000220000000024000000012E0000000561400000000000000A68400000000000000A7320BE3900393891A2A2244E28A82C43BA94CA94DD6BFE36D523576A22BFF86055D474409BD43813D34AD224976B3C04DEE08CD73E162ACE7B1C2DFE04A568BC1D0D71263D321A4F3CE083FD09882141EB0708CF982E2EA9A1FC77B5E45F72FFEF69820C811437B1B26BE3C91C55D51586C3F0E5C4B03E9CEA7F8314DFE2A0F27ECBFC1B04C5CC527AEF7D9F7389CFAB';
+var TX_HASH = '70514166F67D319B8C8B44FE7219C83A9F88A066F9AC28FCF7C05F49A8692000';
+
+// Run stellar-sign with arguments, and input on stdin
+function run(args, options, callback) {
+  if (typeof options === 'function') {
+    callback = options;
+    options = { };
+  }
+
+  var env = extend({ }, process.env);
+  delete env.STELLAR_SECRET;
+
+  if (options.secret) {
+    env.STELLAR_SECRET = options.secret;
+  }
+
+  var child = child_process.spawn(process.execPath, [ SCRIPT ].concat(args), { env: env });
+  var stdout = '';
+  var stderr = '';
+
+  child.stdout.setEncoding('utf8');
+  child.stderr.setEncoding('utf8');
+  child.stdout.on('data', function(data) { stdout += data; });
+  child.stderr.on('data', function(data) { stderr += data; });
+
+  child.on('close', function(code) {
+    callback({
+      code: code,
+      stdout: stdout,
+      stderr: stderr,
+      // Drop warnings of the runtime
+      error: stderr.split('\n').filter(function(line) {
+        return /^Error: /.test(line);
+      })
+    });
+  });
+
+  child.stdin.end(options.input || '');
+};
+
+describe('stellar-sign', function() {
+  this.timeout(20000);
+
+  describe('build', function() {
+    it('Build a payment', function(done) {
+      run([ 'build', 'payment',
+        '--account', ACCOUNT,
+        '--destination', DESTINATION,
+        '--amount', '10',
+        '--destination-tag', '5',
+        '--fee', '10',
+        '--sequence', '1' ], function(result) {
+        assert.strictEqual(result.code, 0);
+        assert.deepEqual(JSON.parse(result.stdout), TX_JSON);
+        done();
+      });
+    });
+
+    it('Build a payment - invalid destination tag', function(done) {
+      run([ 'build', 'payment',
+        '--account', ACCOUNT,
+        '--destination', DESTINATION,
+        '--amount', '10',
+        '--destination-tag', 'abc' ], function(result) {
+        assert.strictEqual(result.code, 1);
+        assert.strictEqual(result.stdout, '');
+        assert.deepEqual(result.error, [ 'Error: Invalid --destination-tag: abc' ]);
+        done();
+      });
+    });
+
+    it('Build a payment - invalid sequence', function(done) {
+      run([ 'build', 'payment',
+        '--account', ACCOUNT,
+        '--destination', DESTINATION,
+        '--amount', '10',
+        '--sequence', '-1' ], function(result) {
+        assert.strictEqual(result.code, 1);
+        assert.deepEqual(result.error, [ 'Error: Invalid --sequence: -1' ]);
+        done();
+      });
+    });
+  });
+
+  describe('sign', function() {
+    it('Sign a transaction from stdin', function(done) {
+      run([ 'sign' ], {
+        secret: SECRET,
+        input: JSON.stringify(TX_JSON)
+      }, function(result) {
+        assert.strictEqual(result.code, 0);
+        assert.strictEqual(result.stdout.trim(), TX_BLOB);
+        done();
+      });
+    });
+
+    it('Sign a transaction - verbose', function(done) {
+      run([ 'sign', '-v', JSON.stringify(TX_JSON) ], {
+        secret: SECRET
+      }, function(result) {
+        var signed = JSON.parse(result.stdout);
+        assert.strictEqual(result.code, 0);
+        assert.strictEqual(signed.tx_blob, TX_BLOB);
+        assert.strictEqual(signed.hash, TX_HASH);
+        done();
+      });
+    });
+
+    it('Sign a transaction - missing secret', function(done) {
+      run([ 'sign', JSON.stringify(TX_JSON) ], function(result) {
+        assert.strictEqual(result.code, 1);
+        assert.deepEqual(result.error, [ 'Error: Missing secret, use --secret-file or STELLAR_SECRET' ]);
+        done();
+      });
+    });
+
+    it('Sign a transaction - invalid JSON', function(done) {
+      run([ 'sign' ], {
+        secret: SECRET,
+        input: '{ Account'
+      }, function(result) {
+        assert.strictEqual(result.code, 1);
+        assert.deepEqual(result.error, [ 'Error: Invalid JSON' ]);
+        done();
+      });
+    });
+  });
+
+  describe('decode', function() {
+    it('Decode a transaction from stdin', function(done) {
+      run([ 'decode' ], { input: TX_BLOB }, function(result) {
+        var tx_json = JSON.parse(result.stdout);
+        assert.strictEqual(result.code, 0);
+        assert.strictEqual(tx_json.Account, ACCOUNT);
+        assert.strictEqual(tx_json.DestinationTag, 5);
+        assert.strictEqual(typeof tx_json.TxnSignature, 'string');
+        done();
+      });
+    });
+
+    it('Decode a transaction - invalid blob', function(done) {
+      run([ 'decode', 'XYZ' ], function(result) {
+        assert.strictEqual(result.code, 1);
+        assert.deepEqual(result.error, [ 'Error: Invalid transaction blob' ]);
+        done();
+      });
+    });
+
+    it('Decode a transaction - truncated blob from stdin', function(done) {
+      run([ 'decode' ], { input: '1200\n' }, function(result) {
+        assert.strictEqual(result.code, 1);
+        assert.strictEqual(result.stdout, '');
+        assert.deepEqual(result.error, [ 'Error: Buffer length exceeded (Int16 field TransactionType) at offset 0' ]);
+        assert(!/^\s+at /m.test(result.stderr));
+        done();
+      });
+    });
+  });
+
+  describe('verify', function() {
+    it('Verify a signed transaction', function(done) {
+      run([ 'verify', TX_BLOB ], function(result) {
+        assert.strictEqual(result.code, 0);
+        assert.strictEqual(result.stdout.trim(), 'Signature is valid, signed by ' + ACCOUNT);
+        done();
+      });
+    });
+
+    it('Verify a transaction - tampered', function(done) {
+      // Amount of 11 stroops rather than 10
+      var tampered = TX_BLOB.replace('61400000000000000A', '61400000000000000B');
+
+      run([ 'verify' ], { input: tampered }, function(result) {
+        assert.strictEqual(result.code, 1);
+        assert.strictEqual(result.stdout, '');
+        assert.strictEqual(result.error.length, 1);
+        done();
+      });
+    });
+
+    it('Verify a transaction - unsigned', function(done) {
+      run([ 'verify' ], { input: JSON.stringify(TX_JSON) }, function(result) {
+        assert.strictEqual(result.code, 1);
+        assert.strictEqual(result.error.length, 1);
+        done();
+      });
+    });
+  });
+
+  describe('hash', function() {
+    it('Hash a signed transaction', function(done) {
+      run([ 'hash', TX_BLOB ], function(result) {
+        assert.strictEqual(result.code, 0);
+        assert.strictEqual(result.stdout.trim(), TX_HASH);
+        done();
+      });
+    });
+
+    it('Hash a transaction - invalid JSON from stdin', function(done) {
+      run([ 'hash' ], { input: '{ "Account": ' }, function(result) {
+        assert.strictEqual(result.code, 1);
+        assert.deepEqual(result.error, [ 'Error: Invalid JSON' ]);
+        done();
+      });
+    });
+  });
+});
+
+// vim:sw=2:sts=2:ts=8:et
@@ -0,0 +1,328 @@
+var assert          = require('assert');
+var fs              = require('fs');
+var os              = require('os');
+var path            = require('path');
+var utils           = require('./testutils');
+var Storage         = utils.load_module('storage').Storage;
+var MemoryStorage   = utils.load_module('storage').MemoryStorage;
+var KeyValueStorage = utils.load_module('storage').KeyValueStorage;
+var FileStorage     = utils.load_module('storage').FileStorage;
+var Remote          = utils.load_module('remote').Remote;
+var Transaction     = utils.load_module('transaction').Transaction;
+var config          = require('./testutils').get_config();
+
+function summary(sequence, options) {
+  var transaction = new Transaction();
+
+  transaction.payment('ganVp9o5emfzpwrG5QVUXqMv8AgLcdvySb', 'gMQoBDY5oSZyygjxUQBjjasVVq9BgJN5AE', '1000000');
+  transaction.tx_json.Sequence = sequence;
+  transaction.submittedIDs = [ 'ID' + sequence ];
+  transaction.submitIndex = 100;
+  transaction.state = 'pending';
+
+  if (options && options.finalized) {
+    transaction.finalized = true;
+    transaction.state = 'validated';
+  }
+
+  return transaction.summary();
+};
+
+// Asynchronous key-value store, keeping values in memory
+function MockStore() {
+  this.values = { };
+  this.writes = 0;
+};
+
+MockStore.prototype.get = function(key, callback) {
+  var self = this;
+  setImmediate(function() {
+    callback(null, self.values.hasOwnProperty(key) ? self.values[key] : null);
+  });
+};
+
+MockStore.prototype.set = function(key, value, callback) {
+  var self = this;
+  setImmediate(function() {
+    self.values[key] = value;
+    self.writes++;
+    callback(null);
+  });
+};
+
+function sequences(transactions) {
+  return transactions.map(function(tx) {
+    return tx.tx_json.Sequence;
+  });
+};
+
+describe('Storage', function() {
+  it('Abstract methods', function() {
+    var storage = new Storage();
+
+    assert.throws(function() {
+      storage.getPendingTransactions(function() {});
+    }, /unimplemented/);
+
+    assert.throws(function() {
+      storage.saveTransaction(summary(1));
+    }, /unimplemented/);
+  });
+
+  it('Transaction key', function() {
+    assert.strictEqual(Storage.getKey(summary(3)), 'ganVp9o5emfzpwrG5QVUXqMv8AgLcdvySb:3');
+    assert.strictEqual(Storage.getKey({ tx_json: { Account: 'ganVp9o5emfzpwrG5QVUXqMv8AgLcdvySb' } }), null);
+    assert.strictEqual(Storage.getKey(void(0)), null);
+  });
+
+  describe('MemoryStorage', function() {
+    it('Save and get pending transactions', function(done) {
+      var storage = new MemoryStorage();
+
+      storage.saveTransaction(summary(2));
+      storage.saveTransaction(summary(1));
+
+      storage.getPendingTransactions(function(err, transactions) {
+        assert.ifError(err);
+        assert.deepEqual(sequences(transactions), [ 1, 2 ]);
+        assert.deepEqual(transactions[0].submittedIDs, [ 'ID1' ]);
+        assert.strictEqual(transactions[0].state, 'pending');
+        done();
+      });
+    });
+
+    it('Replace a saved transaction', function(done) {
+      var storage = new MemoryStorage();
+      var updated = summary(1);
+
+      storage.saveTransaction(summary(1));
+      updated.submittedIDs = [ 'ID1-resigned', 'ID1' ];
+      storage.saveTransaction(updated);
+
+      storage.getPendingTransactions(function(err, transactions) {
+        assert.strictEqual(transactions.length, 1);
+        assert.deepEqual(transactions[0].submittedIDs, [ 'ID1-resigned', 'ID1' ]);
+        done();
+      });
+    });
+
+    it('Remove a finalized transaction', function(done) {
+      var storage = new MemoryStorage();
+
+      storage.saveTransaction(summary(1));
+      storage.saveTransaction(summary(2));
+      storage.saveTransaction(summary(1, { finalized: true }));
+
+      storage.getPendingTransactions(function(err, transactions) {
+        assert.deepEqual(sequences(transactions), [ 2 ]);
+        done();
+      });
+    });
+
+    it('Copy saved transactions', function(done) {
+      var storage = new MemoryStorage();
+      var saved = summary(1);
+
+      storage.saveTransaction(saved);
+      saved.tx_json.Fee = '1000';
+
+      storage.getPendingTransactions(function(err, transactions) {
+        assert.notStrictEqual(transactions[0].tx_json.Fee, '1000');
+        done();
+      });
+    });
+
+    it('Save a transaction without sequence', function(done) {
+      var storage = new MemoryStorage();
+      var saved = summary(1);
+
+      delete saved.tx_json.Sequence;
+
+      storage.saveTransaction(saved, function(err) {
+        assert(err instanceof Error);
+        done();
+      });
+    });
+
+    it('Save and get a batch', function(done) {
+      var storage = new MemoryStorage();
+      var batch = { id: 'payouts', items: [ { index: 0, sequence: 1 } ] };
+
+      storage.saveBatch(batch);
+      batch.items[0].state = 'validated';
+
+      storage.getBatch('payouts', function(err, saved) {
+        assert.ifError(err);
+        assert.deepEqual(saved, { id: 'payouts', items: [ { index: 0, sequence: 1 } ] });
+
+        storage.getBatch('other', function(err, saved) {
+          assert.strictEqual(saved, null);
+          done();
+        });
+      });
+    });
+
+    it('Save a batch without id', function(done) {
+      new MemoryStorage().saveBatch({ items: [ ] }, function(err) {
+        assert(err instanceof Error);
+        done();
+      });
+    });
+  });
+
+  describe('KeyValueStorage', function() {
+    it('Invalid store', function() {
+      assert.throws(function() {
+        new KeyValueStorage({ get: function() {} });
+      }, TypeError);
+    });
+
+    it('Persist pending transactions', function(done) {
+      var store = new MockStore();
+      var storage = new KeyValueStorage(store);
+
+      storage.saveTransaction(summary(1));
+      storage.saveTransaction(summary(2), function(err) {
+        assert.ifError(err);
+
+        // A restarted process
+        var restored = new KeyValueStorage(store);
+
+        restored.getPendingTransactions(function(err, transactions) {
+          assert.ifError(err);
+          assert.deepEqual(sequences(transactions), [ 1, 2 ]);
+          done();
+        });
+      });
+    });
+
+    it('Persist batches', function(done) {
+      var store = new MockStore();
+      var storage = new KeyValueStorage(store);
+
+      storage.saveTransaction(summary(1));
+      storage.saveBatch({ id: 'payouts', items: [ ] }, function(err) {
+        assert.ifError(err);
+
+        var restored = new KeyValueStorage(store);
+
+        restored.getPendingTransactions(function(err, transactions) {
+          assert.ifError(err);
+          assert.deepEqual(sequences(transactions), [ 1 ]);
+
+          restored.getBatch('payouts', function(err, batch) {
+            assert.ifError(err);
+            assert.deepEqual(batch, { id: 'payouts', items: [ ] });
+            done();
+          });
+        });
+      });
+    });
+
+    it('Serialize writes', function(done) {
+      var store = new MockStore();
+      var storage = new KeyValueStorage(store, { key: 'pending' });
+      var saved = 0;
+
+      function transactionSaved(err) {
+        assert.ifError(err);
+
+        if (++saved < 3) {
+          return;
+        }
+
+        var stored = JSON.parse(store.values.pending);
+        assert.deepEqual(Object.keys(stored).sort(), [
+          'ganVp9o5emfzpwrG5QVUXqMv8AgLcdvySb:1',
+          'ganVp9o5emfzpwrG5QVUXqMv8AgLcdvySb:3'
+        ]);
+        assert(store.writes <= 3);
+        done();
+      };
+
+      storage.saveTransaction(summary(1), transactionSaved);
+      storage.saveTransaction(summary(2), transactionSaved);
+      storage.saveTransaction(summary(3), transactionSaved);
+      storage.saveTransaction(summary(2, { finalized: true }));
+    });
+
+    it('Load stored transactions before saving', function(done) {
+      var store = new MockStore();
+
+      store.values[KeyValueStorage.DEFAULT_KEY] = JSON.stringify({
+        'ganVp9o5emfzpwrG5QVUXqMv8AgLcdvySb:1': summary(1)
+      });
+
+      var storage = new KeyValueStorage(store);
+
+      storage.saveTransaction(summary(2), function(err) {
+        assert.ifError(err);
+
+        storage.getPendingTransactions(function(err, transactions) {
+          assert.deepEqual(sequences(transactions), [ 1, 2 ]);
+          done();
+        });
+      });
+    });
+
+    it('Invalid stored value', function(done) {
+      var store = new MockStore();
+      store.values[KeyValueStorage.DEFAULT_KEY] = '{';
+
+      new KeyValueStorage(store).getPendingTransactions(function(err) {
+        assert(err instanceof Error);
+        done();
+      });
+    });
+  });
+
+  describe('FileStorage', function() {
+    var file = path.join(os.tmpdir(), 'stellar-lib-storage-test-' + process.pid + '.json');
+
+    afterEach(function() {
+      if (fs.existsSync(file)) {
+        fs.unlinkSync(file);
+      }
+    });
+
+    it('Missing file', function(done) {
+      new FileStorage(file).getPendingTransactions(function(err, transactions) {
+        assert.ifError(err);
+        assert.deepEqual(transactions, [ ]);
+        done();
+      });
+    });
+
+    it('Persist pending transactions', function(done) {
+      var storage = new FileStorage(file);
+
+      storage.saveTransaction(summary(1));
+      storage.saveTransaction(summary(2), function(err) {
+        assert.ifError(err);
+        assert(!fs.existsSync(file + '.tmp'));
+
+        new FileStorage(file).getPendingTransactions(function(err, transactions) {
+          assert.ifError(err);
+          assert.deepEqual(sequences(transactions), [ 1, 2 ]);
+          done();
+        });
+      });
+    });
+  });
+
+  describe('Remote', function() {
+    it('Invalid storage', function() {
+      assert.throws(function() {
+        new Remote({ storage: { getPendingTransactions: function() {} } });
+      }, TypeError);
+    });
+
+    it('Valid storage', function() {
+      var storage = new MemoryStorage();
+      var remote = new Remote({ storage: storage });
+      assert.strictEqual(remote.storage, storage);
+    });
+  });
+});
+
+// vim:sw=2:sts=2:ts=8:et
@@ -4,6 +4,7 @@ var Amount      = utils.load_module('amount').Amount;
 var Transaction = utils.load_module('transaction').Transaction;
 var Remote      = utils.load_module('remote').Remote;
 var Server      = utils.load_module('server').Server;
+var Seed        = utils.load_module('seed').Seed;
 
 var transactionResult = {
   engine_result: 'tesSUCCESS',
@@ -512,6 +513,152 @@ describe('Transaction', function() {
     done();
   });
 
+  it('Complete transaction - offline', function() {
+    var transaction = new Transaction();
+    transaction._secret = 's3q5ZGX2ScQK2rJ4JATp7rND6X5npG3De8jMbB7tuvm2HAVHcCN';
+    transaction.tx_json.Account = 'ganVp9o5emfzpwrG5QVUXqMv8AgLcdvySb';
+    transaction.tx_json.Fee = '10';
+    transaction.tx_json.Sequence = 1;
+
+    assert(transaction.complete());
+    assert.strictEqual(transaction.tx_json.SigningPubKey, 'BE3900393891A2A2244E28A82C43BA94CA94DD6BFE36D523576A22BFF86055D4');
+    assert.strictEqual(transaction.tx_json.Fee, '10');
+  });
+
+  it('Complete transaction - offline, missing fee', function(done) {
+    var transaction = new Transaction();
+    transaction._secret = 's3q5ZGX2ScQK2rJ4JATp7rND6X5npG3De8jMbB7tuvm2HAVHcCN';
+    transaction.tx_json.Account = 'ganVp9o5emfzpwrG5QVUXqMv8AgLcdvySb';
+    transaction.tx_json.Sequence = 1;
+
+    transaction.once('error', function(err) {
+      assert.strictEqual(err.result, 'tejFeeMissing');
+      done();
+    });
+
+    assert(!transaction.complete());
+  });
+
+  it('Complete transaction - offline, missing sequence', function(done) {
+    var transaction = new Transaction();
+    transaction._secret = 's3q5ZGX2ScQK2rJ4JATp7rND6X5npG3De8jMbB7tuvm2HAVHcCN';
+    transaction.tx_json.Account = 'ganVp9o5emfzpwrG5QVUXqMv8AgLcdvySb';
+    transaction.tx_json.Fee = '10';
+
+    transaction.once('error', function(err) {
+      assert.strictEqual(err.result, 'tejSequenceMissing');
+      done();
+    });
+
+    assert(!transaction.complete());
+  });
+
+  it('Sign transaction offline', function() {
+    var transaction = new Transaction();
+
+    var signed = transaction
+    .payment('ganVp9o5emfzpwrG5QVUXqMv8AgLcdvySb', 'gMQoBDY5oSZyygjxUQBjjasVVq9BgJN5AE', '1000000')
+    .fee(10)
+    .sequence(1)
+    .secret('s3q5ZGX2ScQK2rJ4JATp7rND6X5npG3De8jMbB7tuvm2HAVHcCN')
+    .signOffline();
+
+    assert.strictEqual(signed.tx_json.TxnSignature, '23D4E4C3F103B2686082029242A00E4AC9CAC23999F89B368F3DF55E2FEF2C17256A5B85E99FE7FCBB4ACAAC33E8DA75D92A02CF3B37FFD0AACC1081D9BE3D01');
+    assert.strictEqual(signed.tx_blob, '120000220000000024000000016140000000000F424068400000000000000A7320BE3900393891A2A2244E28A82C43BA94CA94DD6BFE36D523576A22BFF86055D4744023D4E4C3F103B2686082029242A00E4AC9CAC23999F89B368F3DF55E2FEF2C17256A5B85E99FE7FCBB4ACAAC33E8DA75D92A02CF3B37FFD0AACC1081D9BE3D01811437B1B26BE3C91C55D51586C3F0E5C4B03E9CEA7F8314DFE2A0F27ECBFC1B04C5CC527AEF7D9F7389CFAB');
+    assert.strictEqual(signed.hash, '4C17303EAB82C7FF0DA0BC3C7028092FD923E5E1265D236FF1A86DAE277046C7');
+  });
+
+  it('Sign transaction offline - with KeyPair', function() {
+    var key = Seed.from_json('masterpassphrase').get_key();
+
+    var signed = new Transaction()
+    .payment('ganVp9o5emfzpwrG5QVUXqMv8AgLcdvySb', 'gMQoBDY5oSZyygjxUQBjjasVVq9BgJN5AE', '1000000')
+    .fee('10')
+    .sequence(1)
+    .secret(key)
+    .signOffline();
+
+    assert.strictEqual(signed.tx_json.SigningPubKey, 'BE3900393891A2A2244E28A82C43BA94CA94DD6BFE36D523576A22BFF86055D4');
+    assert.strictEqual(signed.hash, '4C17303EAB82C7FF0DA0BC3C7028092FD923E5E1265D236FF1A86DAE277046C7');
+  });
+
+  it('Sign transaction offline - missing sequence', function() {
+    var transaction = new Transaction()
+    .payment('ganVp9o5emfzpwrG5QVUXqMv8AgLcdvySb', 'gMQoBDY5oSZyygjxUQBjjasVVq9BgJN5AE', '1000000')
+    .fee('10')
+    .secret('s3q5ZGX2ScQK2rJ4JATp7rND6X5npG3De8jMbB7tuvm2HAVHcCN');
+
+    assert.throws(function() {
+      transaction.signOffline();
+    }, function(err) {
+      return err.result === 'tejSequenceMissing';
+    });
+
+    assert.strictEqual(transaction.tx_json.TxnSignature, void(0));
+  });
+
+  it('Transaction from blob', function() {
+    var transaction = Transaction.from_blob('120000220000000024000000016140000000000F424068400000000000000A7320BE3900393891A2A2244E28A82C43BA94CA94DD6BFE36D523576A22BFF86055D4744023D4E4C3F103B2686082029242A00E4AC9CAC23999F89B368F3DF55E2FEF2C17256A5B85E99FE7FCBB4ACAAC33E8DA75D92A02CF3B37FFD0AACC1081D9BE3D01811437B1B26BE3C91C55D51586C3F0E5C4B03E9CEA7F8314DFE2A0F27ECBFC1B04C5CC527AEF7D9F7389CFAB');
+
+    assert.strictEqual(transaction.tx_json.TransactionType, 'Payment');
+    assert.strictEqual(transaction.tx_json.Account, 'ganVp9o5emfzpwrG5QVUXqMv8AgLcdvySb');
+    assert.strictEqual(transaction.hash(), '4C17303EAB82C7FF0DA0BC3C7028092FD923E5E1265D236FF1A86DAE277046C7');
+  });
+
+  it('Verify signature', function() {
+    var transaction = Transaction.from_blob('120000220000000024000000016140000000000F424068400000000000000A7320BE3900393891A2A2244E28A82C43BA94CA94DD6BFE36D523576A22BFF86055D4744023D4E4C3F103B2686082029242A00E4AC9CAC23999F89B368F3DF55E2FEF2C17256A5B85E99FE7FCBB4ACAAC33E8DA75D92A02CF3B37FFD0AACC1081D9BE3D01811437B1B26BE3C91C55D51586C3F0E5C4B03E9CEA7F8314DFE2A0F27ECBFC1B04C5CC527AEF7D9F7389CFAB');
+
+    assert.deepEqual(transaction.verifySignature(), {
+      verified: true,
+      signer: 'ganVp9o5emfzpwrG5QVUXqMv8AgLcdvySb'
+    });
+
+    // Verification does not modify the transaction
+    assert.strictEqual(transaction.tx_json.TxnSignature, '23D4E4C3F103B2686082029242A00E4AC9CAC23999F89B368F3DF55E2FEF2C17256A5B85E99FE7FCBB4ACAAC33E8DA75D92A02CF3B37FFD0AACC1081D9BE3D01');
+  });
+
+  it('Verify signature - modified transaction', function() {
+    var transaction = Transaction.from_blob('120000220000000024000000016140000000000F424068400000000000000A7320BE3900393891A2A2244E28A82C43BA94CA94DD6BFE36D523576A22BFF86055D4744023D4E4C3F103B2686082029242A00E4AC9CAC23999F89B368F3DF55E2FEF2C17256A5B85E99FE7FCBB4ACAAC33E8DA75D92A02CF3B37FFD0AACC1081D9BE3D01811437B1B26BE3C91C55D51586C3F0E5C4B03E9CEA7F8314DFE2A0F27ECBFC1B04C5CC527AEF7D9F7389CFAB');
+    transaction.tx_json.Amount = '2000000';
+
+    var result = transaction.verifySignature();
+    assert.strictEqual(result.verified, false);
+    assert.strictEqual(result.error, 'tejSignatureMismatch');
+  });
+
+  it('Verify signature - modified signature', function() {
+    var transaction = Transaction.from_blob('120000220000000024000000016140000000000F424068400000000000000A7320BE3900393891A2A2244E28A82C43BA94CA94DD6BFE36D523576A22BFF86055D4744023D4E4C3F103B2686082029242A00E4AC9CAC23999F89B368F3DF55E2FEF2C17256A5B85E99FE7FCBB4ACAAC33E8DA75D92A02CF3B37FFD0AACC1081D9BE3D01811437B1B26BE3C91C55D51586C3F0E5C4B03E9CEA7F8314DFE2A0F27ECBFC1B04C5CC527AEF7D9F7389CFAB');
+    transaction.tx_json.TxnSignature = transaction.tx_json.TxnSignature.replace(/^23/, '24');
+
+    var result = transaction.verifySignature();
+    assert.strictEqual(result.verified, false);
+    assert.strictEqual(result.error, 'tejSignatureMismatch');
+  });
+
+  it('Verify signature - missing SigningPubKey', function() {
+    var transaction = Transaction.from_blob('120000220000000024000000016140000000000F424068400000000000000A7320BE3900393891A2A2244E28A82C43BA94CA94DD6BFE36D523576A22BFF86055D4744023D4E4C3F103B2686082029242A00E4AC9CAC23999F89B368F3DF55E2FEF2C17256A5B85E99FE7FCBB4ACAAC33E8DA75D92A02CF3B37FFD0AACC1081D9BE3D01811437B1B26BE3C91C55D51586C3F0E5C4B03E9CEA7F8314DFE2A0F27ECBFC1B04C5CC527AEF7D9F7389CFAB');
+    delete transaction.tx_json.SigningPubKey;
+    assert.strictEqual(transaction.verifySignature().error, 'tejSigningPubKeyMissing');
+  });
+
+  it('Verify signature - missing TxnSignature', function() {
+    var transaction = Transaction.from_blob('120000220000000024000000016140000000000F424068400000000000000A7320BE3900393891A2A2244E28A82C43BA94CA94DD6BFE36D523576A22BFF86055D4744023D4E4C3F103B2686082029242A00E4AC9CAC23999F89B368F3DF55E2FEF2C17256A5B85E99FE7FCBB4ACAAC33E8DA75D92A02CF3B37FFD0AACC1081D9BE3D01811437B1B26BE3C91C55D51586C3F0E5C4B03E9CEA7F8314DFE2A0F27ECBFC1B04C5CC527AEF7D9F7389CFAB');
+    delete transaction.tx_json.TxnSignature;
+    assert.strictEqual(transaction.verifySignature().error, 'tejTxnSignatureMissing');
+  });
+
+  it('Verify signature - invalid SigningPubKey', function() {
+    var transaction = Transaction.from_blob('120000220000000024000000016140000000000F424068400000000000000A7320BE3900393891A2A2244E28A82C43BA94CA94DD6BFE36D523576A22BFF86055D4744023D4E4C3F103B2686082029242A00E4AC9CAC23999F89B368F3DF55E2FEF2C17256A5B85E99FE7FCBB4ACAAC33E8DA75D92A02CF3B37FFD0AACC1081D9BE3D01811437B1B26BE3C91C55D51586C3F0E5C4B03E9CEA7F8314DFE2A0F27ECBFC1B04C5CC527AEF7D9F7389CFAB');
+    transaction.tx_json.SigningPubKey = transaction.tx_json.SigningPubKey.slice(2);
+    assert.strictEqual(transaction.verifySignature().error, 'tejSigningPubKeyInvalid');
+  });
+
+  it('Verify signature - invalid TxnSignature', function() {
+    var transaction = Transaction.from_blob('120000220000000024000000016140000000000F424068400000000000000A7320BE3900393891A2A2244E28A82C43BA94CA94DD6BFE36D523576A22BFF86055D4744023D4E4C3F103B2686082029242A00E4AC9CAC23999F89B368F3DF55E2FEF2C17256A5B85E99FE7FCBB4ACAAC33E8DA75D92A02CF3B37FFD0AACC1081D9BE3D01811437B1B26BE3C91C55D51586C3F0E5C4B03E9CEA7F8314DFE2A0F27ECBFC1B04C5CC527AEF7D9F7389CFAB');
+    transaction.tx_json.TxnSignature = 'XYZ';
+    assert.strictEqual(transaction.verifySignature().error, 'tejTxnSignatureInvalid');
+  });
+
   it('Get signing hash', function(done) {
     var transaction = new Transaction();
     transaction._secret = 'sh2pTicynUEG46jjR4EoexHcQEoij';
@@ -818,6 +965,28 @@ describe('Transaction', function() {
     assert.strictEqual(transaction.lastLedgerSequence, 12);
   });
 
+  it('Set Fee', function() {
+    var transaction = new Transaction();
+    assert.strictEqual(transaction.tx_json.Fee, void(0));
+    transaction.fee(12);
+    assert.strictEqual(transaction.tx_json.Fee, '12');
+    transaction.fee('15');
+    assert.strictEqual(transaction.tx_json.Fee, '15');
+    assert.throws(function() {
+      transaction.fee('1.5');
+    });
+  });
+
+  it('Set Sequence', function() {
+    var transaction = new Transaction();
+    assert.strictEqual(transaction.tx_json.Sequence, void(0));
+    transaction.sequence(7);
+    assert.strictEqual(transaction.tx_json.Sequence, 7);
+    assert.throws(function() {
+      transaction.sequence('7');
+    });
+  });
+
   it('Rewrite transaction path', function() {
     var transaction = new Transaction();
 
@@ -1498,6 +1667,172 @@ describe('Transaction', function() {
     transaction.submit(submitCallback);
     transaction.abort();
   });
+
+  describe('#validate', function() {
+    var ACCOUNT = 'ganVp9o5emfzpwrG5QVUXqMv8AgLcdvySb';
+    var DESTINATION = 'gMQoBDY5oSZyygjxUQBjjasVVq9BgJN5AE';
+    var ISSUER = 'gHb9CJAWyB4gj91VRWn96DkukG4bwdtyTh';
+
+    function usd(value) {
+      return { value: value, currency: 'USD', issuer: ISSUER };
+    };
+
+    function errors(transaction) {
+      return transaction.validate().map(function(error) {
+        return [ error.field, error.error ];
+      });
+    };
+
+    it('Valid payment', function() {
+      var transaction = new Transaction(new Remote()).payment(ACCOUNT, DESTINATION, '1000000');
+      assert.deepEqual(transaction.validate(), [ ]);
+    });
+
+    it('Unknown transaction type', function() {
+      var transaction = new Transaction(new Remote());
+      transaction.tx_json.TransactionType = 'Teleport';
+      assert.deepEqual(errors(transaction), [ [ 'TransactionType', 'temUNKNOWN' ] ]);
+    });
+
+    it('Missing fields', function() {
+      var transaction = new Transaction(new Remote()).payment(ACCOUNT, DESTINATION, '1');
+      delete transaction.tx_json.Amount;
+      assert.deepEqual(errors(transaction), [ [ 'Amount', 'temMALFORMED' ] ]);
+    });
+
+    it('Missing fields - offline', function() {
+      var transaction = new Transaction().payment(ACCOUNT, DESTINATION, '1');
+
+      assert.deepEqual(errors(transaction), [
+        [ 'Sequence', 'temMALFORMED' ],
+        [ 'Fee', 'temMALFORMED' ]
+      ]);
+
+      transaction.fee(10).sequence(1);
+      assert.deepEqual(errors(transaction), [ ]);
+    });
+
+    it('Invalid amounts', function() {
+      var transaction = new Transaction(new Remote()).payment(ACCOUNT, DESTINATION, '1');
+
+      transaction.tx_json.Amount = '1.5';
+      assert.deepEqual(errors(transaction), [ [ 'Amount', 'temBAD_AMOUNT' ] ]);
+
+      transaction.tx_json.Amount = usd('-1');
+      assert.deepEqual(errors(transaction), [ [ 'Amount', 'temBAD_AMOUNT' ] ]);
+
+      transaction.tx_json.Amount = { value: '1', currency: 'STR', issuer: ISSUER };
+      assert.deepEqual(errors(transaction), [ [ 'Amount', 'temBAD_CURRENCY' ] ]);
+
+      transaction.tx_json.Amount = { value: '1', currency: 'USD', issuer: 'ggggggggggggggggggggghoLvTp' };
+      assert.deepEqual(errors(transaction), [ [ 'Amount', 'temBAD_ISSUER' ] ]);
+    });
+
+    it('Invalid accounts, fee and sequence', function() {
+      var transaction = new Transaction(new Remote()).payment(ACCOUNT, DESTINATION, '1');
+
+      transaction.tx_json.Destination = 'gInvalid';
+      transaction.tx_json.Fee = '-10';
+      transaction.tx_json.Sequence = 1.5;
+
+      assert.deepEqual(errors(transaction), [
+        [ 'Destination', 'temDST_NEEDED' ],
+        [ 'Fee', 'temBAD_FEE' ],
+        [ 'Sequence', 'temBAD_SEQUENCE' ]
+      ]);
+    });
+
+    it('Invalid flags', function() {
+      var transaction = new Transaction(new Remote()).payment(ACCOUNT, DESTINATION, usd('1'));
+
+      transaction.setFlags('PartialPayment');
+      assert.deepEqual(errors(transaction), [ ]);
+
+      transaction.tx_json.Flags |= Transaction.flags.OfferCreate.Sell;
+      assert.deepEqual(errors(transaction), [ [ 'Flags', 'temINVALID_FLAG' ] ]);
+
+      var offer = new Transaction(new Remote()).offerCreate(ACCOUNT, usd('1'), '1000000');
+      offer.setFlags([ 'ImmediateOrCancel', 'FillOrKill' ]);
+      assert.deepEqual(errors(offer), [ [ 'Flags', 'temINVALID_FLAG' ] ]);
+    });
+
+    it('Direct STR payment', function() {
+      var transaction = new Transaction(new Remote()).payment(ACCOUNT, DESTINATION, '1000000');
+
+      transaction.sendMax('2000000');
+      transaction.tx_json.Paths = [ [ { account: ISSUER } ] ];
+      transaction.setFlags('PartialPayment');
+
+      assert.deepEqual(errors(transaction), [
+        [ 'SendMax', 'temBAD_SEND_STR_MAX' ],
+        [ 'Paths', 'temBAD_SEND_STR_PATHS' ],
+        [ 'Flags', 'temBAD_SEND_STR_PARTIAL' ]
+      ]);
+    });
+
+    it('Payment to self', function() {
+      var transaction = new Transaction(new Remote()).payment(ACCOUNT, ACCOUNT, usd('1'));
+      assert.deepEqual(errors(transaction), [ [ 'Destination', 'temREDUNDANT' ] ]);
+
+      transaction.sendMax('1000000');
+      assert.deepEqual(errors(transaction), [ ]);
+    });
+
+    it('Offers and trust lines', function() {
+      var offer = new Transaction(new Remote()).offerCreate(ACCOUNT, '1000000', '2000000');
+      assert.deepEqual(errors(offer), [ [ 'TakerGets', 'temBAD_OFFER' ] ]);
+
+      offer = new Transaction(new Remote()).offerCreate(ACCOUNT, usd('1'), usd('2'));
+      assert.deepEqual(errors(offer), [ [ 'TakerGets', 'temREDUNDANT' ] ]);
+
+      var trust = new Transaction(new Remote()).trustSet(ACCOUNT, '1000000');
+      assert.deepEqual(errors(trust), [ [ 'LimitAmount', 'temBAD_LIMIT' ] ]);
+
+      trust = new Transaction(new Remote()).trustSet(ISSUER, usd('100'));
+      assert.deepEqual(errors(trust), [ [ 'LimitAmount', 'temDST_IS_SRC' ] ]);
+    });
+
+    it('Check the destination', function(done) {
+      var remote = new Remote();
+      var transaction = new Transaction(remote).payment(ACCOUNT, DESTINATION, usd('1'));
+
+      remote.requestAccountInfo = function(account, callback) {
+        assert.strictEqual(account, DESTINATION);
+        callback(null, { account_data: { Account: DESTINATION, Flags: 0x00020000 } });
+      };
+
+      transaction.validate(function(err, errors) {
+        assert.ifError(err);
+        assert.deepEqual(errors, [ {
+          field: 'DestinationTag',
+          error: 'tefDST_TAG_NEEDED',
+          message: 'Destination requires a destination tag'
+        } ]);
+
+        transaction.destinationTag(1);
+
+        transaction.validate(function(err, errors) {
+          assert.deepEqual(errors, [ ]);
+          done();
+        });
+      });
+    });
+
+    it('Check the destination - not found', function(done) {
+      var remote = new Remote();
+      var transaction = new Transaction(remote).payment(ACCOUNT, DESTINATION, usd('1'));
+
+      remote.requestAccountInfo = function(account, callback) {
+        callback({ error: 'remoteError', remote: { error: 'actNotFound' } });
+      };
+
+      transaction.validate(function(err, errors) {
+        assert.ifError(err);
+        assert.strictEqual(errors[0].error, 'tecNO_DST');
+        done();
+      });
+    });
+  });
 });
 
 // vim:sw=2:sts=2:ts=8:et
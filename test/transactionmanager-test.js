@@ -0,0 +1,527 @@
+var assert        = require('assert');
+var utils         = require('./testutils');
+var Remote        = utils.load_module('remote').Remote;
+var Transaction   = utils.load_module('transaction').Transaction;
+var TransactionManager = utils.load_module('transactionmanager').TransactionManager;
+var MemoryStorage = utils.load_module('storage').MemoryStorage;
+var MockServer    = utils.load_module('mockserver').MockServer;
+var config        = require('./testutils').get_config();
+
+var ACCOUNT     = 'ganVp9o5emfzpwrG5QVUXqMv8AgLcdvySb';
+var SECRET      = 's3q5ZGX2ScQK2rJ4JATp7rND6X5npG3De8jMbB7tuvm2HAVHcCN';
+var DESTINATION = 'gMQoBDY5oSZyygjxUQBjjasVVq9BgJN5AE';
+
+function payments(count) {
+  var result = [ ];
+
+  for (var i=0; i<count; i++) {
+    result.push({
+      destination: DESTINATION,
+      amount: String(1000000 * (i + 1)),
+      destination_tag: i
+    });
+  }
+
+  return result;
+};
+
+describe('TransactionManager#submitBatch', function() {
+  var server, remote, storage, submitted, ledgers;
+
+  beforeEach(function(done) {
+    server = new MockServer({ ledger_index: 100 });
+    server.setAccount(ACCOUNT, { Balance: '1000000000', Sequence: 5 });
+
+    submitted = [ ];
+    ledgers = [ ];
+
+    // Close a ledger once submissions stop
+    var closeTimer;
+
+    server.on('submit', function(tx_json) {
+      submitted.push(tx_json);
+      clearTimeout(closeTimer);
+      closeTimer = setTimeout(function() {
+        ledgers.push(server.closeLedger().txn_count);
+      }, 20);
+    });
+
+    storage = new MemoryStorage();
+
+    server.listen(function(err, url) {
+      assert.ifError(err);
+      done();
+    });
+  });
+
+  afterEach(function(done) {
+    remote.disconnect();
+    server.close(done);
+  });
+
+  function connect(callback) {
+    remote = new Remote({
+      servers: [ server.url ],
+      local_signing: true,
+      storage: storage,
+      reconnect_policy: { initial_delay: 10 }
+    });
+
+    remote.setSecret(ACCOUNT, SECRET);
+    remote.connect(callback);
+  };
+
+  it('Submit payments with consecutive sequences', function(done) {
+    connect(function() {
+      remote.account(ACCOUNT).submitBatch(payments(3), function(err, report) {
+        assert.ifError(err);
+
+        assert.deepEqual(submitted.map(function(tx_json) {
+          return [ tx_json.Sequence, tx_json.Amount, tx_json.DestinationTag ];
+        }), [ [ 5, '1000000', 0 ], [ 6, '2000000', 1 ], [ 7, '3000000', 2 ] ]);
+
+        assert.strictEqual(report.validated, 3);
+        assert.strictEqual(report.failed, 0);
+
+        report.items.forEach(function(item, i) {
+          assert.strictEqual(item.index, i);
+          assert.strictEqual(item.sequence, 5 + i);
+          assert.strictEqual(item.state, 'validated');
+          assert.strictEqual(item.engine_result, 'tesSUCCESS');
+          assert.strictEqual(item.hash, submitted[i].hash);
+          assert.strictEqual(item.ledger_index, 101);
+        });
+
+        done();
+      });
+    });
+  });
+
+  it('Limit the payments in flight', function(done) {
+    connect(function() {
+      remote.account(ACCOUNT).submitBatch(payments(5), { concurrency: 2 }, function(err, report) {
+        assert.ifError(err);
+        assert.strictEqual(report.validated, 5);
+        assert.deepEqual(ledgers, [ 2, 2, 1 ]);
+        done();
+      });
+    });
+  });
+
+  it('Report failed payments', function(done) {
+    server.queueEngineResult('tesSUCCESS');
+    server.queueEngineResult('tecUNFUNDED_PAYMENT');
+
+    connect(function() {
+      remote.account(ACCOUNT).submitBatch(payments(3), function(err, report) {
+        assert.ifError(err);
+        assert.strictEqual(report.validated, 2);
+        assert.strictEqual(report.failed, 1);
+        assert.strictEqual(report.items[1].state, 'failed');
+        assert.strictEqual(report.items[1].engine_result, 'tecUNFUNDED_PAYMENT');
+        assert.strictEqual(report.items[1].hash, submitted[1].hash);
+        done();
+      });
+    });
+  });
+
+  it('Invalid payment', function(done) {
+    connect(function() {
+      assert.throws(function() {
+        remote.account(ACCOUNT).submitBatch([ { destination: 'g', amount: '1' } ], function() { });
+      }, /destination address invalid/);
+
+      assert.throws(function() {
+        remote.account(ACCOUNT).submitBatch({ }, function() { });
+      }, TypeError);
+
+      done();
+    });
+  });
+
+  it('Save the batch', function(done) {
+    connect(function() {
+      remote.account(ACCOUNT).submitBatch(payments(2), { id: 'payouts' }, function(err, report) {
+        assert.ifError(err);
+
+        // The last update is saved after the report
+        setImmediate(function() {
+          storage.getBatch('payouts', function(err, batch) {
+            assert.ifError(err);
+            assert.strictEqual(batch.account, ACCOUNT);
+            assert.deepEqual(batch.items, report.items);
+            done();
+          });
+        });
+      });
+    });
+  });
+
+  it('Resume a batch', function(done) {
+    // The first payment was validated, the second is pending, the third was
+    // not submitted before the restart
+    server.setAccount(ACCOUNT, { Sequence: 6 });
+
+    storage.saveBatch({
+      id: 'payouts',
+      account: ACCOUNT,
+      items: [
+        { index: 0, sequence: 5, state: 'validated', engine_result: 'tesSUCCESS', hash: 'H0', ledger_index: 99 },
+        { index: 1, sequence: 6 },
+        { index: 2, sequence: 7 }
+      ]
+    });
+
+    var pending = new Transaction();
+    pending.payment(ACCOUNT, DESTINATION, '2000000');
+    pending.tx_json.Sequence = 6;
+    pending.batch = { id: 'payouts', index: 1 };
+    storage.saveTransaction(pending.summary());
+
+    connect(function() {
+      remote.account(ACCOUNT).submitBatch(payments(3), { id: 'payouts' }, function(err, report) {
+        assert.ifError(err);
+
+        assert.deepEqual(submitted.map(function(tx_json) {
+          return tx_json.Sequence;
+        }), [ 6, 7 ]);
+
+        assert.strictEqual(report.validated, 3);
+        assert.strictEqual(report.items[0].hash, 'H0');
+        assert.strictEqual(report.items[1].hash, submitted[0].hash);
+        assert.strictEqual(report.items[2].hash, submitted[1].hash);
+        done();
+      });
+    });
+  });
+
+  it('Resume a batch - keep its sequences', function(done) {
+    server.setAccount(ACCOUNT, { Sequence: 6 });
+
+    storage.saveBatch({
+      id: 'payouts',
+      account: ACCOUNT,
+      items: [
+        { index: 0, sequence: 5, state: 'validated', engine_result: 'tesSUCCESS', hash: 'H0', ledger_index: 99 },
+        { index: 1, sequence: 6 },
+        { index: 2, sequence: 7 }
+      ]
+    });
+
+    var pending = new Transaction();
+    pending.payment(ACCOUNT, DESTINATION, '2000000');
+    pending.tx_json.Sequence = 6;
+    pending.batch = { id: 'payouts', index: 1 };
+    storage.saveTransaction(pending.summary());
+
+    connect(function() {
+      var other;
+
+      // The last payment waits for the first to be validated
+      remote.account(ACCOUNT).submitBatch(payments(3), { id: 'payouts', concurrency: 1 }, function(err, report) {
+        assert.ifError(err);
+        assert.strictEqual(report.validated, 3);
+        assert.strictEqual(report.items[2].sequence, 7);
+        assert.strictEqual(other.tx_json.Sequence, 8);
+        done();
+      });
+
+      other = remote.transaction().payment(ACCOUNT, DESTINATION, '5000000');
+      other.submit();
+    });
+  });
+
+  it('Run batches at once', function(done) {
+    var reports = [ ];
+
+    function amounts(report) {
+      return report.items.map(function(item) {
+        return submitted.filter(function(tx_json) {
+          return tx_json.hash === item.hash;
+        })[0].Amount;
+      });
+    };
+
+    function finished(err, report) {
+      assert.ifError(err);
+      reports.push(report);
+
+      if (reports.length < 2) {
+        return;
+      }
+
+      reports.sort(function(a, b) {
+        return a.items.length - b.items.length;
+      });
+
+      assert.strictEqual(reports[0].validated, 2);
+      assert.strictEqual(reports[1].validated, 3);
+      assert.deepEqual(amounts(reports[0]), [ '1000000', '2000000' ]);
+      assert.deepEqual(amounts(reports[1]), [ '1000000', '2000000', '3000000' ]);
+      assert.deepEqual(reports[1].items.map(function(item) {
+        return item.sequence;
+      }), [ 7, 8, 9 ]);
+      done();
+    };
+
+    connect(function() {
+      var account = remote.account(ACCOUNT);
+      account.submitBatch(payments(2), finished);
+      account.submitBatch(payments(3), finished);
+    });
+  });
+
+  it('Keep the sequences of a batch when reconnecting', function(done) {
+    // Close the ledger of the first payment only once reconnected, a payment
+    // validated while disconnected is not seen
+    server.removeAllListeners('submit');
+
+    server.on('submit', function(tx_json) {
+      submitted.push(tx_json);
+
+      if (submitted.length === 1) {
+        // Reconnect while the later payments are queued
+        server.disconnect();
+      } else {
+        setTimeout(server.closeLedger.bind(server), 20);
+      }
+    });
+
+    connect(function() {
+      var account = remote.account(ACCOUNT);
+      var manager = account._transactionManager;
+
+      manager.once('reconnect', function() {
+        manager.once('sequence_loaded', function() {
+          assert.strictEqual(manager._nextSequence, 9);
+          server.closeLedger();
+        });
+      });
+
+      account.submitBatch(payments(4), { concurrency: 1 }, function(err, report) {
+        assert.ifError(err);
+        assert.strictEqual(report.validated, 4);
+
+        assert.deepEqual(submitted.map(function(tx_json) {
+          return tx_json.Sequence;
+        }), [ 5, 6, 7, 8 ]);
+
+        assert.strictEqual(manager._nextSequence, 9);
+        assert.strictEqual(server.getAccount(ACCOUNT).Sequence, 9);
+        done();
+      });
+    });
+  });
+
+  it('Resume a batch - mismatching payments', function(done) {
+    storage.saveBatch({ id: 'payouts', account: ACCOUNT, items: [ { index: 0, sequence: 5 } ] });
+
+    connect(function() {
+      remote.account(ACCOUNT).submitBatch(payments(2), { id: 'payouts' }, function(err) {
+        assert(err instanceof Error);
+        assert.strictEqual(submitted.length, 0);
+        done();
+      });
+    });
+  });
+});
+
+describe('TransactionManager sequence gaps', function() {
+  var server, remote, submitted;
+
+  beforeEach(function(done) {
+    server = new MockServer({ ledger_index: 100 });
+    server.setAccount(ACCOUNT, { Balance: '1000000000', Sequence: 5 });
+
+    remote = void(0);
+    submitted = [ ];
+
+    server.on('submit', function(tx_json) {
+      submitted.push(tx_json);
+    });
+
+    server.listen(function(err, url) {
+      assert.ifError(err);
+      done();
+    });
+  });
+
+  afterEach(function(done) {
+    if (remote) {
+      remote.disconnect();
+    }
+    server.close(done);
+  });
+
+  function connect(policy, callback) {
+    remote = new Remote({
+      servers: [ server.url ],
+      local_signing: true,
+      sequence_gap_policy: policy
+    });
+
+    remote.setSecret(ACCOUNT, SECRET);
+    remote.connect(callback);
+  };
+
+  // Submit two payments and drop the first one from the open ledger, then
+  // close ledgers until it is lost
+  function submitPayments(firstCallback, secondCallback) {
+    server.on('submit', function submittedBoth() {
+      if (submitted.length < 2) {
+        return;
+      }
+
+      server.removeListener('submit', submittedBoth);
+      server.dropTransaction(submitted[0].hash);
+
+      for (var i=0; i<=TransactionManager.LOST_LEDGERS; i++) {
+        server.closeLedger();
+      }
+    });
+
+    var first = remote.transaction().payment(ACCOUNT, DESTINATION, '1000000');
+    var second = remote.transaction().payment(ACCOUNT, DESTINATION, '2000000');
+
+    first.submit(firstCallback);
+    second.submit(secondCallback);
+
+    return first;
+  };
+
+  it('Invalid configuration', function() {
+    assert.throws(function() {
+      new Remote({ sequence_gap_policy: 'skip' });
+    }, TypeError);
+  });
+
+  it('Fill a gap with a no-op', function(done) {
+    connect('noop', function() {
+      var first;
+
+      remote.account(ACCOUNT).once('gap_filled', function(info) {
+        assert.strictEqual(info.sequence, 5);
+        assert.strictEqual(info.policy, 'noop');
+        assert.strictEqual(info.transaction, first);
+        assert.strictEqual(info.fill.tx_json.TransactionType, 'AccountSet');
+
+        assert.strictEqual(submitted.length, 3);
+        assert.strictEqual(submitted[2].TransactionType, 'AccountSet');
+        assert.strictEqual(submitted[2].Sequence, 5);
+
+        // Pending until the no-op is validated
+        assert(!first.finalized);
+
+        server.closeLedger();
+      });
+
+      first = submitPayments(function(err) {
+        assert.strictEqual(err.engine_result, 'tejSequenceGap');
+      }, function(err, res) {
+        assert.ifError(err);
+        assert.strictEqual(res.ledger_index, 110);
+        assert.strictEqual(server.getAccount(ACCOUNT).Sequence, 7);
+        done();
+      });
+    });
+  });
+
+  it('Fill a gap with a no-op - lost transaction validated first', function(done) {
+    connect('noop', function() {
+      var first, fill, aborted;
+      var results = 0;
+
+      function success(err, res) {
+        assert.ifError(err);
+        assert.strictEqual(res.ledger_index, 110);
+
+        if (++results < 2) {
+          return;
+        }
+
+        // The no-op is not submitted again with another sequence
+        server.closeLedger();
+        server.closeLedger();
+
+        setImmediate(function() {
+          assert.strictEqual(aborted.engine_result, 'tejAbort');
+          assert.strictEqual(submitted.length, 4);
+          assert.strictEqual(server.getAccount(ACCOUNT).Sequence, 7);
+          done();
+        });
+      };
+
+      remote.account(ACCOUNT).once('gap_filled', function(info) {
+        fill = info.fill;
+
+        fill.once('error', function(err) {
+          aborted = err;
+        });
+
+        // The lost transaction makes it into the ledger instead of the no-op
+        server.dropTransaction(submitted[2].hash);
+
+        remote.requestSubmit().tx_blob(first.serialize().to_hex()).callback(function(err, res) {
+          assert.ifError(err);
+          assert.strictEqual(res.engine_result, 'tesSUCCESS');
+          server.closeLedger();
+        });
+      });
+
+      first = submitPayments(success, success);
+    });
+  });
+
+  it('Fill a gap by reissuing the lost transaction', function(done) {
+    connect('reissue', function() {
+      var first;
+      var results = 0;
+
+      function success(err, res) {
+        assert.ifError(err);
+        assert.strictEqual(res.ledger_index, 110);
+
+        if (++results === 2) {
+          assert.strictEqual(server.getAccount(ACCOUNT).Sequence, 7);
+          done();
+        }
+      };
+
+      remote.account(ACCOUNT).once('gap_filled', function(info) {
+        assert.strictEqual(info.sequence, 5);
+        assert.strictEqual(info.policy, 'reissue');
+        assert.strictEqual(info.fill, first);
+
+        assert.strictEqual(submitted.length, 3);
+        assert.strictEqual(submitted[2].Sequence, 5);
+        assert.strictEqual(submitted[2].Amount, '1000000');
+
+        server.closeLedger();
+      });
+
+      first = submitPayments(success, success);
+    });
+  });
+
+  it('Choose the policy for a gap', function(done) {
+    var first;
+
+    function policy(transaction, sequence) {
+      assert.strictEqual(transaction, first);
+      assert.strictEqual(sequence, 5);
+
+      setImmediate(function() {
+        assert.strictEqual(submitted.length, 2);
+        done();
+      });
+
+      return 'none';
+    };
+
+    connect(policy, function() {
+      first = submitPayments();
+    });
+  });
+});
+
+// vim:sw=2:sts=2:ts=8:et
@@ -0,0 +1,161 @@
+var assert    = require('assert');
+var utils     = require('./testutils');
+var Amount    = utils.load_module('amount').Amount;
+var valuation = utils.load_module('valuation');
+var config    = require('./testutils').get_config();
+
+var ISSUER   = 'gHb9CJAWyB4gj91VRWn96DkukG4bwdtyTh';
+var XAU      = '015841551A748AD2C1F76FF6ECB0CCCD00000000';
+
+// Start of the interest period of XAU (-0.5%pa), and one year of seconds
+var START    = 443845330;
+var YEAR     = 31536000;
+
+function gold(value) {
+  return Amount.from_json(value + '/' + XAU + '/' + ISSUER);
+};
+
+function round(amount) {
+  return Number(amount.to_number().toFixed(6));
+};
+
+describe('valuation', function() {
+  describe('projectBalance', function() {
+    it('Project a balance over years', function() {
+      var series = valuation.projectBalance(gold('100'), {
+        start: START,
+        end: START + 3 * YEAR,
+        interval: YEAR
+      });
+
+      assert.deepEqual(series.map(function(point) {
+        return point.date;
+      }), [ START, START + YEAR, START + 2 * YEAR, START + 3 * YEAR ]);
+
+      assert.deepEqual(series.map(function(point) {
+        return round(point.value);
+      }), [ 100, 99.5, 99.0025, 98.507488 ]);
+
+      assert.deepEqual(series.map(function(point) {
+        return round(point.accrued);
+      }), [ 0, -0.5, -0.9975, -1.492512 ]);
+
+      assert.strictEqual(series[3].value.to_json().currency, 'XAU (-0.5%pa)');
+    });
+
+    it('End the series at the end date', function() {
+      var series = valuation.projectBalance(gold('100'), {
+        start: START,
+        end: START + 2.5 * 86400
+      });
+
+      assert.deepEqual(series.map(function(point) {
+        return point.date - START;
+      }), [ 0, 86400, 2 * 86400, 2.5 * 86400 ]);
+    });
+
+    it('Accrue from the start date', function() {
+      var start = new Date(utils.load_module('utils').toTimestamp(START + YEAR));
+      var series = valuation.projectBalance(gold('100'), {
+        start: start,
+        end: START + 2 * YEAR,
+        interval: YEAR
+      });
+
+      assert.strictEqual(series[0].date, START + YEAR);
+      assert.strictEqual(round(series[0].value), 99.5);
+      assert.strictEqual(round(series[1].accrued), -0.4975);
+    });
+
+    it('Keep the value of other currencies', function() {
+      var series = valuation.projectBalance('100/USD/' + ISSUER, {
+        start: START,
+        end: START + YEAR,
+        interval: YEAR
+      });
+
+      assert.strictEqual(series.length, 2);
+      assert.strictEqual(series[1].value.to_text_full(), '100/USD/' + ISSUER);
+      assert(series[1].accrued.is_zero());
+    });
+
+    it('Invalid options', function() {
+      assert.throws(function() {
+        valuation.projectBalance('x', { start: START, end: START });
+      }, /Balance is invalid/);
+
+      assert.throws(function() {
+        valuation.projectBalance(gold('100'), { start: START + 1, end: START });
+      }, /Date range is invalid/);
+
+      assert.throws(function() {
+        valuation.projectBalance(gold('100'), { start: START });
+      }, TypeError);
+
+      assert.throws(function() {
+        valuation.projectBalance(gold('100'), { start: START, end: START + YEAR, interval: 0 });
+      }, /Interval must be a positive number of seconds/);
+    });
+  });
+
+  describe('reconcile', function() {
+    it('Reconcile displayed values', function() {
+      var report = valuation.reconcile([
+        { amount: gold('100'), date: START + YEAR, displayed: '99.5' },
+        { amount: '200/' + XAU + '/' + ISSUER, date: START + 2 * YEAR, displayed: gold('198.005') },
+        { amount: gold('100'), date: START + YEAR, displayed: 100 }
+      ]);
+
+      assert.strictEqual(report.matched, 2);
+      assert.strictEqual(report.mismatched, 1);
+
+      assert.deepEqual(report.items.map(function(item) {
+        return item.matches;
+      }), [ true, true, false ]);
+
+      var item = report.items[2];
+      assert.strictEqual(item.date, START + YEAR);
+      assert.strictEqual(item.amount.to_text(), '100');
+      assert.strictEqual(round(item.expected), 99.5);
+      assert.strictEqual(round(item.difference), 0.5);
+    });
+
+    it('Reconcile within a tolerance', function() {
+      var transactions = [
+        { amount: gold('100'), date: START + YEAR, displayed: '99.499' }
+      ];
+
+      assert.strictEqual(valuation.reconcile(transactions).mismatched, 1);
+      assert.strictEqual(valuation.reconcile(transactions, { tolerance: '0.01' }).matched, 1);
+    });
+
+    it('Reconcile STR amounts', function() {
+      var report = valuation.reconcile([
+        { amount: '1500000', date: new Date(), displayed: '1.5' }
+      ]);
+
+      assert.strictEqual(report.matched, 1);
+      assert(report.items[0].difference.is_zero());
+    });
+
+    it('Invalid transactions', function() {
+      assert.throws(function() {
+        valuation.reconcile({ });
+      }, TypeError);
+
+      assert.throws(function() {
+        valuation.reconcile([ { amount: gold('100'), displayed: '100' } ]);
+      }, /Transaction 0: date is invalid/);
+
+      assert.throws(function() {
+        valuation.reconcile([ { amount: gold('100'), date: START, displayed: '100/USD/' + ISSUER } ]);
+      }, /Transaction 0: displayed amount is invalid/);
+
+      assert.throws(function() {
+        valuation.reconcile([ { amount: gold('100'), date: START, displayed: '100' } ], { tolerance: '-1' });
+      }, /Tolerance is invalid/);
+    });
+  });
+});
+
+// vim:sw=2:sts=2:ts=8:et